@@ -17,10 +17,27 @@ files_to_combine = [
     "helpers/browserStorage.js",
     
     "helpers/cache.js",
+    "helpers/request.js",
+    "backends/ScoreScale.js",
+    "backends/InstructionProfiles.js",
     "backends/TweetCache.js",
+    "backends/RatingQueue.js",
+    "backends/RatingBatcher.js",
+    "backends/SpendTracker.js",
+    "backends/AuthorReputation.js",
+    "backends/FilterRules.js",
+    "backends/ScoringCriteria.js",
     # Backend logic
     "backends/InstructionsHistory.js",
     "backends/InstructionsManager.js",
+    "backends/SettingsBackup.js",
+    "backends/SyncManager.js",
+    "backends/TeamCache.js",
+    "backends/VideoFrames.js",
+    "backends/ImageOcr.js",
+    "backends/MediaDescriptionCache.js",
+    "backends/LinkMetadata.js",
+    "backends/SelectorRegistry.js",
 
     # Configuration
     "config.js",
@@ -28,10 +45,15 @@ files_to_combine = [
     "domScraper.js",
     "ui/utils.js",
     "ui/InstructionsUI.js",
+    "ui/ProfilesUI.js",
+    "ui/RulesUI.js",
+    "ui/StatsUI.js",
     "ui/ScoreIndicator.js",
     "ui/ui.js", 
     "ratingEngine.js",
+    "api/providers.js",
     "api/api_requests.js",
+    "api/structuredOutput.js",
     "api/api.js", 
     # Main script file (header excluded, contains initialization)
     "twitter-desloppifier.js", 
@@ -87,10 +109,11 @@ with open(os.path.join(src_dir, "twitter-desloppifier.js"), 'r', encoding='utf-8
         if line.strip() == "// ==/UserScript==":
             break
 
-# Filter out @require and @resource lines
+# Filter out the @resource lines of the embedded resources; the OCR engine's @require and @resources stay
+embedded_resource_names = ("MENU_HTML", "STYLESHEET")
 filtered_header = []
 for line in header_lines:
-    if not line.strip().startswith("// @require") and not line.strip().startswith("// @resource"):
+    if not re.match(r'//\s*@resource\s+(' + '|'.join(embedded_resource_names) + r')\s', line.strip()):
         filtered_header.append(line)
 
 # Store header for later use
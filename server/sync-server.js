@@ -0,0 +1,208 @@
+//server/sync-server.js
+/**
+ * Local stand-in server for the sync endpoints (see src/backends/SyncManager.js), for trying out and testing
+ * sync without a real WebDAV server or GitHub account. It has no dependencies:
+ *
+ *     node server/sync-server.js [--port 8787] [--file sync-data.json] [--token secret]
+ *
+ * Endpoints (use http://localhost:<port> followed by the path as the sync URL):
+ * - /sync                JSON over HTTP: GET ?since=<revision>, POST changes
+ * - /webdav/<file>.json  WebDAV-style file: GET, PUT with If-Match / If-None-Match
+ * - /gists/<id>          Gist-style REST API: GET, PATCH
+ *
+ * With --token, requests must send it (as "Bearer <token>", or for WebDAV as Basic credentials "user:password").
+ * Data is kept in memory and written to --file after each change, if given.
+ */
+const http = require('http');
+const fs = require('fs');
+
+const FORMAT = 'tweetfilter-ai-sync';
+const FORMAT_VERSION = 1;
+// Whole sync documents are uploaded, so this is larger than the team cache server's limit
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Reads a command line option.
+ * @param {string} name - The option name, without dashes.
+ * @param {string} defaultValue - The value if the option isn't given.
+ * @returns {string}
+ */
+function getOption(name, defaultValue) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+}
+
+const port = parseInt(getOption('port', '8787'), 10);
+const dataFile = getOption('file', '');
+const token = getOption('token', '');
+
+let data = { sync: createDocument(), files: {}, gists: {} };
+if (dataFile && fs.existsSync(dataFile)) {
+    data = { ...data, ...JSON.parse(fs.readFileSync(dataFile, 'utf8')) };
+}
+
+/** Writes the data to --file, if given. */
+function save() {
+    if (dataFile) fs.writeFileSync(dataFile, JSON.stringify(data));
+}
+
+/**
+ * Creates an empty sync document (same shape as SyncManager.createDocument).
+ * @returns {Object}
+ */
+function createDocument() {
+    return { format: FORMAT, version: FORMAT_VERSION, revision: 0, ratings: {}, instructionsHistory: [], handleLists: {} };
+}
+
+/**
+ * Merges changes into the sync document, last writer wins on timestamp (same rules as SyncManager.applyChanges).
+ * @param {Object} document - The document; changed in place.
+ * @param {Object} changes - The changes: {ratings, instructionsHistory, handleLists}.
+ */
+function applyChanges(document, changes) {
+    const revision = document.revision + 1;
+    Object.entries(changes.ratings || {}).forEach(([tweetId, rating]) => {
+        const existing = document.ratings[tweetId];
+        if (existing && (existing.timestamp || 0) >= (rating.timestamp || 0)) return;
+        document.ratings[tweetId] = { ...rating, syncRevision: revision };
+    });
+    (changes.instructionsHistory || []).forEach(entry => {
+        const existing = document.instructionsHistory.find(e => e.instructions === entry.instructions);
+        if (!existing) {
+            document.instructionsHistory.push(entry);
+        } else if (existing.timestamp < entry.timestamp) {
+            Object.assign(existing, entry);
+        }
+    });
+    Object.entries(changes.handleLists || {}).forEach(([name, list]) => {
+        if (!list || !Array.isArray(list.handles) || typeof list.timestamp !== 'number') return;
+        if ((document.handleLists[name]?.timestamp || 0) < list.timestamp) document.handleLists[name] = list;
+    });
+    document.revision = revision;
+    document.updatedAt = Date.now();
+}
+
+/**
+ * Checks a request's credentials against --token.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {boolean} basic - Whether to expect Basic credentials (WebDAV).
+ * @returns {boolean}
+ */
+function isAuthorized(req, basic) {
+    if (!token) return true;
+    const expected = basic ? `Basic ${Buffer.from(token).toString('base64')}` : `Bearer ${token}`;
+    return req.headers.authorization === expected;
+}
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The status code.
+ * @param {Object} body - The body.
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Handles the JSON-over-HTTP endpoint.
+ */
+function handleSync(req, res, url, body) {
+    if (req.method === 'GET') {
+        const since = parseInt(url.searchParams.get('since') || '0', 10);
+        const ratings = {};
+        Object.entries(data.sync.ratings).forEach(([tweetId, rating]) => {
+            if ((rating.syncRevision || 0) > since) ratings[tweetId] = rating;
+        });
+        return sendJson(res, 200, { ...data.sync, ratings });
+    }
+    if (req.method === 'POST') {
+        const changes = JSON.parse(body);
+        if (changes.format !== FORMAT) return sendJson(res, 400, { error: 'Not a sync request' });
+        const baseRevision = data.sync.revision;
+        applyChanges(data.sync, changes);
+        save();
+        return sendJson(res, 200, { revision: data.sync.revision, baseRevision });
+    }
+    sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+/**
+ * Handles the WebDAV-style file endpoint.
+ */
+function handleWebDav(req, res, path, body) {
+    const file = data.files[path];
+    if (req.method === 'GET') {
+        if (!file) return sendJson(res, 404, { error: 'Not found' });
+        res.writeHead(200, { 'Content-Type': 'application/json', ETag: file.etag });
+        return res.end(file.content);
+    }
+    if (req.method === 'PUT') {
+        const ifMatch = req.headers['if-match'];
+        const ifNoneMatch = req.headers['if-none-match'];
+        if ((ifMatch && (!file || file.etag !== ifMatch)) || (ifNoneMatch === '*' && file)) {
+            return sendJson(res, 412, { error: 'Precondition failed' });
+        }
+        data.files[path] = { content: body, etag: `"${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}"` };
+        save();
+        res.writeHead(file ? 204 : 201, { ETag: data.files[path].etag });
+        return res.end();
+    }
+    sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+/**
+ * Handles the Gist-style REST endpoint.
+ */
+function handleGist(req, res, id, body) {
+    const gist = data.gists[id] || { files: {} };
+    const toResponse = () => {
+        const files = {};
+        Object.entries(gist.files).forEach(([filename, content]) => {
+            files[filename] = { filename, content, truncated: false };
+        });
+        return { id, files };
+    };
+    if (req.method === 'GET') return sendJson(res, 200, toResponse());
+    if (req.method === 'PATCH') {
+        Object.entries(JSON.parse(body).files || {}).forEach(([filename, file]) => {
+            gist.files[filename] = file.content;
+        });
+        data.gists[id] = gist;
+        save();
+        return sendJson(res, 200, toResponse());
+    }
+    sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+            sendJson(res, 413, { error: 'Request too large' });
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const gistMatch = url.pathname.match(/^\/gists\/([\w-]+)$/);
+        const isWebDav = url.pathname.startsWith('/webdav/');
+        console.log(`${req.method} ${url.pathname}${url.search}`);
+
+        if (!isAuthorized(req, isWebDav)) return sendJson(res, 401, { error: 'Unauthorized' });
+        try {
+            if (url.pathname === '/sync') return handleSync(req, res, url, body);
+            if (isWebDav) return handleWebDav(req, res, url.pathname, body);
+            if (gistMatch) return handleGist(req, res, gistMatch[1], body);
+            sendJson(res, 404, { error: 'Not found' });
+        } catch (error) {
+            sendJson(res, 400, { error: error.message });
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Sync stand-in server listening on http://localhost:${port}`);
+});
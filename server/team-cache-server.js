@@ -0,0 +1,134 @@
+//server/team-cache-server.js
+/**
+ * Reference server for the shared team rating cache (see src/backends/TeamCache.js for the protocol).
+ * It has no dependencies:
+ *
+ *     node server/team-cache-server.js [--port 8788] [--file team-cache.json] [--tokens token1,token2]
+ *
+ * Ratings are keyed by tweet ID and instructions hash; a published rating replaces the stored one only if
+ * its timestamp is newer. Each teammate can be given their own token; without --tokens (or the
+ * TEAM_CACHE_TOKENS environment variable) the server accepts anyone, so only do that on a private network.
+ * Ratings are kept in memory and written to --file, if given, a few seconds after they change.
+ */
+const http = require('http');
+const fs = require('fs');
+
+const PROTOCOL_VERSION = 1;
+const MAX_BODY_BYTES = 64 * 1024;
+const SAVE_DELAY = 5000;
+
+/**
+ * Reads a command line option.
+ * @param {string} name - The option name, without dashes.
+ * @param {string} defaultValue - The value if the option isn't given.
+ * @returns {string}
+ */
+function getOption(name, defaultValue) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+}
+
+const port = parseInt(getOption('port', '8788'), 10);
+const dataFile = getOption('file', '');
+const tokens = new Set(getOption('tokens', process.env.TEAM_CACHE_TOKENS || '').split(',').map(t => t.trim()).filter(Boolean));
+
+/** @type {Map<string, Object>} Ratings keyed by "<tweetId>:<instructionsHash>" */
+const ratings = new Map(dataFile && fs.existsSync(dataFile) ? Object.entries(JSON.parse(fs.readFileSync(dataFile, 'utf8'))) : []);
+
+let saveTimer = null;
+/** Writes the ratings to --file shortly after a change, if given. */
+function scheduleSave() {
+    if (!dataFile || saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        fs.writeFileSync(dataFile, JSON.stringify(Object.fromEntries(ratings)));
+    }, SAVE_DELAY);
+}
+
+/**
+ * Checks a published rating.
+ * @param {Object} rating - The rating.
+ * @param {string} instructionsHash - The hash it is published under.
+ * @returns {string} An error message, or '' if the rating is valid.
+ */
+function validateRating(rating, instructionsHash) {
+    if (!rating || typeof rating !== 'object' || Array.isArray(rating)) return 'rating must be an object';
+    if (typeof rating.score !== 'number' || !isFinite(rating.score)) return 'missing or invalid score';
+    if (typeof rating.timestamp !== 'number' || !isFinite(rating.timestamp)) return 'missing or invalid timestamp';
+    if (rating.instructionsHash !== instructionsHash) return 'instructionsHash does not match the URL';
+    return '';
+}
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The status code.
+ * @param {Object} body - The body.
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Handles a request once its body has been read.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {string} body - The request body.
+ */
+function handleRequest(req, res, body) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (tokens.size > 0 && !tokens.has((req.headers.authorization || '').replace(/^Bearer\s+/i, ''))) {
+        return sendJson(res, 401, { error: 'Unauthorized' });
+    }
+
+    if (url.pathname === '/v1/health' && req.method === 'GET') {
+        return sendJson(res, 200, { ok: true, protocol: PROTOCOL_VERSION, ratings: ratings.size });
+    }
+
+    const match = url.pathname.match(/^\/v1\/ratings\/(\d+)$/);
+    const instructionsHash = url.searchParams.get('instructionsHash') || '';
+    if (!match) return sendJson(res, 404, { error: 'Not found' });
+    if (!/^-?\w+$/.test(instructionsHash)) return sendJson(res, 400, { error: 'Missing or invalid instructionsHash' });
+    const key = `${match[1]}:${instructionsHash}`;
+
+    if (req.method === 'GET') {
+        const rating = ratings.get(key);
+        return rating ? sendJson(res, 200, { rating }) : sendJson(res, 404, { error: 'No rating' });
+    }
+    if (req.method === 'PUT') {
+        const rating = JSON.parse(body).rating;
+        const error = validateRating(rating, instructionsHash);
+        if (error) return sendJson(res, 400, { error });
+        const existing = ratings.get(key);
+        const stored = !existing || existing.timestamp < rating.timestamp;
+        if (stored) {
+            ratings.set(key, rating);
+            scheduleSave();
+        }
+        return sendJson(res, 200, { stored });
+    }
+    sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+            sendJson(res, 413, { error: 'Request too large' });
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        try {
+            handleRequest(req, res, body);
+        } catch (error) {
+            sendJson(res, 400, { error: error.message });
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Team cache server listening on http://localhost:${port}${tokens.size === 0 ? ' (no tokens: open to anyone)' : ''}`);
+});
@@ -90,17 +90,13 @@ function extractFollowUpQuestions(content) {
  */
 async function rateTweetWithOpenRouter(tweetText, tweetId, apiKey, mediaUrls, maxRetries = 3, tweetArticle = null, authorHandle="") {
     console.log("given tweettext\n", tweetText);
-    const cleanupRequest = () => {
-        pendingRequests = Math.max(0, pendingRequests - 1);
-        showStatus(`Rating tweet... (${pendingRequests} pending)`);
-    };
 
     const indicatorInstance = ScoreIndicatorRegistry.get(tweetId, tweetArticle);
     if (!indicatorInstance) {
         console.error(`[API rateTweetWithOpenRouter] Could not get/create ScoreIndicator for ${tweetId}.`);
         // Cannot proceed without an indicator instance to store qaConversationHistory
         return {
-            score: 5, // Default error score
+            score: scoreScale.errorScore, // Default error score
             content: "Failed to initialize UI components for rating.",
             reasoning: "",
             questions: [],
@@ -117,12 +113,12 @@ async function rateTweetWithOpenRouter(tweetText, tweetId, apiKey, mediaUrls, ma
         indicatorInstance.updateInitialReviewAndBuildHistory({
             fullContext: tweetText, // or a specific ad message
             mediaUrls: [],
-            apiResponseContent: "<ANALYSIS>This tweet is from an ad author.</ANALYSIS><SCORE>SCORE_0</SCORE><FOLLOW_UP_QUESTIONS>Q_1. N/A\\nQ_2. N/A\\nQ_3. N/A</FOLLOW_UP_QUESTIONS>",
+            apiResponseContent: `<ANALYSIS>This tweet is from an ad author.</ANALYSIS><SCORE>SCORE_${scoreScale.min}</SCORE><FOLLOW_UP_QUESTIONS>Q_1. N/A\\nQ_2. N/A\\nQ_3. N/A</FOLLOW_UP_QUESTIONS>`,
             reviewSystemPrompt: REVIEW_SYSTEM_PROMPT, // Globally available from config.js
             followUpSystemPrompt: FOLLOW_UP_SYSTEM_PROMPT // Globally available from config.js
         });
         return {
-            score: 0,
+            score: scoreScale.min,
             content: indicatorInstance.description,
             reasoning: "",
             error: false,
@@ -133,7 +129,9 @@ async function rateTweetWithOpenRouter(tweetText, tweetId, apiKey, mediaUrls, ma
     }
 
     const currentInstructions = instructionsManager.getCurrentInstructions();
-    const effectiveModel = browserGet('enableWebSearch', false) ? `${selectedModel}:online` : selectedModel;
+    const ratingContext = tweetCache.getRatingContext(); // Recorded with the rating, even if the settings change mid-request
+    const ratingModel = spendTracker.resolveModel(instructionProfiles.getModel(selectedModel)); // Fallback model once the soft budget is exceeded
+    const effectiveModel = browserGet('enableWebSearch', false) && getActiveProvider().supportsWebSearch ? `${ratingModel}:online` : ratingModel;
 
     const requestBody = {
         model: effectiveModel,
@@ -159,8 +157,8 @@ EXPECTED_RESPONSE_FORMAT:\n
   </ANALYSIS>\n
 
   <SCORE>\n
-    SCORE_X (Where X is a number between 0 and 10, unless the user requests a different range)\n
-  </SCORE>\n
+    SCORE_X (Where ${scoreScale.getPromptRange()}. Use this range even if the instructions mention a different one.)\n
+  </SCORE>\n${scoringCriteria.getResponseFormat()}
 
   <FOLLOW_UP_QUESTIONS>\n
     Q_1. …\n
@@ -184,28 +182,33 @@ EXPECTED_RESPONSE_FORMAT:\n
 
 <TWEET>[${tweetText}]</TWEET>`;
 */
-    if (selectedModel.includes('gemini')) {
+    if (ratingModel.includes('gemini')) {
         requestBody.config = { safetySettings: safetySettings };
     }
-    if (mediaUrls?.length > 0 && modelSupportsImages(selectedModel)) {
-        mediaUrls.forEach(url => {
-            requestBody.messages[1].content.push({
-                type: "image_url",
-                image_url: { "url": url }
-            });
-        });
+    if (mediaUrls?.length > 0 && modelSupportsImages(ratingModel)) {
+        requestBody.messages[1].content.push(...videoFrames.buildContent(mediaUrls)); // Videos as labelled keyframes
     }
     if (providerSort) {
         requestBody.provider = { sort: providerSort, allow_fallbacks: true };
     }
 
+    // Structured output replaces the tag format with a JSON schema; the tag format stays as the last-attempt fallback
+    let useStructuredOutput = isStructuredOutputEnabled(ratingModel);
+    const userTextPart = requestBody.messages[1].content[0];
+    const tagFormatText = userTextPart.text;
+    if (useStructuredOutput) {
+        applyStructuredOutput(requestBody);
+        userTextPart.text = `${tagFormatText}\n${getStructuredFormatInstructions()}`;
+    }
+
     const useStreaming = browserGet('enableStreaming', false);
     // Initial cache entry for streaming - qaConversationHistory will be added later
     tweetCache.set(tweetId, {
         streaming: true,
         timestamp: Date.now(),
         tweetContent: tweetText, // Store original tweet text for context
-        mediaUrls: mediaUrls     // Store original media URLs
+        mediaUrls: mediaUrls,    // Store original media URLs
+        ...ratingContext
     });
 
     let attempt = 0;
@@ -220,19 +223,25 @@ EXPECTED_RESPONSE_FORMAT:\n
         }
         lastAPICallTime = now;
 
+        if (useStructuredOutput && attempt === maxRetries && maxRetries > 1) {
+            console.warn(`[API] Structured output failed for tweet ${tweetId}, retrying with the tag format.`);
+            useStructuredOutput = false;
+            delete requestBody.response_format;
+            userTextPart.text = tagFormatText;
+        }
+
         // Update status
-        pendingRequests++;
-        showStatus(`Rating tweet... (${pendingRequests} pending)`);
+        showStatus(`Rating tweet... (${ratingQueue.inFlightCount} in flight, ${ratingQueue.queuedCount} queued)`);
         
         try {
             let result;
-            if (useStreaming) {
-                result = await rateTweetStreaming(requestBody, apiKey, tweetId, tweetText, tweetArticle);
+            // Structured replies are only usable once complete, so they aren't streamed
+            if (useStreaming && !useStructuredOutput) {
+                result = await rateTweetStreaming(requestBody, apiKey, tweetId, tweetText, tweetArticle, ratingContext);
             } else {
                 result = await rateTweet(requestBody, apiKey);
             }
-            cleanupRequest();
-            
+
             if (!result.error && result.content) {
                 indicatorInstance.updateInitialReviewAndBuildHistory({
                     fullContext: tweetText, // The full text of the tweet that was rated
@@ -257,7 +266,9 @@ EXPECTED_RESPONSE_FORMAT:\n
                     mediaUrls: mediaUrls,
                     streaming: false,
                     timestamp: Date.now(),
-                    metadata: result.data?.id ? { generationId: result.data.id } : null,
+                    metadata: getResponseMetadata(result.data),
+                    subScores: indicatorInstance.subScores,
+                    ...ratingContext,
                     qaConversationHistory: finalQaHistory // Store the history
                 });
                    
@@ -282,7 +293,6 @@ EXPECTED_RESPONSE_FORMAT:\n
             }
 
         } catch (error) {
-            cleanupRequest();
             console.error(`API error during attempt ${attempt}:`, error);
             if (attempt < maxRetries) {
                 const backoffDelay = Math.pow(attempt, 2) * 1000;
@@ -293,12 +303,12 @@ EXPECTED_RESPONSE_FORMAT:\n
                 indicatorInstance.updateInitialReviewAndBuildHistory({
                     fullContext: tweetText,
                     mediaUrls: mediaUrls,
-                    apiResponseContent: `<ANALYSIS>${errorContent}</ANALYSIS><SCORE>SCORE_5</SCORE><FOLLOW_UP_QUESTIONS>Q_1. N/A\\nQ_2. N/A\\nQ_3. N/A</FOLLOW_UP_QUESTIONS>`,
+                    apiResponseContent: `<ANALYSIS>${errorContent}</ANALYSIS><SCORE>SCORE_${scoreScale.errorScore}</SCORE><FOLLOW_UP_QUESTIONS>Q_1. N/A\\nQ_2. N/A\\nQ_3. N/A</FOLLOW_UP_QUESTIONS>`,
                     reviewSystemPrompt: REVIEW_SYSTEM_PROMPT,
                     followUpSystemPrompt: FOLLOW_UP_SYSTEM_PROMPT
                 });
                 tweetCache.set(tweetId, {
-                    score: 5,
+                    score: scoreScale.errorScore,
                     description: errorContent,
                     reasoning: "",
                     questions: [],
@@ -308,10 +318,11 @@ EXPECTED_RESPONSE_FORMAT:\n
                     mediaUrls: mediaUrls,
                     streaming: false,
                     timestamp: Date.now(),
+                    ...ratingContext,
                     qaConversationHistory: indicatorInstance.qaConversationHistory
                 });
                 return {
-                    score: 5,
+                    score: scoreScale.errorScore,
                     content: errorContent,
                     reasoning: "",
                     questions: [],
@@ -325,17 +336,16 @@ EXPECTED_RESPONSE_FORMAT:\n
     }
     
     // Fallback if loop finishes unexpectedly (should be caught by error handling within loop)
-    cleanupRequest(); 
     const fallbackError = "Unexpected failure in rating process.";
     indicatorInstance.updateInitialReviewAndBuildHistory({
         fullContext: tweetText,
         mediaUrls: mediaUrls,
-        apiResponseContent: `<ANALYSIS>${fallbackError}</ANALYSIS><SCORE>SCORE_5</SCORE><FOLLOW_UP_QUESTIONS>Q_1. N/A\\nQ_2. N/A\\nQ_3. N/A</FOLLOW_UP_QUESTIONS>`,
+        apiResponseContent: `<ANALYSIS>${fallbackError}</ANALYSIS><SCORE>SCORE_${scoreScale.errorScore}</SCORE><FOLLOW_UP_QUESTIONS>Q_1. N/A\\nQ_2. N/A\\nQ_3. N/A</FOLLOW_UP_QUESTIONS>`,
         reviewSystemPrompt: REVIEW_SYSTEM_PROMPT,
         followUpSystemPrompt: FOLLOW_UP_SYSTEM_PROMPT
     });
     return {
-        score: 5,
+        score: scoreScale.errorScore,
         content: fallbackError,
         reasoning: "",
         questions: [],
@@ -346,6 +356,202 @@ EXPECTED_RESPONSE_FORMAT:\n
     };
 }
 
+/**
+ * Splits a batch rating response into one response block per tweet.
+ * Each block keeps the single-tweet <ANALYSIS>/<SCORE>/<FOLLOW_UP_QUESTIONS> format,
+ * so it can be handled exactly like a normal rating response.
+ *
+ * @param {string} content - The raw batch response content
+ * @returns {Map<string, string>} Map of tweet ID to its response block
+ */
+function parseBatchResponse(content) {
+    const blocks = new Map();
+    const resultRegex = /<TWEET_RESULT>([\s\S]*?)<\/TWEET_RESULT>/g;
+    let match;
+    while ((match = resultRegex.exec(content)) !== null) {
+        const idMatch = match[1].match(/<TARGET_TWEET_ID>\s*\[?\s*(\d+)\s*\]?\s*<\/TARGET_TWEET_ID>/);
+        if (!idMatch) continue;
+        const block = match[1].replace(idMatch[0], '').trim();
+        if (/<SCORE>\s*SCORE_\d+\s*<\/SCORE>/.test(block)) {
+            blocks.set(idMatch[1], block);
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Rates several tweets with a single chat completion. The system prompt and user
+ * instructions are sent once; every tweet gets its own <TARGET_TWEET_ID> block.
+ * Tweets missing from (or unparseable in) the response fall back to an individual
+ * rateTweetWithOpenRouter call, which also handles retries.
+ *
+ * @param {Array<{tweetText: string, tweetId: string, apiKey: string, mediaUrls: string[], tweetArticle: Element, authorHandle: string}>} jobs - Tweets to rate
+ * @returns {Promise<Object[]>} One rating result per job, in the same order, shaped like rateTweetWithOpenRouter's result
+ */
+async function rateTweetBatch(jobs) {
+    const rateIndividually = (job) => rateTweetWithOpenRouter(job.tweetText, job.tweetId, job.apiKey, job.mediaUrls, 3, job.tweetArticle, job.authorHandle);
+    if (jobs.length === 1) {
+        return [await rateIndividually(jobs[0])];
+    }
+
+    const apiKey = jobs[0].apiKey;
+    const currentInstructions = instructionsManager.getCurrentInstructions();
+    const ratingContext = tweetCache.getRatingContext(); // Recorded with the ratings, even if the settings change mid-request
+    const ratingModel = spendTracker.resolveModel(instructionProfiles.getModel(selectedModel)); // Fallback model once the soft budget is exceeded
+    const effectiveModel = browserGet('enableWebSearch', false) && getActiveProvider().supportsWebSearch ? `${ratingModel}:online` : ratingModel;
+    const includeImages = modelSupportsImages(ratingModel);
+
+    const userContent = [{
+        type: "text",
+        text: `<USER_INSTRUCTIONS>[${currentInstructions}]</USER_INSTRUCTIONS>
+
+You will be given ${jobs.length} tweets. Rate each one independently, as if it were the only tweet you were given.`
+    }];
+    jobs.forEach(job => {
+        userContent.push({
+            type: "text",
+            text: `<TARGET_TWEET_ID>[${job.tweetId}]</TARGET_TWEET_ID>
+
+<TWEET>[${job.tweetText}]</TWEET>`
+        });
+        if (includeImages && job.mediaUrls?.length > 0) {
+            userContent.push(...videoFrames.buildContent(job.mediaUrls));
+        }
+    });
+    userContent.push({
+        type: "text",
+        text: `Follow this expected response format exactly, or you break the UI.
+Write one <TWEET_RESULT> block per tweet, in the order the tweets were given:
+EXPECTED_RESPONSE_FORMAT:\n
+<TWEET_RESULT>
+  <TARGET_TWEET_ID>[the tweet's ID]</TARGET_TWEET_ID>
+  <ANALYSIS>\n
+    \n(Your analysis according to the user instructions. Follow the user instructions EXACTLY.)
+  </ANALYSIS>\n
+
+  <SCORE>\n
+    SCORE_X (Where ${scoreScale.getPromptRange()}. Use this range even if the instructions mention a different one.)\n
+  </SCORE>\n${scoringCriteria.getResponseFormat()}
+
+  <FOLLOW_UP_QUESTIONS>\n
+    Q_1. …\n
+    Q_2. …\n
+    Q_3. …\n
+  </FOLLOW_UP_QUESTIONS>
+</TWEET_RESULT>
+`
+    });
+
+    const requestBody = {
+        model: effectiveModel,
+        messages: [
+            {
+                role: "system",
+                content: [{ type: "text", text: REVIEW_SYSTEM_PROMPT }]
+            },
+            {
+                role: "user",
+                content: userContent
+            }
+        ],
+        temperature: modelTemperature,
+        top_p: modelTopP,
+        // maxTokens is a per-tweet budget
+        max_tokens: maxTokens ? maxTokens * jobs.length : maxTokens
+    };
+    if (isStructuredOutputEnabled(ratingModel)) {
+        applyStructuredOutput(requestBody, true);
+        userContent[userContent.length - 1].text += `\n${getStructuredFormatInstructions(true)}`;
+    }
+    if (ratingModel.includes('gemini')) {
+        requestBody.config = { safetySettings: safetySettings };
+    }
+    if (providerSort) {
+        requestBody.provider = { sort: providerSort, allow_fallbacks: true };
+    }
+
+    jobs.forEach(job => {
+        tweetCache.set(job.tweetId, {
+            streaming: true,
+            timestamp: Date.now(),
+            tweetContent: job.tweetText,
+            mediaUrls: job.mediaUrls,
+            ...ratingContext
+        });
+    });
+
+    showStatus(`Rating ${jobs.length} tweets in one request...`);
+    const result = await getCompletion(requestBody, apiKey);
+    const message = result.data?.choices?.[0]?.message;
+    if (result.error || !message) {
+        console.warn(`[API Batch] Batch of ${jobs.length} failed (${result.message || 'no content'}), rating individually.`);
+        return Promise.all(jobs.map(rateIndividually));
+    }
+
+    const blocks = requestBody.response_format
+        ? parseStructuredBatchResponse(message.content || "")
+        : parseBatchResponse(message.content || "");
+    const batchMetadata = getResponseMetadata(result.data);
+    // Usage figures are known up front for providers without generation metadata; OpenRouter's are fetched once below
+    const metadata = batchMetadata && !batchMetadata.generationId
+        ? getBatchShareMetadata(batchMetadata, jobs.length)
+        : (batchMetadata ? { ...batchMetadata, batchSize: jobs.length } : null);
+    const supportsGenerationMetadata = getActiveProvider().supportsGenerationMetadata;
+    const ratedJobs = [];
+
+    const results = Promise.all(jobs.map(job => {
+        const block = blocks.get(job.tweetId);
+        const indicatorInstance = ScoreIndicatorRegistry.get(job.tweetId, job.tweetArticle);
+        if (!block || !indicatorInstance) {
+            console.warn(`[API Batch] No usable result for tweet ${job.tweetId} in batch, rating individually.`);
+            return rateIndividually(job);
+        }
+
+        indicatorInstance.updateInitialReviewAndBuildHistory({
+            fullContext: job.tweetText,
+            mediaUrls: job.mediaUrls,
+            apiResponseContent: block,
+            reviewSystemPrompt: REVIEW_SYSTEM_PROMPT,
+            followUpSystemPrompt: FOLLOW_UP_SYSTEM_PROMPT
+        });
+
+        tweetCache.set(job.tweetId, {
+            score: indicatorInstance.score,
+            description: indicatorInstance.description,
+            reasoning: "", // Reasoning covers the whole batch, so it isn't attributed to any single tweet
+            questions: indicatorInstance.questions,
+            lastAnswer: "",
+            tweetContent: job.tweetText,
+            mediaUrls: job.mediaUrls,
+            streaming: false,
+            timestamp: Date.now(),
+            metadata: metadata,
+            subScores: indicatorInstance.subScores,
+            ...ratingContext,
+            qaConversationHistory: indicatorInstance.qaConversationHistory
+        });
+
+        ratedJobs.push({ tweetId: job.tweetId, indicatorInstance });
+
+        return {
+            score: indicatorInstance.score,
+            content: block,
+            reasoning: "",
+            questions: indicatorInstance.questions,
+            error: false,
+            cached: false,
+            data: result.data,
+            metadata: metadata,
+            qaConversationHistory: indicatorInstance.qaConversationHistory
+        };
+    }));
+
+    if (supportsGenerationMetadata && result.data.id && apiKey && ratedJobs.length > 0) {
+        fetchAndStoreBatchGenerationMetadata(ratedJobs, jobs.length, result.data.id, apiKey);
+    }
+    return results;
+}
+
 /**
  * Summarizes the custom instructions for the user
  * 
@@ -356,7 +562,8 @@ EXPECTED_RESPONSE_FORMAT:\n
 async function getCustomInstructionsDescription(instructions) {
     const INSTRUCTION_SUMMARY_MODEL = "google/gemini-2.5-flash-preview";
     const request={
-        model: INSTRUCTION_SUMMARY_MODEL,
+        // The summary model slug only exists on OpenRouter; other providers reuse the rating model
+        model: getActiveProviderId() === 'openrouter' ? INSTRUCTION_SUMMARY_MODEL : selectedModel,
         messages: [{
             role: "system",
             content: [{
@@ -376,8 +583,8 @@ async function getCustomInstructionsDescription(instructions) {
         }]
     }]
 }
-    let key = browserGet('openrouter-api-key');
-    const result = await getCompletion(request,key);
+    let key = getProviderApiKey();
+    const result = await getCompletion(request, key, 30000, 'instructionSummary');
     
     if (!result.error && result.data?.choices?.[0]?.message) {
         const content = result.data.choices[0].message.content || "";
@@ -409,13 +616,28 @@ async function rateTweet(request, apiKey) {
     const result = await getCompletion(request, apiKey);
     
     if (!result.error && result.data?.choices?.[0]?.message) {
-        const content = result.data.choices[0].message.content || "";
+        let content = result.data.choices[0].message.content || "";
         const reasoning = result.data.choices[0].message.reasoning || "";
+
+        // Structured replies are validated and converted to the tag format; invalid ones are retried
+        if (request.response_format) {
+            const structured = parseStructuredRating(content);
+            if (structured.error) {
+                console.warn(`[API] ${structured.error}:`, content.substring(0, 200));
+                return {
+                    error: true,
+                    content: structured.error,
+                    reasoning: "",
+                    data: null
+                };
+            }
+            content = structured.content;
+        }
         
         // Store the rating in cache
         const scoreMatches = content.match(/SCORE_(\d+)/g);
         const score = existingScore || (scoreMatches && scoreMatches.length > 0 
-            ? parseInt(scoreMatches[scoreMatches.length - 1].match(/SCORE_(\d+)/)[1], 10) 
+            ? scoreScale.clamp(parseInt(scoreMatches[scoreMatches.length - 1].match(/SCORE_(\d+)/)[1], 10)) 
             : null);
             
         tweetCache.set(tweetId, {
@@ -447,9 +669,10 @@ async function rateTweet(request, apiKey) {
  * @param {string} tweetId - The tweet ID
  * @param {string} tweetText - The text content of the tweet
  * @param {Element} tweetArticle - Optional: The tweet article DOM element (for streaming updates)
+ * @param {{instructionsHash: string, ratingModel: string}} [ratingContext] - The instructions and model the request was built with
  * @returns {Promise<{content: string, reasoning: string, error: boolean, data: any}>} The rating result including final content and reasoning
  */
-async function rateTweetStreaming(request, apiKey, tweetId, tweetText, tweetArticle) {
+async function rateTweetStreaming(request, apiKey, tweetId, tweetText, tweetArticle, ratingContext = tweetCache.getRatingContext()) {
     // Check if there's already an active streaming request for this tweet
     if (window.activeStreamingRequests && window.activeStreamingRequests[tweetId]) {
         console.log(`Aborting existing streaming request for tweet ${tweetId}`);
@@ -467,7 +690,8 @@ async function rateTweetStreaming(request, apiKey, tweetId, tweetText, tweetArti
             reasoning: "",
             questions: [],
             lastAnswer: "",
-            score: null
+            score: null,
+            ...ratingContext
         });
     }
 
@@ -481,6 +705,7 @@ async function rateTweetStreaming(request, apiKey, tweetId, tweetText, tweetArti
              if (tweetCache.has(tweetId)) {
                  tweetCache.get(tweetId).streaming = false;
                  tweetCache.get(tweetId).error = "Indicator initialization failed";
+                 tweetCache.markChanged(tweetId);
              }
              return reject(new Error(`ScoreIndicator instance could not be initialized for tweet ${tweetId}`));
         }
@@ -504,7 +729,7 @@ async function rateTweetStreaming(request, apiKey, tweetId, tweetText, tweetArti
                 // Always use the last score found in the stream
                 if (scoreMatches && scoreMatches.length > 0) {
                     const lastScore = scoreMatches[scoreMatches.length - 1];
-                    score = parseInt(lastScore.match(/SCORE_(\d+)/)[1], 10);
+                    score = scoreScale.clamp(parseInt(lastScore.match(/SCORE_(\d+)/)[1], 10));
                 }
                 
                 // Update the instance
@@ -538,7 +763,7 @@ async function rateTweetStreaming(request, apiKey, tweetId, tweetText, tweetArti
                 const scoreMatches = aggregatedContent.match(/SCORE_(\d+)/g);
                 if (scoreMatches && scoreMatches.length > 0) {
                     const lastScore = scoreMatches[scoreMatches.length - 1];
-                    score = parseInt(lastScore.match(/SCORE_(\d+)/)[1], 10);
+                    score = scoreScale.clamp(parseInt(lastScore.match(/SCORE_(\d+)/)[1], 10));
                 }
 
                 let finalStatus = 'rated';
@@ -546,7 +771,7 @@ async function rateTweetStreaming(request, apiKey, tweetId, tweetText, tweetArti
                 if (score === null || score === undefined) {
                     console.warn(`[API Stream] No score found in final content for tweet ${tweetId}. Content: ${aggregatedContent.substring(0, 100)}...`);
                     finalStatus = 'error';
-                    score = 5; // Assign default error score
+                    score = scoreScale.errorScore; // Assign default error score
                     aggregatedContent += "\n[No score detected - Error]";
                 }
 
@@ -559,7 +784,8 @@ async function rateTweetStreaming(request, apiKey, tweetId, tweetText, tweetArti
                     streaming: false,
                     timestamp: Date.now(),
                     error: finalStatus === 'error' ? "No score detected" : undefined,
-                    metadata: finalData?.id ? { generationId: finalData.id } : null
+                    metadata: getResponseMetadata(finalData),
+                    ...ratingContext
                 };
                 tweetCache.set(tweetId, finalCacheData);
 
@@ -571,7 +797,7 @@ async function rateTweetStreaming(request, apiKey, tweetId, tweetText, tweetArti
                     reasoning: aggregatedReasoning,
                     questions: extractFollowUpQuestions(aggregatedContent),
                     lastAnswer: "",
-                    metadata: finalData?.id ? { generationId: finalData.id } : null 
+                    metadata: getResponseMetadata(finalData)
                 });
 
                 if (tweetArticle) {
@@ -580,7 +806,7 @@ async function rateTweetStreaming(request, apiKey, tweetId, tweetText, tweetArti
 
                 // --- Fetch Generation Metadata (New) ---
                 const generationId = finalData?.id;
-                if (generationId && apiKey) {
+                if (generationId && apiKey && getActiveProvider().supportsGenerationMetadata) {
                     fetchAndStoreGenerationMetadata(tweetId, generationId, apiKey, indicatorInstance);
                 }
                 // --- End Fetch Generation Metadata ---
@@ -600,7 +826,7 @@ async function rateTweetStreaming(request, apiKey, tweetId, tweetText, tweetArti
                 // Update UI via instance to show error
                 indicatorInstance.update({
                     status: 'error',
-                    score: 5,
+                    score: scoreScale.errorScore,
                     description: `Stream Error: ${errorData.message}`,
                     reasoning: '',
                     questions: [],
@@ -612,8 +838,9 @@ async function rateTweetStreaming(request, apiKey, tweetId, tweetText, tweetArti
                      const entry = tweetCache.get(tweetId);
                      entry.streaming = false;
                      entry.error = errorData.message;
-                     entry.score = 5; // Store default error score in cache too
+                     entry.score = scoreScale.errorScore; // Store default error score in cache too
                      entry.description = `Stream Error: ${errorData.message}`; // Store error message
+                     tweetCache.markChanged(tweetId);
                 }
                 
 
@@ -625,69 +852,125 @@ async function rateTweetStreaming(request, apiKey, tweetId, tweetText, tweetArti
     });
 }
 
+/**
+ * Builds the initial metadata stored alongside a fresh rating.
+ * Providers with a generation lookup get the generation ID (details are fetched later);
+ * the rest report usage directly from the completion response.
+ * @param {Object} data - The completion response data.
+ * @returns {Object|null} Metadata for tweetCache/ScoreIndicator.
+ */
+function getResponseMetadata(data) {
+    const provider = getActiveProvider();
+    if (provider.supportsGenerationMetadata) {
+        return data?.id ? { generationId: data.id } : null;
+    }
+    return provider.parseUsage(data);
+}
+
+/**
+ * Fetches a generation's usage metadata, retrying while OpenRouter hasn't recorded it yet.
+ * @param {string} generationId
+ * @param {string} apiKey
+ * @param {string} logLabel - Prefix for log messages.
+ * @param {number[]} [delays=[1000, 500, 2000, 4000, 8000]] - Wait before each attempt.
+ * @returns {Promise<Object|null>} The metadata, or null once the retries run out.
+ */
+async function fetchGenerationMetadata(generationId, apiKey, logLabel, delays = [1000, 500, 2000, 4000, 8000]) {
+    for (let attempt = 0; attempt < delays.length; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, delays[attempt]));
+        try {
+            const metadataResult = await getGenerationMetadata(generationId, apiKey);
+            if (!metadataResult.error && metadataResult.data?.data) {
+                const meta = metadataResult.data.data;
+                return {
+                    model: meta.model || 'N/A',
+                    promptTokens: meta.tokens_prompt || 0,
+                    completionTokens: meta.tokens_completion || 0, // Use this for total completion output
+                    reasoningTokens: meta.native_tokens_reasoning || 0, // Specific reasoning tokens if available
+                    latency: meta.latency !== undefined ? (meta.latency / 1000).toFixed(2) + 's' : 'N/A', // Convert ms to s
+                    mediaInputs: meta.num_media_prompt || 0,
+                    price: meta.total_cost !== undefined ? `$${meta.total_cost.toFixed(6)}` : 'N/A', // Add total cost
+                    providerName: meta.provider_name || 'N/A' // Add provider_name
+                };
+            }
+            if (metadataResult.status !== 404) {
+                // Retry on other errors too
+                console.warn(`${logLabel} Error fetching metadata (Attempt ${attempt + 1}) for ${generationId}: ${metadataResult.message}`);
+            }
+        } catch (error) {
+            // Still retry on unexpected errors
+            console.error(`${logLabel} Unexpected error during fetch (Attempt ${attempt + 1}) for ${generationId}:`, error);
+        }
+    }
+    console.warn(`${logLabel} Max retries reached for generation ${generationId}.`);
+    return null;
+}
+
+/**
+ * Stores a tweet's usage metadata in the cache and shows it in its indicator.
+ * @param {string} tweetId
+ * @param {Object} metadata
+ * @param {ScoreIndicator} indicatorInstance
+ * @returns {boolean} False if the tweet's cache entry is gone.
+ */
+function storeRatingMetadata(tweetId, metadata, indicatorInstance) {
+    const currentCache = tweetCache.get(tweetId);
+    if (!currentCache) return false;
+    currentCache.metadata = metadata;
+    tweetCache.set(tweetId, currentCache); // Save updated cache entry
+    indicatorInstance?.update({ metadata });
+    return true;
+}
+
 /**
  * Fetches generation metadata with retry logic and updates cache/UI.
  * @param {string} tweetId
  * @param {string} generationId
  * @param {string} apiKey
  * @param {ScoreIndicator} indicatorInstance - The indicator instance to update.
- * @param {number} [attempt=0]
- * @param {number[]} [delays=[1000, 500, 2000, 4000, 8000]]
  */
-async function fetchAndStoreGenerationMetadata(tweetId, generationId, apiKey, indicatorInstance, attempt = 0, delays = [1000, 500, 2000, 4000, 8000]) {
-    if (attempt >= delays.length) {
-        console.warn(`[Metadata Fetch ${tweetId}] Max retries reached for generation ${generationId}.`);
-        return;
+async function fetchAndStoreGenerationMetadata(tweetId, generationId, apiKey, indicatorInstance) {
+    const metadata = await fetchGenerationMetadata(generationId, apiKey, `[Metadata Fetch ${tweetId}]`);
+    if (!metadata) return;
+    if (storeRatingMetadata(tweetId, metadata, indicatorInstance)) {
+        console.log(`[Metadata Fetch ${tweetId}] Stored metadata and updated UI for generation ${generationId}`);
+    } else {
+        console.warn(`[Metadata Fetch ${tweetId}] Cache entry disappeared before metadata could be stored for generation ${generationId}.`);
     }
+}
 
-    const delay = delays[attempt];
-
-    await new Promise(resolve => setTimeout(resolve, delay));
-
-    try {
-        // console.log(`[Metadata Fetch ${tweetId}] Attempt ${attempt + 1} for generation ${generationId} after ${delay}ms`);
-        const metadataResult = await getGenerationMetadata(generationId, apiKey);
-
-        if (!metadataResult.error && metadataResult.data?.data) {
-            const meta = metadataResult.data.data;
-            // console.log(`[Metadata Fetch ${tweetId}] Success for generation ${generationId}`, meta);
-
-            const extractedMetadata = {
-                model: meta.model || 'N/A',
-                promptTokens: meta.tokens_prompt || 0,
-                completionTokens: meta.tokens_completion || 0, // Use this for total completion output
-                reasoningTokens: meta.native_tokens_reasoning || 0, // Specific reasoning tokens if available
-                latency: meta.latency !== undefined ? (meta.latency / 1000).toFixed(2) + 's' : 'N/A', // Convert ms to s
-                mediaInputs: meta.num_media_prompt || 0,
-                price: meta.total_cost !== undefined ? `$${meta.total_cost.toFixed(6)}` : 'N/A', // Add total cost
-                providerName: meta.provider_name || 'N/A' // Add provider_name
-            };
-
-            // Update the cache
-            const currentCache = tweetCache.get(tweetId);
-            if (currentCache) {
-                currentCache.metadata = extractedMetadata;
-                tweetCache.set(tweetId, currentCache); // Save updated cache entry
-
-                // Update the ScoreIndicator instance
-                indicatorInstance.update({ metadata: extractedMetadata });
-                console.log(`[Metadata Fetch ${tweetId}] Stored metadata and updated UI for generation ${generationId}`);
-            } else {
-                console.warn(`[Metadata Fetch ${tweetId}] Cache entry disappeared before metadata could be stored for generation ${generationId}.`);
-            }
-            return; // Success, stop retrying
-        } else if (metadataResult.status === 404) {
-            // console.log(`[Metadata Fetch ${tweetId}] Generation ${generationId} not found yet (404), retrying...`);
-            fetchAndStoreGenerationMetadata(tweetId, generationId, apiKey, indicatorInstance, attempt + 1, delays);
-        } else {
-            console.warn(`[Metadata Fetch ${tweetId}] Error fetching metadata (Attempt ${attempt + 1}) for ${generationId}: ${metadataResult.message}`);
-            fetchAndStoreGenerationMetadata(tweetId, generationId, apiKey, indicatorInstance, attempt + 1, delays); // Retry on other errors too
-        }
-    } catch (error) {
-        console.error(`[Metadata Fetch ${tweetId}] Unexpected error during fetch (Attempt ${attempt + 1}) for ${generationId}:`, error);
-        // Still retry on unexpected errors
-        fetchAndStoreGenerationMetadata(tweetId, generationId, apiKey, indicatorInstance, attempt + 1, delays);
-    }
+/**
+ * Fetches a batch request's generation metadata once and stores each tweet's share of it.
+ * @param {Array<{tweetId: string, indicatorInstance: ScoreIndicator}>} ratedJobs - The tweets rated by the batch.
+ * @param {number} batchSize - The number of tweets the request carried.
+ * @param {string} generationId
+ * @param {string} apiKey
+ */
+async function fetchAndStoreBatchGenerationMetadata(ratedJobs, batchSize, generationId, apiKey) {
+    const metadata = await fetchGenerationMetadata(generationId, apiKey, `[Metadata Fetch batch of ${batchSize}]`);
+    if (!metadata) return;
+    const share = getBatchShareMetadata(metadata, batchSize);
+    ratedJobs.forEach(({ tweetId, indicatorInstance }) => storeRatingMetadata(tweetId, { ...share }, indicatorInstance));
+}
+
+/**
+ * Splits a batch request's usage metadata evenly between its tweets, so totals summed over tweets
+ * (Stats tab, spend) match what the request used.
+ * @param {Object} metadata - Usage metadata of the whole request.
+ * @param {number} batchSize - The number of tweets the request carried.
+ * @returns {Object} One tweet's share, with batchSize recorded.
+ */
+function getBatchShareMetadata(metadata, batchSize) {
+    const splitTokens = tokens => Math.round((tokens || 0) / batchSize);
+    const price = parseFloat(String(metadata.price ?? '').replace(/[^0-9.]/g, ''));
+    return {
+        ...metadata,
+        promptTokens: splitTokens(metadata.promptTokens),
+        completionTokens: splitTokens(metadata.completionTokens),
+        reasoningTokens: splitTokens(metadata.reasoningTokens),
+        price: isNaN(price) ? metadata.price : `$${(price / batchSize).toFixed(6)}`,
+        batchSize
+    };
 }
 
 /**
@@ -722,7 +1005,8 @@ async function answerFollowUpQuestion(tweetId, qaHistoryForApiCall, apiKey, twee
         return msg; // Return other messages (system prompts, previous assistant messages, previous user messages) as is
     });
     
-    const effectiveModel = browserGet('enableWebSearch', false) ? `${selectedModel}:online` : selectedModel;
+    const followUpModel = spendTracker.resolveModel(instructionProfiles.getModel(selectedModel)); // Fallback model once the soft budget is exceeded
+    const effectiveModel = browserGet('enableWebSearch', false) && getActiveProvider().supportsWebSearch ? `${followUpModel}:online` : followUpModel;
 
     const request = {
         model: effectiveModel,
@@ -734,7 +1018,7 @@ async function answerFollowUpQuestion(tweetId, qaHistoryForApiCall, apiKey, twee
     };
     console.log(`followup request (templated): ${JSON.stringify(request)}`);
     
-    if (selectedModel.includes('gemini')) {
+    if (followUpModel.includes('gemini')) {
         request.config = { safetySettings: safetySettings };
     }
     if (providerSort) {
@@ -804,11 +1088,12 @@ async function answerFollowUpQuestion(tweetId, qaHistoryForApiCall, apiKey, twee
                             reject(new Error(error.message));
                         },
                         60000,
-                        `followup-${tweetId}`
+                        `followup-${tweetId}`,
+                        'followUp'
                     );
                 });
             } else { // Non-streaming follow-up
-                const result = await getCompletion(request, apiKey, 60000);
+                const result = await getCompletion(request, apiKey, 60000, 'followUp');
                 if (result.error || !result.data?.choices?.[0]?.message?.content) {
                     throw new Error(result.message || "Failed to get follow-up answer.");
                 }
@@ -1,30 +1,29 @@
 // src/api_requests.js
 
 /**
- * Gets a completion from OpenRouter API
+ * Gets a completion from the active provider's API
  * 
- * @param {CompletionRequest} request - The completion request
- * @param {string} apiKey - OpenRouter API key
+ * @param {CompletionRequest} request - The completion request (OpenAI chat-completions format)
+ * @param {string} apiKey - API key for the active provider
  * @param {number} [timeout=30000] - Request timeout in milliseconds
- * @returns {Promise<CompletionResult>} The completion result
+ * @param {string} [purpose='rating'] - What the request is for, used to attribute its cost in the spend tracker
+ * @returns {Promise<CompletionResult>} The completion result, normalized to the OpenAI response shape
  */
-async function getCompletion(request, apiKey, timeout = 30000) {
+async function getCompletion(request, apiKey, timeout = 30000, purpose = 'rating') {
+    const provider = getActiveProvider();
+    const { url, body } = provider.buildCompletionRequest(getProviderBaseUrl(provider.id), request);
     return new Promise((resolve) => {
         GM_xmlhttpRequest({
             method: "POST",
-            url: "https://openrouter.ai/api/v1/chat/completions",
-            headers: {
-                "Content-Type": "application/json",
-                "Authorization": `Bearer ${apiKey}`,
-                "HTTP-Referer": "https://greasyfork.org/en/scripts/532459-tweetfilter-ai",
-                "X-Title": "TweetFilter-AI"
-            },
-            data: JSON.stringify(request),
+            url: url,
+            headers: provider.buildHeaders(apiKey),
+            data: JSON.stringify(body),
             timeout: timeout,
             onload: function (response) {
                 if (response.status >= 200 && response.status < 300) {
                     try {
-                        const data = JSON.parse(response.responseText);
+                        const data = provider.parseCompletion(JSON.parse(response.responseText));
+                        spendTracker.recordResponse(data, purpose);
                         if (data.content==="") {
                             resolve({
                                 error: true,
@@ -71,40 +70,39 @@ async function getCompletion(request, apiKey, timeout = 30000) {
 }
 
 /**
- * Gets a streaming completion from OpenRouter API
+ * Gets a streaming completion from the active provider's API
  * 
- * @param {CompletionRequest} request - The completion request
- * @param {string} apiKey - OpenRouter API key
+ * @param {CompletionRequest} request - The completion request (OpenAI chat-completions format)
+ * @param {string} apiKey - API key for the active provider
  * @param {Function} onChunk - Callback for each chunk of streamed response
  * @param {Function} onComplete - Callback when streaming is complete
  * @param {Function} onError - Callback when an error occurs
  * @param {number} [timeout=30000] - Request timeout in milliseconds
  * @param {string} [tweetId=null] - Optional tweet ID to associate with this request
+ * @param {string} [purpose='rating'] - What the request is for, used to attribute its cost in the spend tracker
  * @returns {Object} The request object with an abort method
  */
-function getCompletionStreaming(request, apiKey, onChunk, onComplete, onError, timeout = 90000, tweetId = null) {
+function getCompletionStreaming(request, apiKey, onChunk, onComplete, onError, timeout = 90000, tweetId = null, purpose = 'rating') {
+    const provider = getActiveProvider();
     // Add stream parameter to request
     const streamingRequest = {
         ...request,
         stream: true
     };
+    const { url, body } = provider.buildCompletionRequest(getProviderBaseUrl(provider.id), streamingRequest);
     
     let fullResponse = "";
     let content = "";
     let reasoning = ""; // Add a variable to track reasoning content
     let responseObj = null;
+    let streamMeta = {}; // id/model/usage gathered from provider-specific stream events
     let streamComplete = false;
-    console.log(streamingRequest);
+    console.log(body);
     const reqObj = GM_xmlhttpRequest({
         method: "POST",
-        url: "https://openrouter.ai/api/v1/chat/completions",
-        headers: {
-            "Content-Type": "application/json",
-            "Authorization": `Bearer ${apiKey}`,
-            "HTTP-Referer": "https://greasyfork.org/en/scripts/532459-tweetfilter-ai",
-            "X-Title": "TweetFilter-AI"
-        },
-        data: JSON.stringify(streamingRequest),
+        url: url,
+        headers: provider.buildHeaders(apiKey),
+        data: JSON.stringify(body),
         timeout: timeout,
         responseType: "stream",
         onloadstart: function(response) {
@@ -119,12 +117,13 @@ function getCompletionStreaming(request, apiKey, onChunk, onComplete, onError, t
                     console.log("Stream timed out after inactivity");
                     if (!streamComplete) {
                         streamComplete = true;
+                        spendTracker.recordResponse({ ...responseObj, ...streamMeta }, purpose);
                         // Call onComplete with whatever we have so far
                         onComplete({
                             content: content,
                             reasoning: reasoning,
                             fullResponse: fullResponse,
-                            data: responseObj,
+                            data: { ...responseObj, ...streamMeta },
                             timedOut: true
                         });
                     }
@@ -179,35 +178,37 @@ function getCompletionStreaming(request, apiKey, onChunk, onComplete, onError, t
                                     break;
                                 }
                                 
+                                let parsed;
                                 try {
-                                    const parsed = JSON.parse(data);
-                                    responseObj = parsed;
-                                    
-                                    // Extract the content and reasoning
-                                    if (parsed.choices && parsed.choices[0]) {
-                                        // Check for delta content
-                                        if (parsed.choices[0].delta && parsed.choices[0].delta.content !== undefined) {
-                                            const delta = parsed.choices[0].delta.content || "";
-                                            content += delta;
-                                        }
-                                        
-                                        // Check for reasoning in delta
-                                        if (parsed.choices[0].delta && parsed.choices[0].delta.reasoning !== undefined) {
-                                            const reasoningDelta = parsed.choices[0].delta.reasoning || "";
-                                            reasoning += reasoningDelta;
-                                        }
-                                        
-                                        // Call the chunk callback
-                                        onChunk({
-                                            chunk: parsed.choices[0].delta?.content || "",
-                                            reasoningChunk: parsed.choices[0].delta?.reasoning || "",
-                                            content: content,
-                                            reasoning: reasoning,
-                                            data: parsed
-                                        });
-                                    }
+                                    parsed = JSON.parse(data);
                                 } catch (e) {
                                     console.error("Error parsing SSE data:", e, data);
+                                    continue;
+                                }
+                                responseObj = parsed;
+
+                                // Let the provider translate its event format into content/reasoning deltas
+                                const event = provider.parseStreamEvent(parsed);
+                                if (event.id) streamMeta.id = event.id;
+                                if (event.model) streamMeta.model = event.model;
+                                if (event.usage) streamMeta.usage = { ...streamMeta.usage, ...event.usage };
+                                if (event.done) {
+                                    isDone = true;
+                                    break;
+                                }
+
+                                if (event.content || event.reasoning) {
+                                    content += event.content || "";
+                                    reasoning += event.reasoning || "";
+
+                                    // Call the chunk callback
+                                    onChunk({
+                                        chunk: event.content || "",
+                                        reasoningChunk: event.reasoning || "",
+                                        content: content,
+                                        reasoning: reasoning,
+                                        data: parsed
+                                    });
                                 }
                             }
                         }
@@ -223,11 +224,12 @@ function getCompletionStreaming(request, apiKey, onChunk, onComplete, onError, t
                             delete window.activeStreamingRequests[tweetId];
                         }
                         
+                        spendTracker.recordResponse({ ...responseObj, ...streamMeta }, purpose);
                         onComplete({
                             content: content,
                             reasoning: reasoning,
                             fullResponse: fullResponse,
-                            data: responseObj
+                            data: { ...responseObj, ...streamMeta }
                         });
                     }
                     
@@ -301,7 +303,6 @@ function getCompletionStreaming(request, apiKey, onChunk, onComplete, onError, t
     const streamingRequestObj = {
         abort: function() {
             streamComplete = true; // Set flag to prevent further processing
-            pendingRequests--;
             try {
                 reqObj.abort(); // Attempt to abort the XHR request
             } catch (e) {
@@ -335,17 +336,18 @@ function getCompletionStreaming(request, apiKey, onChunk, onComplete, onError, t
 let isOnlineListenerAttached = false; // Flag to ensure listener is only added once
 
 /**
- * Fetches the list of available models from the OpenRouter API.
+ * Fetches the list of available models from the active provider.
  * Uses the stored API key, and updates the model selector upon success.
  */
 function fetchAvailableModels() {
-    const apiKey = browserGet('openrouter-api-key', '');
-    if (!apiKey) {
-        showStatus('Please enter your OpenRouter API key');
+    const provider = getActiveProvider();
+    const apiKey = getProviderApiKey(provider.id);
+    if (!isProviderConfigured(provider.id)) {
+        showStatus(`Please enter your ${provider.label} API key`);
         return;
     }
     showStatus('Fetching available models...');
-    const sortOrder = browserGet('modelSortOrder', 'throughput-high-to-low');
+    const { url } = provider.buildModelsRequest(getProviderBaseUrl(provider.id));
 
     // Named function to handle the 'online' event
     function handleOnline() {
@@ -357,32 +359,24 @@ function fetchAvailableModels() {
 
     GM_xmlhttpRequest({
         method: "GET",
-        url: `https://openrouter.ai/api/frontend/models/find?order=${sortOrder}`,
-        headers: {
-            "Authorization": `Bearer ${apiKey}`,
-            "HTTP-Referer": "https://greasyfork.org/en/scripts/532182-twitter-x-ai-tweet-filter",
-            "X-Title": "Tweet Rating Tool"
-        },
+        url: url,
+        headers: provider.buildHeaders(apiKey),
         onload: function (response) {
             try {
                 const data = JSON.parse(response.responseText);
-                if (data.data && data.data.models) {
-                    //filter all models that don't have key "endpoint" or endpoint is null
-                    let filteredModels = data.data.models.filter(model => model.endpoint && model.endpoint !== null);
-
-                    // Assign the slug from model.endpoint.model_variant_slug
-                    filteredModels.forEach(model => {
-                        // Use model.endpoint.model_variant_slug as the primary source for the slug
-                        let currentSlug = model.endpoint?.model_variant_slug || model.id; // Fallback to model.id if slug is not present
-                        model.slug = currentSlug; // Assign the processed slug back to model.slug for consistency elsewhere
-                    });
-
-                    // Reverse initial order for latency sorting to match High-Low expectations
-                    if (sortOrder === 'latency-low-to-high'|| sortOrder === 'pricing-low-to-high') {
-                        filteredModels.reverse();
-                    }
-                    availableModels = filteredModels || [];
+                const models = provider.parseModels(data);
+                if (models) {
+                    availableModels = models || [];
                     listedModels = [...availableModels]; // Initialize listedModels
+                    // Providers without a fixed default model (local servers) start on the first model served
+                    if (!selectedModel && availableModels.length > 0) {
+                        selectedModel = availableModels[0].slug;
+                        browserSet('selectedModel', selectedModel);
+                    }
+                    if (!selectedImageModel && availableModels.length > 0) {
+                        selectedImageModel = availableModels[0].slug;
+                        browserSet('selectedImageModel', selectedImageModel);
+                    }
                     refreshModelsUI();
                     showStatus('Models updated!');
                 }
@@ -409,7 +403,8 @@ function fetchAvailableModels() {
 }
 
 /**
- * Gets descriptions for images using the OpenRouter API
+ * Gets descriptions for images using the active provider's API.
+ * Descriptions are cached per image model and media URL (see MediaDescriptionCache).
  * 
  * @param {string[]} urls - Array of image URLs to get descriptions for
  * @param {string} apiKey - The API key for authentication
@@ -424,66 +419,77 @@ async function getImageDescription(urls, apiKey, tweetId, userHandle) {
     }
 
     let descriptions = [];
+    let imageNumber = 0;
+    let videoNumber = 0;
     for (const url of urls) {
-        const request = {
-            model: selectedImageModel,
-            messages: [{
-                role: "user",
-                content: [
-                    {
-                        type: "text",
-                        text: "Describe what you see in this image in a concise way, focusing on the main elements and any text visible. Keep the description under 100 words."
-                    },
-                    {
-                        type: "image_url",
-                        image_url: { url }
-                    }
-                ]
-            }],
-            temperature: imageModelTemperature,
-            top_p: imageModelTopP,
-            max_tokens: maxTokens,
-        };
-        if (selectedImageModel.includes('gemini')) {
-            request.config = {
-                safetySettings: safetySettings,
-            }
-        }
-        if (providerSort) {
-            request.provider = {
-                sort: providerSort,
-                allow_fallbacks: true
+        // Videos are sent as their labelled keyframes (or poster), see VideoFrames
+        const isVideo = videoFrames.isVideo(url);
+        const label = isVideo ? `[VIDEO ${++videoNumber}]` : `[IMAGE ${++imageNumber}]`;
+        const prompt = isVideo
+            ? "These are frames sampled in order from a video (or its thumbnail, if only one is labelled poster). Describe what happens in the video in a concise way, focusing on the main elements, actions and any text visible. Keep the description under 100 words."
+            : "Describe what you see in this image in a concise way, focusing on the main elements and any text visible. Keep the description under 100 words.";
+        const kind = !isVideo ? 'image' : videoFrames.hasFrames(url) ? 'video' : 'video-poster';
+        const description = await mediaDescriptionCache.getOrDescribe(url, selectedImageModel, kind, async () => {
+            const request = {
+                model: selectedImageModel,
+                messages: [{
+                    role: "user",
+                    content: [
+                        {
+                            type: "text",
+                            text: prompt
+                        },
+                        ...videoFrames.buildContent([url], videoNumber)
+                    ]
+                }],
+                temperature: imageModelTemperature,
+                top_p: imageModelTopP,
+                max_tokens: maxTokens,
             };
-        }
-        const result = await getCompletion(request, apiKey);
-        if (!result.error && result.data?.choices?.[0]?.message?.content) {
-            descriptions.push(result.data.choices[0].message.content);
-        } else {
-            descriptions.push('[Error getting image description]');
-        }
+            if (selectedImageModel.includes('gemini')) {
+                request.config = {
+                    safetySettings: safetySettings,
+                }
+            }
+            if (providerSort) {
+                request.provider = {
+                    sort: providerSort,
+                    allow_fallbacks: true
+                };
+            }
+            const result = await getCompletion(request, apiKey, 30000, 'imageDescription');
+            return !result.error && result.data?.choices?.[0]?.message?.content || null;
+        });
+        descriptions.push(`${label}: ${description || `[Error getting ${isVideo ? 'video' : 'image'} description]`}`);
     }
 
-    return descriptions.map((desc, i) => `[IMAGE ${i + 1}]: ${desc}`).join('\n');
+    return descriptions.join('\n');
 }
 
 /**
- * Fetches generation metadata from OpenRouter API by ID.
+ * Fetches generation metadata from the active provider by ID.
+ * Only providers with a generation lookup endpoint (OpenRouter) support this.
  *
  * @param {string} generationId - The ID of the generation to fetch metadata for.
- * @param {string} apiKey - OpenRouter API key.
+ * @param {string} apiKey - API key for the active provider.
  * @param {number} [timeout=10000] - Request timeout in milliseconds.
  * @returns {Promise<CompletionResult>} The result containing metadata or an error.
  */
 async function getGenerationMetadata(generationId, apiKey, timeout = 10000) {
+    const provider = getActiveProvider();
+    if (!provider.supportsGenerationMetadata) {
+        return {
+            error: true,
+            unsupported: true,
+            message: `${provider.label} does not support generation metadata lookup`,
+            data: null
+        };
+    }
     return new Promise((resolve) => {
         GM_xmlhttpRequest({
             method: "GET",
-            url: `https://openrouter.ai/api/v1/generation?id=${generationId}`,
-            headers: {
-                "Authorization": `Bearer ${apiKey}`,
-                "HTTP-Referer": "https://greasyfork.org/en/scripts/532459-tweetfilter-ai", // Use your script's URL
-                "X-Title": "TweetFilter-AI" // Replace with your script's name
-            },
+            url: provider.buildMetadataUrl(getProviderBaseUrl(provider.id), generationId),
+            headers: provider.buildHeaders(apiKey),
             timeout: timeout,
             onload: function(response) {
                 if (response.status >= 200 && response.status < 300) {
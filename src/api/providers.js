@@ -0,0 +1,392 @@
+// src/api/providers.js
+/**
+ * Registry of LLM provider backends.
+ *
+ * Each provider knows how to address its own API: building the chat request,
+ * normalizing the response into the OpenAI chat-completions shape the rest of
+ * the script consumes (`data.choices[0].message.content`), parsing its
+ * streaming events, listing models and (where supported) looking up
+ * generation metadata.
+ */
+
+const DEFAULT_PROVIDER_ID = 'openrouter';
+const DEFAULT_LOCAL_MODEL_PORT = 8080;
+
+/**
+ * Removes OpenRouter-only fields from an OpenAI-style request body.
+ * @param {Object} request - The completion request.
+ * @returns {Object} A copy of the request that plain OpenAI-compatible servers accept.
+ */
+function toOpenAICompatibleRequest(request) {
+    const { provider, config, ...body } = request;
+    if (!body.max_tokens) {
+        delete body.max_tokens; // 0 means "no limit" in the UI, but is rejected by most servers
+    }
+    if (body.stream) {
+        body.stream_options = { include_usage: true };
+    }
+    return body;
+}
+
+/**
+ * Converts OpenAI-style message content parts into Anthropic content blocks.
+ * @param {string|Object[]} content - OpenAI message content.
+ * @returns {Object[]} Anthropic content blocks.
+ */
+function toAnthropicContent(content) {
+    if (typeof content === 'string') {
+        return [{ type: 'text', text: content }];
+    }
+    return content.map(part => {
+        if (part.type !== 'image_url') {
+            return { type: 'text', text: part.text || '' };
+        }
+        const url = part.image_url?.url || '';
+        const dataUrlMatch = url.match(/^data:(image\/[a-z+]+);base64,(.*)$/);
+        if (dataUrlMatch) {
+            return { type: 'image', source: { type: 'base64', media_type: dataUrlMatch[1], data: dataUrlMatch[2] } };
+        }
+        return { type: 'image', source: { type: 'url', url } };
+    });
+}
+
+/**
+ * Builds usage metadata (as stored in tweetCache) from an OpenAI-style usage block.
+ * @param {Object} data - Normalized completion data.
+ * @param {string} providerName - Display name of the provider.
+ * @returns {Object|null} The metadata, or null if the response carried no usage.
+ */
+function buildUsageMetadata(data, providerName) {
+    if (!data?.usage) return null;
+    return {
+        model: data.model || 'N/A',
+        promptTokens: data.usage.prompt_tokens || 0,
+        completionTokens: data.usage.completion_tokens || 0,
+        reasoningTokens: data.usage.completion_tokens_details?.reasoning_tokens || 0,
+        latency: 'N/A',
+        mediaInputs: 0,
+        price: 'N/A',
+        providerName
+    };
+}
+
+/**
+ * Creates a provider that speaks the OpenAI chat-completions protocol.
+ * @param {Object} options - Provider identity and defaults.
+ * @returns {Object} The provider definition.
+ */
+function createOpenAICompatibleProvider({ id, label, defaultBaseUrl, defaultModel = '', keyUrl = '', imageModels = false, stripModelPrefix = '', requiresApiKey = true }) {
+    return {
+        id,
+        label,
+        defaultBaseUrl,
+        defaultModel,
+        keyUrl,
+        requiresApiKey,
+        supportsWebSearch: false,
+        supportsGenerationMetadata: false,
+        buildHeaders(apiKey) {
+            const headers = { "Content-Type": "application/json" };
+            if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+            return headers;
+        },
+        buildCompletionRequest(baseUrl, request) {
+            return { url: `${baseUrl}/chat/completions`, body: toOpenAICompatibleRequest(request) };
+        },
+        parseCompletion(data) {
+            return data;
+        },
+        parseStreamEvent(parsed) {
+            const delta = parsed.choices?.[0]?.delta || {};
+            return {
+                content: delta.content || "",
+                reasoning: delta.reasoning || delta.reasoning_content || "",
+                id: parsed.id,
+                model: parsed.model,
+                usage: parsed.usage || undefined
+            };
+        },
+        buildModelsRequest(baseUrl) {
+            return { url: `${baseUrl}/models` };
+        },
+        parseModels(data) {
+            const models = Array.isArray(data?.data) ? data.data : (Array.isArray(data?.models) ? data.models : []);
+            return models
+                .map(model => {
+                    const slug = (model.id || model.name || '').replace(stripModelPrefix, '');
+                    return {
+                        ...model,
+                        id: slug,
+                        slug,
+                        input_modalities: imageModels ? ['text', 'image'] : (model.input_modalities || ['text'])
+                    };
+                })
+                .filter(model => model.slug)
+                .sort((a, b) => a.slug.localeCompare(b.slug));
+        },
+        parseUsage(data) {
+            return buildUsageMetadata(data, label);
+        }
+    };
+}
+
+const LLM_PROVIDERS = {
+    openrouter: {
+        id: 'openrouter',
+        label: 'OpenRouter',
+        defaultBaseUrl: 'https://openrouter.ai/api/v1',
+        defaultModel: 'openai/gpt-4.1-nano',
+        keyUrl: 'https://openrouter.ai/settings/keys',
+        requiresApiKey: true,
+        supportsWebSearch: true,
+        supportsGenerationMetadata: true,
+        reportsCost: true,
+        buildHeaders(apiKey) {
+            return {
+                "Content-Type": "application/json",
+                "Authorization": `Bearer ${apiKey}`,
+                "HTTP-Referer": "https://greasyfork.org/en/scripts/532459-tweetfilter-ai",
+                "X-Title": "TweetFilter-AI"
+            };
+        },
+        buildCompletionRequest(baseUrl, request) {
+            // Usage accounting makes OpenRouter report each request's cost (usage.cost) for the spend tracker
+            return { url: `${baseUrl}/chat/completions`, body: { ...request, usage: { include: true } } };
+        },
+        parseCompletion(data) {
+            return data;
+        },
+        parseStreamEvent(parsed) {
+            const delta = parsed.choices?.[0]?.delta || {};
+            return {
+                content: delta.content || "",
+                reasoning: delta.reasoning || "",
+                id: parsed.id,
+                model: parsed.model,
+                usage: parsed.usage || undefined
+            };
+        },
+        buildModelsRequest() {
+            // The model catalogue lives on OpenRouter's frontend API, not under /api/v1
+            const sortOrder = browserGet('modelSortOrder', 'throughput-high-to-low');
+            return { url: `https://openrouter.ai/api/frontend/models/find?order=${sortOrder}` };
+        },
+        parseModels(data) {
+            if (!data.data || !data.data.models) return null;
+            //filter all models that don't have key "endpoint" or endpoint is null
+            let filteredModels = data.data.models.filter(model => model.endpoint && model.endpoint !== null);
+
+            // Assign the slug from model.endpoint.model_variant_slug
+            filteredModels.forEach(model => {
+                // Use model.endpoint.model_variant_slug as the primary source for the slug
+                let currentSlug = model.endpoint?.model_variant_slug || model.id; // Fallback to model.id if slug is not present
+                model.slug = currentSlug; // Assign the processed slug back to model.slug for consistency elsewhere
+            });
+
+            // Reverse initial order for latency sorting to match High-Low expectations
+            const sortOrder = browserGet('modelSortOrder', 'throughput-high-to-low');
+            if (sortOrder === 'latency-low-to-high' || sortOrder === 'pricing-low-to-high') {
+                filteredModels.reverse();
+            }
+            return filteredModels;
+        },
+        buildMetadataUrl(baseUrl, generationId) {
+            return `${baseUrl}/generation?id=${generationId}`;
+        },
+        parseUsage(data) {
+            return buildUsageMetadata(data, 'OpenRouter');
+        }
+    },
+
+    openai: createOpenAICompatibleProvider({
+        id: 'openai',
+        label: 'OpenAI-compatible',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        defaultModel: 'gpt-4.1-nano',
+        keyUrl: 'https://platform.openai.com/api-keys'
+    }),
+
+    gemini: createOpenAICompatibleProvider({
+        id: 'gemini',
+        label: 'Google Gemini',
+        defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta/openai',
+        defaultModel: 'gemini-2.0-flash',
+        keyUrl: 'https://aistudio.google.com/apikey',
+        imageModels: true,
+        stripModelPrefix: /^models\//
+    }),
+
+    // Local servers (llama.cpp, Ollama, LM Studio, vLLM...) expose /v1/chat/completions and /v1/models
+    // and usually need no API key, so timeline contents never leave the machine.
+    local: {
+        ...createOpenAICompatibleProvider({
+            id: 'local',
+            label: 'Local server',
+            defaultBaseUrl: '',
+            requiresApiKey: false
+        }),
+        get defaultBaseUrl() {
+            return `http://localhost:${browserGet('localModelPort', DEFAULT_LOCAL_MODEL_PORT)}/v1`;
+        }
+    },
+
+    anthropic: {
+        id: 'anthropic',
+        label: 'Anthropic',
+        defaultBaseUrl: 'https://api.anthropic.com/v1',
+        defaultModel: 'claude-3-5-haiku-latest',
+        keyUrl: 'https://console.anthropic.com/settings/keys',
+        requiresApiKey: true,
+        supportsWebSearch: false,
+        supportsGenerationMetadata: false,
+        buildHeaders(apiKey) {
+            return {
+                "Content-Type": "application/json",
+                "x-api-key": apiKey,
+                "anthropic-version": "2023-06-01"
+            };
+        },
+        buildCompletionRequest(baseUrl, request) {
+            // Anthropic takes system prompts as a top-level field rather than as messages
+            const system = request.messages
+                .filter(m => m.role === 'system')
+                .map(m => toAnthropicContent(m.content).map(block => block.text || '').join('\n'))
+                .join('\n\n');
+            const messages = request.messages
+                .filter(m => m.role !== 'system')
+                .map(m => ({ role: m.role, content: toAnthropicContent(m.content) }));
+            const body = {
+                model: request.model,
+                system,
+                messages,
+                max_tokens: request.max_tokens || 4096,
+                // Recent Claude models reject temperature and top_p together, so only temperature is sent
+                temperature: Math.min(request.temperature ?? 1, 1)
+            };
+            if (request.stream) body.stream = true;
+            // Structured output is done with a forced tool call whose input follows the schema
+            if (request.response_format?.type === 'json_schema') {
+                const { name, schema } = request.response_format.json_schema;
+                body.tools = [{ name, description: 'Record the rating', input_schema: schema }];
+                body.tool_choice = { type: 'tool', name };
+            }
+            return { url: `${baseUrl}/messages`, body };
+        },
+        parseCompletion(data) {
+            const blocks = data.content || [];
+            const toolUse = blocks.find(b => b.type === 'tool_use');
+            return {
+                id: data.id,
+                model: data.model,
+                choices: [{
+                    message: {
+                        role: 'assistant',
+                        content: toolUse ? JSON.stringify(toolUse.input) : blocks.filter(b => b.type === 'text').map(b => b.text).join(''),
+                        reasoning: blocks.filter(b => b.type === 'thinking').map(b => b.thinking).join('')
+                    },
+                    finish_reason: data.stop_reason
+                }],
+                usage: data.usage ? {
+                    prompt_tokens: data.usage.input_tokens,
+                    completion_tokens: data.usage.output_tokens
+                } : undefined
+            };
+        },
+        parseStreamEvent(parsed) {
+            switch (parsed.type) {
+                case 'message_start':
+                    return {
+                        id: parsed.message?.id,
+                        model: parsed.message?.model,
+                        usage: { prompt_tokens: parsed.message?.usage?.input_tokens || 0 }
+                    };
+                case 'content_block_delta':
+                    return {
+                        content: parsed.delta?.type === 'text_delta' ? parsed.delta.text : "",
+                        reasoning: parsed.delta?.type === 'thinking_delta' ? parsed.delta.thinking : ""
+                    };
+                case 'message_delta':
+                    return { usage: { completion_tokens: parsed.usage?.output_tokens || 0 } };
+                case 'message_stop':
+                    return { done: true };
+                case 'error':
+                    throw new Error(parsed.error?.message || 'Anthropic stream error');
+                default:
+                    return {};
+            }
+        },
+        buildModelsRequest(baseUrl) {
+            return { url: `${baseUrl}/models?limit=1000` };
+        },
+        parseModels(data) {
+            if (!Array.isArray(data?.data)) return null;
+            return data.data.map(model => ({
+                id: model.id,
+                slug: model.id,
+                name: model.display_name || model.id,
+                input_modalities: ['text', 'image']
+            }));
+        },
+        parseUsage(data) {
+            return buildUsageMetadata(data, 'Anthropic');
+        }
+    }
+};
+
+/**
+ * Gets the ID of the provider selected in Settings > General.
+ * @returns {string} The provider ID.
+ */
+function getActiveProviderId() {
+    const id = browserGet('apiProvider', DEFAULT_PROVIDER_ID);
+    return LLM_PROVIDERS[id] ? id : DEFAULT_PROVIDER_ID;
+}
+
+/**
+ * Gets the definition of the active provider.
+ * @returns {Object} The provider definition.
+ */
+function getActiveProvider() {
+    return LLM_PROVIDERS[getActiveProviderId()];
+}
+
+/**
+ * Gets the storage key holding a provider's API key.
+ * OpenRouter keeps its original key name so existing installs keep working.
+ * @param {string} providerId - The provider ID.
+ * @returns {string} The storage key.
+ */
+function getProviderApiKeyName(providerId) {
+    return `${providerId}-api-key`;
+}
+
+/**
+ * Gets the stored API key for a provider.
+ * @param {string} [providerId] - The provider ID (defaults to the active provider).
+ * @returns {string} The API key, or an empty string.
+ */
+function getProviderApiKey(providerId = getActiveProviderId()) {
+    return browserGet(getProviderApiKeyName(providerId), '');
+}
+
+/**
+ * Checks whether the active provider has everything it needs to send requests.
+ * Providers that don't require a key (local servers) are always considered configured.
+ * @param {string} [providerId] - The provider ID (defaults to the active provider).
+ * @returns {boolean} True if requests can be sent.
+ */
+function isProviderConfigured(providerId = getActiveProviderId()) {
+    const provider = LLM_PROVIDERS[providerId] || LLM_PROVIDERS[DEFAULT_PROVIDER_ID];
+    return !provider.requiresApiKey || getProviderApiKey(providerId).length > 0;
+}
+
+/**
+ * Gets the configured base URL for a provider, without a trailing slash.
+ * @param {string} [providerId] - The provider ID (defaults to the active provider).
+ * @returns {string} The base URL.
+ */
+function getProviderBaseUrl(providerId = getActiveProviderId()) {
+    const provider = LLM_PROVIDERS[providerId] || LLM_PROVIDERS[DEFAULT_PROVIDER_ID];
+    const url = browserGet(`${providerId}-base-url`, '') || provider.defaultBaseUrl;
+    return url.trim().replace(/\/+$/, '');
+}
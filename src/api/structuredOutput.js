@@ -0,0 +1,225 @@
+// src/api/structuredOutput.js
+/**
+ * Structured output mode for ratings (Settings > General > Advanced Options).
+ *
+ * Instead of relying on the model to follow the <ANALYSIS>/<SCORE>/<FOLLOW_UP_QUESTIONS> tag format,
+ * the rating request carries a JSON schema (`response_format: json_schema`, or a forced tool call for
+ * Anthropic). The reply is parsed, repaired where possible and validated, then converted back into the
+ * tag format so the rest of the pipeline (tooltip, cache, follow-up history) is unchanged.
+ * Invalid output is reported as an error so the caller retries it.
+ */
+
+const RATING_SCHEMA_NAME = 'tweet_rating';
+const STRUCTURED_FOLLOW_UP_COUNT = 3;
+
+/**
+ * Checks whether ratings with the given model should use structured output.
+ * Models whose capabilities are known (OpenRouter's catalogue) must list structured output support;
+ * models without capability info are assumed to support it, and fall back to tags if they fail.
+ * @param {string} modelId - The rating model.
+ * @returns {boolean}
+ */
+function isStructuredOutputEnabled(modelId) {
+    if (!browserGet('enableStructuredOutput', false)) return false;
+    const model = availableModels.find(m => m.slug === modelId || m.id === modelId);
+    const supportedParameters = model?.endpoint?.supported_parameters || model?.supported_parameters;
+    if (!Array.isArray(supportedParameters)) return true;
+    return supportedParameters.includes('structured_outputs') || supportedParameters.includes('response_format');
+}
+
+/**
+ * Builds the JSON schema of a single rating.
+ * @param {boolean} [withTweetId=false] - Whether each rating names its tweet (batch ratings).
+ * @returns {Object} The JSON schema.
+ */
+function buildRatingSchema(withTweetId = false) {
+    const properties = {};
+    if (withTweetId) {
+        properties.tweet_id = { type: 'string', description: "The tweet's ID, as given in <TARGET_TWEET_ID>" };
+    }
+    properties.analysis = { type: 'string', description: "Your analysis according to the user instructions" };
+    properties.score = { type: 'integer', minimum: scoreScale.min, maximum: scoreScale.max, description: `The score, where ${scoreScale.getPromptRange()}` };
+
+    const criteria = scoringCriteria.criteria;
+    if (criteria.length > 0) {
+        properties.sub_scores = {
+            type: 'object',
+            properties: Object.fromEntries(criteria.map(name => [name, { type: 'integer', minimum: 0, maximum: ScoringCriteria.MAX_SCORE }])),
+            required: criteria,
+            additionalProperties: false
+        };
+    }
+    properties.follow_up_questions = {
+        type: 'array',
+        items: { type: 'string' },
+        minItems: STRUCTURED_FOLLOW_UP_COUNT,
+        maxItems: STRUCTURED_FOLLOW_UP_COUNT,
+        description: 'Three follow-up questions the user might ask next'
+    };
+
+    return {
+        type: 'object',
+        properties,
+        required: Object.keys(properties),
+        additionalProperties: false
+    };
+}
+
+/**
+ * Adds a structured output schema to a rating request.
+ * @param {Object} requestBody - The completion request.
+ * @param {boolean} [batch=false] - Whether the request rates several tweets.
+ * @returns {Object} The same request.
+ */
+function applyStructuredOutput(requestBody, batch = false) {
+    const schema = batch
+        ? {
+            type: 'object',
+            properties: { results: { type: 'array', items: buildRatingSchema(true) } },
+            required: ['results'],
+            additionalProperties: false
+        }
+        : buildRatingSchema();
+    requestBody.response_format = {
+        type: 'json_schema',
+        json_schema: { name: RATING_SCHEMA_NAME, strict: true, schema }
+    };
+    return requestBody;
+}
+
+/**
+ * Gets the response format instructions sent in the user message in structured mode.
+ * @param {boolean} [batch=false] - Whether the request rates several tweets.
+ * @returns {string}
+ */
+function getStructuredFormatInstructions(batch = false) {
+    const fields = `"analysis" (your analysis according to the user instructions), "score" (where ${scoreScale.getPromptRange().replace(/ \(SCORE_.*\)$/, '')})`
+        + (scoringCriteria.criteria.length > 0 ? `, "sub_scores" (an integer from 0 to ${ScoringCriteria.MAX_SCORE} for each of: ${scoringCriteria.criteria.join(', ')})` : '')
+        + ` and "follow_up_questions" (three questions the user might ask next)`;
+    return batch
+        ? `Ignore the tag-based EXPECTED_RESPONSE_FORMAT. Respond only with a JSON object whose "results" array has one entry per tweet, in the order the tweets were given, each with "tweet_id", ${fields}.`
+        : `Ignore the tag-based EXPECTED_RESPONSE_FORMAT. Respond only with a JSON object with ${fields}.`;
+}
+
+/**
+ * Parses a JSON reply, repairing common problems: code fences, text around the object and trailing commas.
+ * @param {string} content - The model's reply.
+ * @returns {Object|null} The parsed object, or null if it couldn't be parsed.
+ */
+function parseStructuredJson(content) {
+    if (!content) return null;
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        // Fall through to the repairs below
+    }
+
+    let text = content.replace(/```(?:json)?/gi, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    text = text.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Validates a parsed rating against the schema, coercing values that are only slightly off
+ * (numeric strings, fractional scores, extra questions).
+ * @param {Object} value - The parsed rating.
+ * @returns {{rating: Object|null, errors: string[]}} The cleaned-up rating, or null with the reasons it is invalid.
+ */
+function validateStructuredRating(value) {
+    const errors = [];
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { rating: null, errors: ['Rating is not an object'] };
+    }
+
+    const analysis = typeof value.analysis === 'string' ? value.analysis.trim() : '';
+    if (!analysis) errors.push('"analysis" is missing or empty');
+
+    const score = Math.round(Number(value.score));
+    if (value.score === null || value.score === '' || isNaN(score) || score < scoreScale.min || score > scoreScale.max) {
+        errors.push(`"score" must be an integer from ${scoreScale.min} to ${scoreScale.max} (got ${JSON.stringify(value.score)})`);
+    }
+
+    let subScores = null;
+    if (value.sub_scores && typeof value.sub_scores === 'object') {
+        subScores = {};
+        for (const [name, subScore] of Object.entries(value.sub_scores)) {
+            const number = Number(subScore);
+            if (!isNaN(number)) subScores[name] = Math.max(0, Math.min(ScoringCriteria.MAX_SCORE, Math.round(number)));
+        }
+    }
+
+    const questions = Array.isArray(value.follow_up_questions)
+        ? value.follow_up_questions.filter(q => typeof q === 'string' && q.trim()).map(q => q.trim()).slice(0, STRUCTURED_FOLLOW_UP_COUNT)
+        : [];
+
+    if (errors.length > 0) return { rating: null, errors };
+    return {
+        rating: {
+            tweetId: value.tweet_id !== undefined ? String(value.tweet_id).replace(/[^\d]/g, '') : null,
+            analysis,
+            score,
+            subScores,
+            questions
+        },
+        errors
+    };
+}
+
+/**
+ * Converts a validated rating into the tag format used by the rest of the script.
+ * @param {Object} rating - A rating from validateStructuredRating.
+ * @returns {string}
+ */
+function structuredRatingToTags(rating) {
+    const subScores = rating.subScores && Object.keys(rating.subScores).length > 0
+        ? `\n<SUB_SCORES>\n${Object.entries(rating.subScores).map(([name, score]) => `  ${name}: ${score}`).join('\n')}\n</SUB_SCORES>\n`
+        : '\n';
+    // extractFollowUpQuestions needs all three markers
+    const questions = rating.questions.length === STRUCTURED_FOLLOW_UP_COUNT
+        ? `\n<FOLLOW_UP_QUESTIONS>\n${rating.questions.map((q, i) => `Q_${i + 1}. ${q}`).join('\n')}\n</FOLLOW_UP_QUESTIONS>`
+        : '';
+    return `<ANALYSIS>\n${rating.analysis}\n</ANALYSIS>\n<SCORE>\nSCORE_${rating.score}\n</SCORE>${subScores}${questions}`;
+}
+
+/**
+ * Parses and validates a structured rating reply.
+ * @param {string} content - The model's reply.
+ * @returns {{content: string|null, error: string|null}} The reply in tag format, or why it was rejected.
+ */
+function parseStructuredRating(content) {
+    const parsed = parseStructuredJson(content);
+    if (!parsed) return { content: null, error: 'Structured output is not valid JSON' };
+    const { rating, errors } = validateStructuredRating(parsed);
+    if (!rating) return { content: null, error: `Structured output failed validation: ${errors.join('; ')}` };
+    return { content: structuredRatingToTags(rating), error: null };
+}
+
+/**
+ * Splits a structured batch reply into one tag-format block per tweet (same output as parseBatchResponse).
+ * Results that fail validation are left out, so those tweets get rated individually.
+ * @param {string} content - The model's reply.
+ * @returns {Map<string, string>} Map of tweet ID to its response block.
+ */
+function parseStructuredBatchResponse(content) {
+    const blocks = new Map();
+    const parsed = parseStructuredJson(content);
+    const results = Array.isArray(parsed) ? parsed : parsed?.results;
+    if (!Array.isArray(results)) return blocks;
+
+    results.forEach(result => {
+        const { rating, errors } = validateStructuredRating(result);
+        if (!rating || !rating.tweetId) {
+            console.warn('[Structured Output] Skipping invalid batch result:', errors.join('; ') || 'missing tweet_id');
+            return;
+        }
+        blocks.set(rating.tweetId, structuredRatingToTags(rating));
+    });
+    return blocks;
+}
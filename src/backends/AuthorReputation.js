@@ -0,0 +1,188 @@
+//src/backends/AuthorReputation.js
+/**
+ * Keeps a per-author profile built from rating history: running mean, median, tweet count,
+ * last seen time and score trend. Profiles are shown in the tooltip and, if enabled,
+ * used to hide consistently low-scoring authors without spending an API call on them.
+ * Scores are stored on the 0-10 scale, so profiles survive score scale changes, and reported on the current scale.
+ * The auto-hide threshold is stored with the scale it was set on and converted the same way.
+ */
+class AuthorReputation {
+    static DEBOUNCE_DELAY = 1500;
+    // Scores kept per author for the median, the trend and de-duplicating re-applied ratings
+    static RECENT_SCORES_KEPT = 50;
+    static MAX_PROFILES = 2000;
+    static MIN_SCORES_FOR_TREND = 6;
+    // Difference between the older and newer half of the recent scores that counts as a trend
+    static TREND_DELTA = 0.5;
+    static DEFAULT_AUTO_HIDE_THRESHOLD = 3;
+    static DEFAULT_AUTO_HIDE_MIN_TWEETS = 10;
+    static STORED_SCALE = '0-10';
+
+    constructor() {
+        this.profiles = {};
+        this.loadFromStorage();
+        this.debouncedSaveToStorage = debounce(this.saveToStorage.bind(this), AuthorReputation.DEBOUNCE_DELAY);
+    }
+
+    /**
+     * Loads the author profiles from browser storage.
+     */
+    loadFromStorage() {
+        try {
+            this.profiles = JSON.parse(browserGet('authorProfiles', '{}')) || {};
+        } catch (error) {
+            console.error('Error loading author profiles:', error);
+            this.profiles = {};
+        }
+    }
+
+    /**
+     * Saves the author profiles to browser storage, dropping the least recently seen authors over the limit.
+     */
+    saveToStorage() {
+        const handles = Object.keys(this.profiles);
+        if (handles.length > AuthorReputation.MAX_PROFILES) {
+            handles
+                .sort((a, b) => this.profiles[a].lastSeen - this.profiles[b].lastSeen)
+                .slice(0, handles.length - AuthorReputation.MAX_PROFILES)
+                .forEach(handle => delete this.profiles[handle]);
+        }
+        try {
+            browserSet('authorProfiles', JSON.stringify(this.profiles));
+        } catch (error) {
+            console.error('Error saving author profiles:', error);
+        }
+    }
+
+    /**
+     * Records a tweet's score against its author.
+     * Cached ratings are re-applied whenever a tweet scrolls back into view, so a tweet that is
+     * still among the author's recent scores only has its score updated instead of being counted again.
+     * @param {string} handle - The author's handle (without @).
+     * @param {string} tweetId - The tweet ID.
+     * @param {number} score - The tweet's score, on the current scale.
+     */
+    recordScore(handle, tweetId, score) {
+        if (!handle || !tweetId || typeof score !== 'number' || isNaN(score)) return;
+        score = scoreScale.rescale(score, scoreScale.id, AuthorReputation.STORED_SCALE);
+        const key = handle.toLowerCase();
+        const profile = this.profiles[key] || (this.profiles[key] = { handle, count: 0, sum: 0, lastSeen: 0, recent: [] });
+
+        const existing = profile.recent.find(entry => entry.id === tweetId);
+        if (existing) {
+            if (existing.score === score) return;
+            profile.sum += score - existing.score;
+            existing.score = score;
+        } else {
+            profile.count++;
+            profile.sum += score;
+            profile.recent.push({ id: tweetId, score });
+            if (profile.recent.length > AuthorReputation.RECENT_SCORES_KEPT) {
+                profile.recent.shift();
+            }
+        }
+        profile.lastSeen = Date.now();
+        this.debouncedSaveToStorage();
+    }
+
+    /**
+     * Gets an author's profile summary, with scores on the current scale.
+     * @param {string} handle - The author's handle (without @).
+     * @returns {{handle: string, count: number, mean: number, median: number, lastSeen: number, trend: 'improving'|'declining'|'steady'|null}|null}
+     */
+    getProfile(handle) {
+        const profile = handle ? this.profiles[handle.toLowerCase()] : null;
+        if (!profile || profile.count === 0) return null;
+
+        const scores = profile.recent.map(entry => entry.score);
+        const sorted = [...scores].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+
+        let trend = null;
+        if (scores.length >= AuthorReputation.MIN_SCORES_FOR_TREND) {
+            const half = Math.floor(scores.length / 2);
+            const average = list => list.reduce((sum, score) => sum + score, 0) / list.length;
+            const delta = average(scores.slice(-half)) - average(scores.slice(0, half));
+            trend = delta > AuthorReputation.TREND_DELTA ? 'improving'
+                : delta < -AuthorReputation.TREND_DELTA ? 'declining'
+                : 'steady';
+        }
+
+        const toCurrentScale = score => scoreScale.rescale(score, AuthorReputation.STORED_SCALE);
+        return {
+            handle: profile.handle,
+            count: profile.count,
+            mean: toCurrentScale(profile.sum / profile.count),
+            median: toCurrentScale(median),
+            lastSeen: profile.lastSeen,
+            trend
+        };
+    }
+
+    /**
+     * Builds the one-line summary shown in the tooltip, e.g. "@user averages 3.2 over 41 tweets".
+     * @param {string} handle - The author's handle (without @).
+     * @returns {string} The summary, or '' if the author has no history.
+     */
+    describe(handle) {
+        const profile = this.getProfile(handle);
+        if (!profile) return '';
+        const details = [`median ${Number(profile.median.toFixed(1))}`];
+        if (profile.trend === 'improving') details.push('trending up');
+        if (profile.trend === 'declining') details.push('trending down');
+        return `@${profile.handle} averages ${profile.mean.toFixed(1)} over ${profile.count} tweet${profile.count === 1 ? '' : 's'} (${details.join(', ')})`;
+    }
+
+    /**
+     * Checks whether an author's tweets should be hidden without rating them
+     * (Settings > Instructions > Author Reputation).
+     * @param {string} handle - The author's handle (without @).
+     * @returns {boolean}
+     */
+    shouldAutoHide(handle) {
+        if (!browserGet('enableAuthorAutoHide', false)) return false;
+        const profile = this.getProfile(handle);
+        if (!profile) return false;
+        const threshold = this.getAutoHideThreshold();
+        const minTweets = parseInt(browserGet('authorAutoHideMinTweets', AuthorReputation.DEFAULT_AUTO_HIDE_MIN_TWEETS), 10);
+        return profile.count >= minTweets && profile.mean < threshold;
+    }
+
+    /**
+     * Gets the auto-hide threshold on the current scale.
+     * Thresholds saved before their scale was recorded were kept on the current scale.
+     * @returns {number}
+     */
+    getAutoHideThreshold() {
+        const threshold = parseFloat(browserGet('authorAutoHideThreshold', ''));
+        if (isNaN(threshold)) {
+            return scoreScale.rescale(AuthorReputation.DEFAULT_AUTO_HIDE_THRESHOLD, AuthorReputation.STORED_SCALE);
+        }
+        return scoreScale.rescale(threshold, browserGet('authorAutoHideThresholdScale', scoreScale.id));
+    }
+
+    /**
+     * Sets the auto-hide threshold, recording the current scale with it.
+     * @param {number} threshold - The threshold, on the current scale.
+     */
+    setAutoHideThreshold(threshold) {
+        browserSet('authorAutoHideThreshold', threshold);
+        browserSet('authorAutoHideThresholdScale', scoreScale.id);
+    }
+
+    /** @returns {number} Number of authors with a profile. */
+    get size() {
+        return Object.keys(this.profiles).length;
+    }
+
+    /**
+     * Deletes all author profiles.
+     */
+    clear() {
+        this.profiles = {};
+        this.saveToStorage();
+    }
+}
+
+const authorReputation = new AuthorReputation();
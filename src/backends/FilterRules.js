@@ -0,0 +1,302 @@
+//src/backends/FilterRules.js
+/**
+ * Local pre-filter rules, checked before a tweet is sent to the model.
+ * Each rule matches tweet text, quoted text, handles or signals against keywords, phrases or a regex,
+ * and decides what happens to the tweet without (or before) an API call.
+ * Signals are words describing what the tweet carries (see SIGNALS), e.g. a "community_note" rule that
+ * forces a low score. Keyword and phrase rules match signals by exact name; a regex is tested on each signal.
+ * Rules are checked in order and the first match wins.
+ */
+class FilterRules {
+    static DEBOUNCE_DELAY = 1500;
+    static TYPES = {
+        keyword: 'Keywords',
+        phrase: 'Phrases',
+        regex: 'Regex'
+    };
+    static TARGETS = {
+        any: 'Anywhere',
+        text: 'Tweet text',
+        quoted: 'Quoted text',
+        handle: 'Handles',
+        signals: 'Signals'
+    };
+    static SIGNALS = {
+        community_note: 'The tweet has a Community Note',
+        poll: 'The tweet has a poll',
+        verified: 'The author has any verified checkmark',
+        verified_blue: 'Blue checkmark',
+        verified_business: 'Gold checkmark (organisation)',
+        verified_government: 'Grey checkmark (government)',
+        affiliate: 'The author has an affiliate badge',
+        unverified: 'The author has no checkmark'
+    };
+    static ACTIONS = {
+        hide: 'Hide',
+        show: 'Always show',
+        score: 'Force score',
+        llm: 'Send to LLM'
+    };
+
+    constructor() {
+        /** @type {{id: string, enabled: boolean, type: string, target: string, pattern: string, action: string, score: number, hits: number, lastHit: number|null}[]} */
+        this.rules = [];
+        // Compiled matchers keyed by rule ID, rebuilt when a rule's type or pattern changes
+        this.matchers = new Map();
+        // IDs of the tweets each rule has matched this session, keyed by rule ID, so reprocessed tweets aren't counted again
+        this.hitTweetIds = new Map();
+        this.loadFromStorage();
+        this.debouncedSaveToStorage = debounce(this.saveToStorage.bind(this), FilterRules.DEBOUNCE_DELAY);
+    }
+
+    /**
+     * Loads the rules from browser storage.
+     */
+    loadFromStorage() {
+        try {
+            const stored = JSON.parse(browserGet('filterRules', '[]'));
+            this.rules = Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error('Error loading filter rules:', error);
+            this.rules = [];
+        }
+    }
+
+    /**
+     * Saves the rules (including hit counters) to browser storage.
+     */
+    saveToStorage() {
+        try {
+            browserSet('filterRules', JSON.stringify(this.rules));
+        } catch (error) {
+            console.error('Error saving filter rules:', error);
+        }
+    }
+
+    /**
+     * Adds a new, empty rule at the end of the list.
+     * @returns {Object} The new rule.
+     */
+    add() {
+        const rule = {
+            id: `rule-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+            enabled: true,
+            type: 'keyword',
+            target: 'any',
+            pattern: '',
+            action: 'hide',
+            score: scoreScale.min,
+            hits: 0,
+            lastHit: null
+        };
+        this.rules.push(rule);
+        this.saveToStorage();
+        return rule;
+    }
+
+    /**
+     * Updates a rule's fields.
+     * @param {string} id - The rule ID.
+     * @param {Object} changes - Fields to change.
+     * @returns {{success: boolean, message: string}} Result; fails if the change would leave the rule invalid.
+     */
+    update(id, changes) {
+        const rule = this.rules.find(r => r.id === id);
+        if (!rule) return { success: false, message: 'Rule not found.' };
+
+        const updated = { ...rule, ...changes };
+        const error = FilterRules.validate(updated);
+        if (error) return { success: false, message: error };
+
+        Object.assign(rule, updated);
+        this.matchers.delete(id);
+        this.saveToStorage();
+        return { success: true, message: 'Rule saved.' };
+    }
+
+    /**
+     * Deletes a rule.
+     * @param {string} id - The rule ID.
+     */
+    remove(id) {
+        this.rules = this.rules.filter(r => r.id !== id);
+        this.matchers.delete(id);
+        this.hitTweetIds.delete(id);
+        this.saveToStorage();
+    }
+
+    /**
+     * Moves a rule one place up or down (rules are checked in order).
+     * @param {string} id - The rule ID.
+     * @param {number} direction - -1 to move up, 1 to move down.
+     */
+    move(id, direction) {
+        const index = this.rules.findIndex(r => r.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.rules.length) return;
+        [this.rules[index], this.rules[target]] = [this.rules[target], this.rules[index]];
+        this.saveToStorage();
+    }
+
+    /**
+     * Resets every rule's hit counter.
+     */
+    resetHits() {
+        this.rules.forEach(rule => {
+            rule.hits = 0;
+            rule.lastHit = null;
+        });
+        this.hitTweetIds.clear();
+        this.saveToStorage();
+    }
+
+    /**
+     * Converts the forced scores of 'score' rules after the score scale changes.
+     * @param {string} fromId - The previous score scale.
+     */
+    convertScores(fromId) {
+        this.rules.forEach(rule => {
+            rule.score = scoreScale.convert(Number(rule.score), fromId);
+        });
+        this.saveToStorage();
+    }
+
+    /**
+     * Checks a rule for problems.
+     * @param {Object} rule - The rule to check.
+     * @returns {string} An error message, or '' if the rule is valid.
+     */
+    static validate(rule) {
+        if (!FilterRules.TYPES[rule.type]) return `Unknown rule type "${rule.type}".`;
+        if (!FilterRules.TARGETS[rule.target]) return `Unknown rule target "${rule.target}".`;
+        if (!FilterRules.ACTIONS[rule.action]) return `Unknown rule action "${rule.action}".`;
+        if (rule.action === 'score') {
+            const score = Number(rule.score);
+            if (!Number.isInteger(score) || score < scoreScale.min || score > scoreScale.max) {
+                return `Forced score must be a whole number from ${scoreScale.min} to ${scoreScale.max}.`;
+            }
+        }
+        if (rule.target === 'signals' && rule.type !== 'regex') {
+            const unknown = rule.pattern.split(',').map(entry => entry.trim().toLowerCase())
+                .filter(entry => entry && !FilterRules.SIGNALS[entry]);
+            if (unknown.length > 0) {
+                return `Unknown signal "${unknown[0]}". Signals are: ${Object.keys(FilterRules.SIGNALS).join(', ')}.`;
+            }
+        }
+        if (rule.type === 'regex' && rule.pattern.trim()) {
+            try {
+                FilterRules.#compileRegex(rule.pattern);
+            } catch (error) {
+                return `Invalid regex: ${error.message}`;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Finds the first enabled rule matching a tweet and counts the hit (once per tweet and rule).
+     * @param {Object} tweet - What the rules can match against.
+     * @param {string} tweet.text - The tweet's own text.
+     * @param {string} tweet.quotedText - The quoted tweet's text ('' if none).
+     * @param {string[]} tweet.handles - Author and quoted author handles (without @).
+     * @param {string[]} [tweet.signals] - The tweet's signals (keys of SIGNALS).
+     * @param {string} [tweetId] - The tweet's ID; without one, every match is counted.
+     * @returns {Object|null} The matching rule, or null.
+     */
+    evaluate({ text, quotedText, handles, signals }, tweetId) {
+        const fields = {
+            text: [text || ''],
+            quoted: [quotedText || ''],
+            handle: (handles || []).filter(Boolean),
+            signals: (signals || []).filter(Boolean)
+        };
+        for (const rule of this.rules) {
+            if (!rule.enabled || !rule.pattern.trim()) continue;
+            const matcher = this.#getMatcher(rule);
+            if (!matcher) continue;
+
+            // Signals are only matched by rules targeting them, so "poll" in "Anywhere" means the word
+            const values = rule.target === 'any'
+                ? [...fields.text, ...fields.quoted, ...fields.handle]
+                : fields[rule.target];
+            if (values.some(value => value && matcher(value))) {
+                this.#countHit(rule, tweetId);
+                return rule;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Counts a rule's hit, unless the rule already matched the tweet this session.
+     * @param {Object} rule - The matching rule.
+     * @param {string} [tweetId] - The tweet's ID.
+     */
+    #countHit(rule, tweetId) {
+        if (tweetId) {
+            if (!this.hitTweetIds.has(rule.id)) this.hitTweetIds.set(rule.id, new Set());
+            const tweetIds = this.hitTweetIds.get(rule.id);
+            if (tweetIds.has(tweetId)) return;
+            tweetIds.add(tweetId);
+        }
+        rule.hits = (rule.hits || 0) + 1;
+        rule.lastHit = Date.now();
+        this.debouncedSaveToStorage();
+    }
+
+    /**
+     * Gets (and caches) a function that tests a string against a rule's pattern.
+     * @param {Object} rule - The rule.
+     * @returns {Function|null} The matcher, or null if the pattern can't be used.
+     */
+    #getMatcher(rule) {
+        if (this.matchers.has(rule.id)) return this.matchers.get(rule.id);
+
+        let matcher = null;
+        try {
+            if (rule.type === 'regex') {
+                const regex = FilterRules.#compileRegex(rule.pattern);
+                matcher = value => {
+                    regex.lastIndex = 0;
+                    return regex.test(value);
+                };
+            } else {
+                const entries = rule.pattern.split(',')
+                    .map(entry => entry.trim().replace(/^@/, '').replace(/\s+/g, ' ').toLowerCase())
+                    .filter(Boolean);
+                if (entries.length === 0) {
+                    matcher = null;
+                } else if (rule.target === 'signals') {
+                    // Each signal is matched whole, so "verified" doesn't fire on "unverified"
+                    matcher = value => entries.includes(value);
+                } else if (rule.type === 'keyword') {
+                    // Whole-word match, so "ai" doesn't fire on "said"
+                    const alternatives = entries.map(entry => entry.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+                    const regex = new RegExp(`(?:^|[^\\p{L}\\p{N}_])(?:${alternatives})(?=$|[^\\p{L}\\p{N}_])`, 'iu');
+                    matcher = value => regex.test(value);
+                } else {
+                    matcher = value => {
+                        const normalized = value.replace(/\s+/g, ' ').toLowerCase();
+                        return entries.some(entry => normalized.includes(entry));
+                    };
+                }
+            }
+        } catch (error) {
+            console.warn(`[FilterRules] Skipping rule ${rule.id} with unusable pattern:`, error);
+        }
+        this.matchers.set(rule.id, matcher);
+        return matcher;
+    }
+
+    /**
+     * Compiles a regex pattern written either as "/body/flags" or as a bare body (case-insensitive).
+     * @param {string} pattern - The pattern.
+     * @returns {RegExp}
+     */
+    static #compileRegex(pattern) {
+        const literal = pattern.trim().match(/^\/(.+)\/([a-z]*)$/);
+        return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern.trim(), 'i');
+    }
+}
+
+const filterRules = new FilterRules();
@@ -0,0 +1,212 @@
+//src/backends/ImageOcr.js
+/**
+ * Local OCR of tweet images (Settings > Models > Image Text (OCR)) for rating models that can't see images.
+ * Text in screenshots, memes and text-in-image posts is extracted in the browser and added to the tweet's
+ * context as "[IMAGE n OCR]", at no API cost.
+ *
+ * The engine is Tesseract: tesseract.js (the header's @require) runs its WASM build in a Web Worker. The
+ * worker script and WASM core ship with the script as @resources and are started from blob URLs, so the
+ * page's content security policy doesn't block them. The English language data (about 2 MB) and the images
+ * are fetched with GM_xmlhttpRequest, which the policy doesn't apply to, and the language data is handed to
+ * the worker directly. It is downloaded once per page load, when the first image is read.
+ *
+ * OCR is off by default, since it adds that download and the engine's memory use. The worker is terminated
+ * after a minute without work. If it can't be started, OCR is skipped until the page is reloaded.
+ */
+class ImageOcr {
+    static LANGUAGE = 'eng';
+    // The data Tesseract itself loads for the LSTM engine (gzipped; the worker unzips it)
+    static LANGUAGE_DATA_URL = 'https://cdn.jsdelivr.net/npm/@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz';
+    static LANGUAGE_DATA_TIMEOUT = 60000;
+    static TIMEOUT = 20000;
+    static IDLE_TIMEOUT = 60 * 1000;
+    // Lines recognised with less confidence (0-100) are dropped as noise
+    static MIN_LINE_CONFIDENCE = 60;
+    static MAX_TEXT_LENGTH = 1000;
+    static MAX_ENTRIES = 200;
+
+    constructor() {
+        /** @type {Map<string, Promise<string>>} Recognised text by image URL (oldest first) */
+        this.results = new Map();
+        /** @type {Promise<Object>|null} The Tesseract worker, once started */
+        this.worker = null;
+        /** @type {Promise<ArrayBuffer>|null} The language data, once downloaded (kept when the worker is terminated) */
+        this.languageData = null;
+        this.idleTimer = null;
+        this.activeJobs = 0;
+        this.unavailable = false;
+    }
+
+    /** @returns {boolean} Whether OCR is turned on and the engine could be started. */
+    get enabled() {
+        return !!browserGet('enableImageOcr', false) && !this.unavailable;
+    }
+
+    /**
+     * Checks whether images should be read with OCR for a rating model.
+     * @param {string} ratingModel - The rating model ID.
+     * @returns {boolean} True if OCR is on and the model doesn't take images itself.
+     */
+    appliesTo(ratingModel) {
+        return this.enabled && !modelSupportsImages(ratingModel);
+    }
+
+    /**
+     * Reads the text in the images among media URLs (videos are skipped).
+     * @param {string[]} mediaUrls - The media URLs.
+     * @param {string} [label='IMAGE'] - The label of each image, numbered as in the image descriptions.
+     * @returns {Promise<string>} One "[IMAGE n OCR]: text" line per image with text, or '' if none has any.
+     */
+    async describe(mediaUrls, label = 'IMAGE') {
+        const images = (mediaUrls || []).filter(url => !videoFrames.isVideo(url));
+        const texts = await Promise.all(images.map(url => this.recognize(url)));
+        return texts
+            .map((text, index) => text ? `[${label} ${index + 1} OCR]: ${text}` : '')
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * Reads the text in an image. Results are kept per URL; failures are logged and read as no text.
+     * @param {string} url - The image URL.
+     * @returns {Promise<string>} The text, or '' if none was found.
+     */
+    recognize(url) {
+        if (this.results.has(url)) return this.results.get(url);
+
+        const result = this.#recognize(url).catch(error => {
+            console.warn(`[OCR] Could not read ${url}:`, error.message);
+            this.results.delete(url); // Try again next time
+            return '';
+        });
+        this.results.set(url, result);
+
+        while (this.results.size > ImageOcr.MAX_ENTRIES) {
+            this.results.delete(this.results.keys().next().value);
+        }
+        return result;
+    }
+
+    /**
+     * Downloads an image and runs it through the worker.
+     * @param {string} url - The image URL.
+     * @returns {Promise<string>}
+     */
+    async #recognize(url) {
+        const response = await gmRequest({ method: 'GET', url, responseType: 'blob', timeout: ImageOcr.TIMEOUT });
+        if (response.status !== 200 || !response.response) {
+            throw new Error(`Image request returned status ${response.status}`);
+        }
+
+        this.activeJobs++;
+        clearTimeout(this.idleTimer);
+        let timer = null;
+        try {
+            const worker = await this.#getWorker();
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`OCR timed out after ${ImageOcr.TIMEOUT}ms`)), ImageOcr.TIMEOUT);
+            });
+            const { data } = await Promise.race([worker.recognize(response.response), timeout]);
+            return ImageOcr.cleanText(data);
+        } catch (error) {
+            // A stuck worker would hold up every later image; start a fresh one next time
+            if (!this.unavailable) this.#terminate();
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            this.activeJobs--;
+            if (this.activeJobs === 0) {
+                this.idleTimer = setTimeout(() => this.#terminate(), ImageOcr.IDLE_TIMEOUT);
+            }
+        }
+    }
+
+    /**
+     * Starts the Tesseract worker, or returns the running one.
+     * @returns {Promise<Object>} The Tesseract worker.
+     */
+    #getWorker() {
+        if (!this.worker) {
+            this.worker = this.#createWorker().catch(error => {
+                console.error('[OCR] Could not start the OCR engine, OCR is off until the page is reloaded:', error);
+                this.unavailable = true;
+                this.worker = null;
+                throw error;
+            });
+        }
+        return this.worker;
+    }
+
+    /** Terminates the worker to free its memory; it is started again when needed. */
+    #terminate() {
+        const worker = this.worker;
+        this.worker = null;
+        worker?.then(w => w.terminate()).catch(() => {});
+    }
+
+    /**
+     * Downloads the language data, or returns it if it was already downloaded.
+     * @returns {Promise<ArrayBuffer>}
+     */
+    #getLanguageData() {
+        if (!this.languageData) {
+            this.languageData = gmRequest({
+                method: 'GET',
+                url: ImageOcr.LANGUAGE_DATA_URL,
+                responseType: 'arraybuffer',
+                anonymous: true,
+                timeout: ImageOcr.LANGUAGE_DATA_TIMEOUT
+            }).then(response => {
+                if (response.status !== 200 || !response.response) {
+                    throw new Error(`Language data request returned status ${response.status}`);
+                }
+                return response.response;
+            }).catch(error => {
+                this.languageData = null;
+                throw error;
+            });
+        }
+        return this.languageData;
+    }
+
+    /**
+     * Creates a Tesseract worker from the bundled worker script and WASM core, with the downloaded language data.
+     * @returns {Promise<Object>}
+     */
+    async #createWorker() {
+        if (typeof Tesseract === 'undefined') throw new Error('tesseract.js is not loaded');
+        const data = new Uint8Array(await this.#getLanguageData());
+        const toBlobUrl = resourceName => URL.createObjectURL(
+            new Blob([GM_getResourceText(resourceName)], { type: 'application/javascript' })
+        );
+        // Language data given as {code, data} is used as is, instead of being fetched from langPath in the worker
+        return Tesseract.createWorker([{ code: ImageOcr.LANGUAGE, data }], Tesseract.OEM.LSTM_ONLY, {
+            workerPath: toBlobUrl('OCR_WORKER'),
+            workerBlobURL: false, // workerPath is already a blob URL
+            // Tesseract only loads corePath as the script itself if it ends in "js"
+            corePath: `${toBlobUrl('OCR_CORE')}#tesseract-core.wasm.js`,
+            // The data isn't fetched, so there's nothing for Tesseract to cache
+            cacheMethod: 'none'
+        });
+    }
+
+    /**
+     * Turns a Tesseract result into the text for the model: confident lines only, whitespace collapsed,
+     * and capped at MAX_TEXT_LENGTH.
+     * @param {Object} data - Tesseract's recognition result.
+     * @returns {string}
+     */
+    static cleanText(data) {
+        const lines = Array.isArray(data?.lines)
+            ? data.lines.filter(line => line.confidence >= ImageOcr.MIN_LINE_CONFIDENCE).map(line => line.text)
+            : (data?.confidence >= ImageOcr.MIN_LINE_CONFIDENCE ? String(data.text || '').split('\n') : []);
+        const text = lines
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            // Drop specks read as stray characters
+            .filter(line => (line.match(/[\p{L}\p{N}]/gu) || []).length >= 2)
+            .join(' / ');
+        return text.length > ImageOcr.MAX_TEXT_LENGTH ? `${text.slice(0, ImageOcr.MAX_TEXT_LENGTH)}…` : text;
+    }
+}
+
+const imageOcr = new ImageOcr();
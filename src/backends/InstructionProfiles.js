@@ -0,0 +1,320 @@
+//src/backends/InstructionProfiles.js
+/**
+ * Named instruction profiles (Settings > Instructions > Instruction Profiles), for reading different feeds
+ * (Home, Lists, Search, a user's profile, threads) with different instructions, thresholds and models.
+ *
+ * The Default profile is the regular settings: Custom Instructions, the filter slider and the rating model.
+ * A named profile overrides any of them; empty fields fall back to the Default profile's value.
+ * Mapping rules pick the active profile from the page path or the selected timeline tab. Rules are checked
+ * in order, the first match wins, and the Default profile is used when nothing matches.
+ *
+ * Each cached rating records the profile, instructions and model that produced it; ratings made with another
+ * profile's instructions or model aren't reused (see TweetCache.isCurrent).
+ */
+class InstructionProfiles {
+    static DEFAULT_ID = 'default';
+    static DEFAULT_NAME = 'Default';
+    static RULE_TYPES = {
+        path: 'Page path',
+        tab: 'Timeline tab'
+    };
+
+    constructor() {
+        /** @type {{id: string, name: string, instructions: string, threshold: number|null, model: string}[]} */
+        this.profiles = [];
+        /** @type {{id: string, type: string, pattern: string, profileId: string}[]} */
+        this.rules = [];
+        this.activeId = InstructionProfiles.DEFAULT_ID;
+        this.loadFromStorage();
+    }
+
+    /**
+     * Loads the profiles and mapping rules from browser storage.
+     */
+    loadFromStorage() {
+        try {
+            const stored = JSON.parse(browserGet('instructionProfiles', '{}'));
+            this.profiles = Array.isArray(stored.profiles) ? stored.profiles : [];
+            this.rules = Array.isArray(stored.rules) ? stored.rules : [];
+        } catch (error) {
+            console.error('Error loading instruction profiles:', error);
+            this.profiles = [];
+            this.rules = [];
+        }
+    }
+
+    /**
+     * Saves the profiles and mapping rules to browser storage.
+     */
+    saveToStorage() {
+        try {
+            browserSet('instructionProfiles', JSON.stringify({ profiles: this.profiles, rules: this.rules }));
+        } catch (error) {
+            console.error('Error saving instruction profiles:', error);
+        }
+    }
+
+    /** @returns {Object|null} The active named profile, or null if the Default profile is active. */
+    get active() {
+        return this.getProfile(this.activeId);
+    }
+
+    /**
+     * Gets a named profile.
+     * @param {string} id - The profile ID.
+     * @returns {Object|null} The profile, or null for the Default profile or an unknown ID.
+     */
+    getProfile(id) {
+        return this.profiles.find(p => p.id === id) || null;
+    }
+
+    /**
+     * Gets a profile's display name.
+     * @param {string} id - The profile ID.
+     * @returns {string}
+     */
+    getName(id) {
+        return this.getProfile(id)?.name || InstructionProfiles.DEFAULT_NAME;
+    }
+
+    /**
+     * Gets the active filter threshold.
+     * @returns {number} The active profile's threshold, or the filter slider's value.
+     */
+    getThreshold() {
+        const threshold = this.active?.threshold;
+        return threshold !== null && threshold !== undefined
+            ? threshold
+            : parseInt(browserGet('filterThreshold', '5'), 10);
+    }
+
+    /**
+     * Gets the active rating model.
+     * @param {string} defaultModel - The rating model chosen in Settings > General.
+     * @returns {string}
+     */
+    getModel(defaultModel) {
+        return this.active?.model || defaultModel;
+    }
+
+    /**
+     * Gets the active profile's own instructions.
+     * @returns {string} The instructions, or '' if the profile uses the Default instructions.
+     */
+    getInstructions() {
+        return this.active?.instructions?.trim() || '';
+    }
+
+    /**
+     * Saves a new threshold for the active profile, if it has its own (e.g. from the filter slider).
+     * @param {number} threshold - The new threshold.
+     * @returns {boolean} True if the active profile took it; false if it belongs to the Default profile.
+     */
+    setActiveThreshold(threshold) {
+        const profile = this.active;
+        if (!profile || profile.threshold === null || profile.threshold === undefined) return false;
+        profile.threshold = threshold;
+        this.saveToStorage();
+        return true;
+    }
+
+    /**
+     * Adds a new profile, starting from the given instructions.
+     * @param {string} instructions - The instructions to start from.
+     * @returns {Object} The new profile.
+     */
+    add(instructions) {
+        const profile = {
+            id: `profile-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+            name: `Profile ${this.profiles.length + 1}`,
+            instructions: instructions || '',
+            threshold: null,
+            model: ''
+        };
+        this.profiles.push(profile);
+        this.saveToStorage();
+        return profile;
+    }
+
+    /**
+     * Updates a profile's fields.
+     * @param {string} id - The profile ID.
+     * @param {Object} changes - Fields to change.
+     * @returns {{success: boolean, message: string}} Result; fails if the change would leave the profile invalid.
+     */
+    update(id, changes) {
+        const profile = this.getProfile(id);
+        if (!profile) return { success: false, message: 'Profile not found.' };
+
+        const updated = { ...profile, ...changes };
+        updated.name = String(updated.name || '').trim();
+        updated.model = String(updated.model || '').trim();
+        if (updated.threshold === '' || updated.threshold === undefined) updated.threshold = null;
+
+        const error = InstructionProfiles.validate(updated);
+        if (error) return { success: false, message: error };
+
+        if (updated.threshold !== null) updated.threshold = Number(updated.threshold);
+        Object.assign(profile, updated);
+        this.saveToStorage();
+        return { success: true, message: 'Profile saved.' };
+    }
+
+    /**
+     * Deletes a profile and the mapping rules that point to it.
+     * @param {string} id - The profile ID.
+     */
+    remove(id) {
+        this.profiles = this.profiles.filter(p => p.id !== id);
+        this.rules = this.rules.filter(r => r.profileId !== id);
+        this.saveToStorage();
+    }
+
+    /**
+     * Adds a new, empty mapping rule at the end of the list.
+     * @returns {Object} The new rule.
+     */
+    addRule() {
+        const rule = {
+            id: `profile-rule-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+            type: 'path',
+            pattern: '',
+            profileId: this.profiles[0]?.id || InstructionProfiles.DEFAULT_ID
+        };
+        this.rules.push(rule);
+        this.saveToStorage();
+        return rule;
+    }
+
+    /**
+     * Updates a mapping rule's fields.
+     * @param {string} id - The rule ID.
+     * @param {Object} changes - Fields to change.
+     * @returns {{success: boolean, message: string}}
+     */
+    updateRule(id, changes) {
+        const rule = this.rules.find(r => r.id === id);
+        if (!rule) return { success: false, message: 'Rule not found.' };
+
+        const updated = { ...rule, ...changes };
+        if (!InstructionProfiles.RULE_TYPES[updated.type]) return { success: false, message: `Unknown rule type "${updated.type}".` };
+        if (updated.profileId !== InstructionProfiles.DEFAULT_ID && !this.getProfile(updated.profileId)) {
+            return { success: false, message: 'Unknown profile.' };
+        }
+
+        Object.assign(rule, updated);
+        this.saveToStorage();
+        return { success: true, message: 'Rule saved.' };
+    }
+
+    /**
+     * Deletes a mapping rule.
+     * @param {string} id - The rule ID.
+     */
+    removeRule(id) {
+        this.rules = this.rules.filter(r => r.id !== id);
+        this.saveToStorage();
+    }
+
+    /**
+     * Moves a mapping rule one place up or down (rules are checked in order).
+     * @param {string} id - The rule ID.
+     * @param {number} direction - -1 to move up, 1 to move down.
+     */
+    moveRule(id, direction) {
+        const index = this.rules.findIndex(r => r.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.rules.length) return;
+        [this.rules[index], this.rules[target]] = [this.rules[target], this.rules[index]];
+        this.saveToStorage();
+    }
+
+    /**
+     * Finds the profile for a page.
+     * @param {Object} context - The page context.
+     * @param {string} context.pathname - The page path, e.g. "/home" or "/i/lists/123".
+     * @param {string} context.tab - The selected timeline tab's label, e.g. "Following" ('' if none).
+     * @returns {string} The ID of the first matching rule's profile, or the Default profile's.
+     */
+    resolve({ pathname, tab }) {
+        for (const rule of this.rules) {
+            if (!rule.pattern.trim()) continue;
+            const matches = rule.type === 'tab'
+                ? InstructionProfiles.matchesTab(rule.pattern, tab)
+                : InstructionProfiles.matchesPath(rule.pattern, pathname);
+            if (matches && (rule.profileId === InstructionProfiles.DEFAULT_ID || this.getProfile(rule.profileId))) {
+                return rule.profileId;
+            }
+        }
+        return InstructionProfiles.DEFAULT_ID;
+    }
+
+    /**
+     * Switches to the profile for a page.
+     * @param {Object} context - The page context (see resolve).
+     * @returns {boolean} True if the active profile changed.
+     */
+    activateFor(context) {
+        const id = this.resolve(context);
+        if (id === this.activeId) return false;
+        this.activeId = id;
+        return true;
+    }
+
+    /**
+     * Converts the profiles' thresholds after the score scale changes.
+     * @param {string} fromId - The previous score scale.
+     */
+    convertThresholds(fromId) {
+        this.profiles.forEach(profile => {
+            if (profile.threshold !== null && profile.threshold !== undefined) {
+                profile.threshold = scoreScale.convert(Number(profile.threshold), fromId);
+            }
+        });
+        this.saveToStorage();
+    }
+
+    /**
+     * Checks a profile for problems.
+     * @param {Object} profile - The profile to check.
+     * @returns {string} An error message, or '' if the profile is valid.
+     */
+    static validate(profile) {
+        if (!profile.name) return 'Profile name cannot be empty.';
+        if (profile.threshold !== null) {
+            const threshold = Number(profile.threshold);
+            if (!Number.isInteger(threshold) || threshold < scoreScale.min || threshold > scoreScale.max) {
+                return `Threshold must be a whole number from ${scoreScale.min} to ${scoreScale.max}, or empty to use the filter slider.`;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Matches a page path against a rule pattern. Patterns match the whole path, case-insensitively;
+     * "*" matches any run of characters and a trailing slash is ignored (e.g. "/i/lists/*" or "/search*").
+     * @param {string} pattern - The rule pattern.
+     * @param {string} pathname - The page path.
+     * @returns {boolean}
+     */
+    static matchesPath(pattern, pathname) {
+        const normalize = path => path.trim().replace(/(.)\/+$/, '$1');
+        const source = normalize(pattern)
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${source}$`, 'i').test(normalize(pathname || ''));
+    }
+
+    /**
+     * Matches the selected timeline tab's label against a rule pattern (case-insensitive).
+     * @param {string} pattern - The rule pattern, e.g. "Following".
+     * @param {string} tab - The selected tab's label.
+     * @returns {boolean}
+     */
+    static matchesTab(pattern, tab) {
+        return !!tab && pattern.trim().toLowerCase() === tab.trim().toLowerCase();
+    }
+}
+
+const instructionProfiles = new InstructionProfiles();
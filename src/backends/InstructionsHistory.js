@@ -15,12 +15,11 @@ class InstructionsHistory {
     }
 
     /**
-     * Generates a simple hash of a string
-     * @private
+     * Generates a simple hash of a string (also used to record which instructions produced a rating)
      * @param {string} str - String to hash
      * @returns {string} - Hash of the string
      */
-    #hashString(str) {
+    static hashString(str) {
         let hash = 0;
         for (let i = 0; i < str.length; i++) {
             const char = str.charCodeAt(i);
@@ -47,7 +46,7 @@ class InstructionsHistory {
             // Add hashes to existing entries if they don't have them
             this.history = this.history.map(entry => ({
                 ...entry,
-                hash: entry.hash || this.#hashString(entry.instructions)
+                hash: entry.hash || InstructionsHistory.hashString(entry.instructions)
             }));
         } catch (e) {
             console.error('Error loading instructions history:', e);
@@ -80,7 +79,7 @@ class InstructionsHistory {
                 throw new Error('Invalid instructions or summary');
             }
 
-            const hash = this.#hashString(instructions.trim());
+            const hash = InstructionsHistory.hashString(instructions.trim());
             
             // Check if these instructions already exist
             const existingIndex = this.history.findIndex(entry => entry.hash === hash);
@@ -115,6 +114,42 @@ class InstructionsHistory {
         }
     }
 
+    /**
+     * Merges history entries from another device (sync). Entries are matched by their instructions;
+     * the one with the newer timestamp wins, and the most recent entries are kept.
+     * @param {Array} entries - The other device's history entries
+     * @returns {number} - The number of entries added or updated
+     */
+    merge(entries) {
+        if (!Array.isArray(entries)) return 0;
+        let changed = 0;
+        entries.forEach(entry => {
+            if (typeof entry?.instructions !== 'string' || !entry.instructions.trim() || typeof entry.timestamp !== 'number') return;
+            const hash = InstructionsHistory.hashString(entry.instructions.trim());
+            const existing = this.history.find(e => e.hash === hash);
+            if (existing && existing.timestamp >= entry.timestamp) return;
+            if (existing) {
+                existing.timestamp = entry.timestamp;
+                existing.summary = String(entry.summary || existing.summary);
+            } else {
+                this.history.push({
+                    instructions: entry.instructions.trim(),
+                    summary: String(entry.summary || ''),
+                    timestamp: entry.timestamp,
+                    hash
+                });
+            }
+            changed++;
+        });
+
+        if (changed > 0) {
+            this.history.sort((a, b) => b.timestamp - a.timestamp);
+            this.history = this.history.slice(0, this.maxEntries);
+            this.#saveToStorage();
+        }
+        return changed;
+    }
+
     /**
      * Removes an entry from history
      * @param {number} index - The index of the entry to remove
@@ -39,17 +39,28 @@ class InstructionsManager {
 
         return { 
             success: true, 
-            message: 'Scoring instructions saved! New tweets will use these instructions.',
-            shouldClearCache: true
+            message: 'Scoring instructions saved! Tweets rated with other instructions will be re-rated.'
         };
     }
 
     /**
-     * Gets the current instructions
+     * Gets the current instructions: the active instruction profile's, or the saved custom instructions
      * @returns {string}
      */
     getCurrentInstructions() {
-        return this.currentInstructions;
+        return instructionProfiles.getInstructions() || this.currentInstructions;
+    }
+
+    /**
+     * Gets the hash of the current instructions and scoring criteria, recorded with each rating so ratings
+     * made with other instructions or criteria aren't reused. Without criteria it is the instructions' hash alone,
+     * so ratings from before criteria existed stay current
+     * @returns {string}
+     */
+    getCurrentHash() {
+        const instructions = (this.getCurrentInstructions() || '').trim();
+        const criteria = scoringCriteria.criteria;
+        return InstructionsHistory.hashString(criteria.length > 0 ? `${instructions}\n<CRITERIA>${criteria.join(',')}` : instructions);
     }
 
     /**
@@ -0,0 +1,124 @@
+//src/backends/LinkMetadata.js
+/**
+ * Context for the links in a tweet (see extractLinkCards), added to the rating context as "[LINK_CARD]"
+ * sections. A link is described by its preview card's domain, title and description. With Fetch Link
+ * Metadata on (Settings > Models), the linked page's <title> and OpenGraph metadata are fetched as well.
+ * That fetch visits the page from your browser, so it is off by default. It is made without cookies.
+ * Fetched metadata is kept in memory for the session, failures included, so each link is fetched once.
+ */
+class LinkMetadata {
+    static TIMEOUT = 8000;
+    static MAX_LINKS = 3;
+    static MAX_FIELD_LENGTH = 300;
+    static MAX_ENTRIES = 300;
+    // Metadata is in the page's head; the rest of a large page isn't parsed
+    static MAX_HTML_LENGTH = 200000;
+
+    constructor() {
+        /** @type {Map<string, Promise<Object|null>>} Fetched metadata by link URL (oldest first) */
+        this.results = new Map();
+    }
+
+    /** @returns {boolean} Whether linked pages are fetched for their metadata. */
+    get fetchEnabled() {
+        return !!browserGet('enableLinkMetadataFetch', false);
+    }
+
+    /**
+     * Builds the "[LINK_CARD]" sections of a tweet's links.
+     * @param {Object[]} links - The links, as returned by extractLinkCards.
+     * @returns {Promise<string>} The sections, or '' if the tweet has no links.
+     */
+    async describe(links) {
+        const shown = (links || []).slice(0, LinkMetadata.MAX_LINKS);
+        const pages = await Promise.all(shown.map(link => this.fetchEnabled && link.url ? this.fetch(link.url) : null));
+        return shown.map((link, index) => LinkMetadata.formatSection(link, pages[index])).join('\n');
+    }
+
+    /**
+     * Fetches a linked page's title and OpenGraph metadata (following t.co redirects).
+     * @param {string} url - The link URL.
+     * @returns {Promise<{finalUrl: string, title: string, description: string, siteName: string}|null>} The metadata, or null if it couldn't be fetched.
+     */
+    fetch(url) {
+        if (this.results.has(url)) return this.results.get(url);
+
+        const result = gmRequest({ method: 'GET', url, anonymous: true, timeout: LinkMetadata.TIMEOUT })
+            .then(response => {
+                const contentType = (response.responseHeaders.match(/^content-type:\s*(.*)$/im) || [])[1] || '';
+                if (response.status < 200 || response.status >= 300 || (contentType && !/html/i.test(contentType))) {
+                    return null;
+                }
+                return { finalUrl: response.finalUrl, ...LinkMetadata.parse(response.responseText) };
+            })
+            .catch(error => {
+                console.warn(`[LinkMetadata] Could not fetch ${url}:`, error.message);
+                return null;
+            });
+        this.results.set(url, result);
+
+        while (this.results.size > LinkMetadata.MAX_ENTRIES) {
+            this.results.delete(this.results.keys().next().value);
+        }
+        return result;
+    }
+
+    /**
+     * Reads the title, description and site name from a page's HTML, preferring OpenGraph tags.
+     * @param {string} html - The page HTML.
+     * @returns {{title: string, description: string, siteName: string}}
+     */
+    static parse(html) {
+        const headEnd = html.search(/<\/head>/i);
+        const doc = new DOMParser().parseFromString(html.slice(0, headEnd === -1 ? LinkMetadata.MAX_HTML_LENGTH : headEnd), 'text/html');
+        const meta = (...names) => {
+            for (const name of names) {
+                const content = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`)?.getAttribute('content');
+                if (content?.trim()) return content.trim();
+            }
+            return '';
+        };
+        return {
+            title: meta('og:title', 'twitter:title') || doc.querySelector('title')?.textContent.trim() || '',
+            description: meta('og:description', 'twitter:description', 'description'),
+            siteName: meta('og:site_name')
+        };
+    }
+
+    /**
+     * Formats one link as a "[LINK_CARD]" section, leaving out empty and repeated fields.
+     * @param {Object} link - The link, as returned by extractLinkCards.
+     * @param {Object|null} page - The fetched page metadata, if any.
+     * @returns {string}
+     */
+    static formatSection(link, page) {
+        const clip = text => {
+            const clean = String(text || '').replace(/\s+/g, ' ').trim();
+            return clean.length > LinkMetadata.MAX_FIELD_LENGTH ? `${clean.slice(0, LinkMetadata.MAX_FIELD_LENGTH)}…` : clean;
+        };
+        let domain = link.domain;
+        if (!domain && page?.finalUrl) {
+            try {
+                domain = new URL(page.finalUrl).hostname.replace(/^www\./, '');
+            } catch (error) {
+                // Leave the domain out
+            }
+        }
+
+        const lines = [
+            ['URL', page?.finalUrl && page.finalUrl !== link.url ? page.finalUrl : (link.expandedUrl || link.url)],
+            ['Domain', domain],
+            ['Site', page?.siteName !== domain ? page?.siteName : ''],
+            ['Title', link.title],
+            ['Description', link.description],
+            ['Page Title', page?.title !== link.title ? page?.title : ''],
+            ['Page Description', page?.description !== link.description ? page?.description : '']
+        ]
+            .map(([label, value]) => [label, clip(value)])
+            .filter(([, value]) => value)
+            .map(([label, value]) => `${label}: ${value}`);
+        return `[LINK_CARD]:\n${lines.join('\n')}`;
+    }
+}
+
+const linkMetadata = new LinkMetadata();
@@ -0,0 +1,148 @@
+//src/backends/MediaDescriptionCache.js
+/**
+ * Persistent cache of the image model's media descriptions, so an image is described once however many
+ * tweets, quotes, thread replies and retweets show it, and descriptions survive clearing the rating cache.
+ *
+ * Entries are keyed by the image model, the normalised media URL (see normalizeUrl) and what was described
+ * (an image, a video's frames or a video's poster). Entries unused for MAX_AGE_DAYS are removed, then the
+ * least recently used ones over MAX_ENTRIES. Hits and misses are counted from the last clear and shown in
+ * Settings > General > Cache Statistics.
+ */
+class MediaDescriptionCache {
+    static STORAGE_KEY = 'mediaDescriptions';
+    static DEBOUNCE_DELAY = 1500;
+    static MAX_ENTRIES = 2000;
+    static MAX_AGE_DAYS = 30;
+
+    constructor() {
+        /** @type {Object<string, {description: string, lastUsed: number, uses: number}>} Entries by key */
+        this.entries = {};
+        this.stats = { hits: 0, misses: 0 };
+        // Descriptions being requested, so an image in several tweets at once is only described once
+        this.pending = new Map();
+        this.loadFromStorage();
+        this.debouncedSaveToStorage = debounce(this.saveToStorage.bind(this), MediaDescriptionCache.DEBOUNCE_DELAY);
+    }
+
+    /**
+     * Loads the descriptions and stats from browser storage.
+     */
+    loadFromStorage() {
+        try {
+            const stored = JSON.parse(browserGet(MediaDescriptionCache.STORAGE_KEY, '{}')) || {};
+            this.entries = stored.entries || {};
+            this.stats = { hits: 0, misses: 0, ...stored.stats };
+        } catch (error) {
+            console.error('Error loading media descriptions:', error);
+            this.entries = {};
+        }
+    }
+
+    /**
+     * Evicts expired and least recently used descriptions, then saves to browser storage.
+     */
+    saveToStorage() {
+        const expiry = Date.now() - MediaDescriptionCache.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+        Object.keys(this.entries).forEach(key => {
+            if (this.entries[key].lastUsed < expiry) delete this.entries[key];
+        });
+        const keys = Object.keys(this.entries);
+        if (keys.length > MediaDescriptionCache.MAX_ENTRIES) {
+            keys
+                .sort((a, b) => this.entries[a].lastUsed - this.entries[b].lastUsed)
+                .slice(0, keys.length - MediaDescriptionCache.MAX_ENTRIES)
+                .forEach(key => delete this.entries[key]);
+        }
+        try {
+            browserSet(MediaDescriptionCache.STORAGE_KEY, JSON.stringify({ entries: this.entries, stats: this.stats }));
+        } catch (error) {
+            console.error('Error saving media descriptions:', error);
+        }
+    }
+
+    /**
+     * Normalises a media URL so the sizes and formats of one Twitter image share a cache entry
+     * (".../media/ID?format=jpg&name=small", ".../media/ID.jpg?name=large", ...).
+     * @param {string} url - The media URL.
+     * @returns {string}
+     */
+    static normalizeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            parsed.hash = '';
+            if (parsed.hostname === 'pbs.twimg.com') {
+                return `pbs.twimg.com${parsed.pathname.replace(/\.(jpe?g|png|webp|gif)$/i, '')}`;
+            }
+            return parsed.href;
+        } catch (error) {
+            return url;
+        }
+    }
+
+    /**
+     * Builds the cache key of a description.
+     * @param {string} url - The media URL.
+     * @param {string} model - The image model.
+     * @param {'image'|'video'|'video-poster'} kind - What was described.
+     * @returns {string}
+     */
+    static getKey(url, model, kind) {
+        return `${model}|${kind}|${MediaDescriptionCache.normalizeUrl(url)}`;
+    }
+
+    /**
+     * Returns the cached description of a medium, or describes it and caches the result.
+     * @param {string} url - The media URL.
+     * @param {string} model - The image model.
+     * @param {'image'|'video'|'video-poster'} kind - What is described.
+     * @param {function(): Promise<string|null>} describe - Requests the description; null on failure (not cached).
+     * @returns {Promise<string|null>} The description, or null if it couldn't be made.
+     */
+    async getOrDescribe(url, model, kind, describe) {
+        const key = MediaDescriptionCache.getKey(url, model, kind);
+        const entry = this.entries[key];
+        if (entry || this.pending.has(key)) {
+            this.stats.hits++;
+            if (!entry) return this.pending.get(key);
+            entry.lastUsed = Date.now();
+            entry.uses++;
+            this.debouncedSaveToStorage();
+            return entry.description;
+        }
+
+        this.stats.misses++;
+        const request = describe()
+            .then(description => {
+                if (description) {
+                    this.entries[key] = { description, lastUsed: Date.now(), uses: 1 };
+                }
+                this.debouncedSaveToStorage();
+                return description;
+            })
+            .finally(() => this.pending.delete(key));
+        this.pending.set(key, request);
+        return request;
+    }
+
+    /** @returns {number} Number of cached descriptions. */
+    get size() {
+        return Object.keys(this.entries).length;
+    }
+
+    /** @returns {number|null} Share of lookups answered from the cache (0-1), or null before any lookup. */
+    get hitRate() {
+        const total = this.stats.hits + this.stats.misses;
+        return total > 0 ? this.stats.hits / total : null;
+    }
+
+    /**
+     * Deletes all descriptions and resets the stats.
+     */
+    clear() {
+        this.entries = {};
+        this.stats = { hits: 0, misses: 0 };
+        this.saveToStorage();
+    }
+}
+
+const mediaDescriptionCache = new MediaDescriptionCache();
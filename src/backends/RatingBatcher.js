@@ -0,0 +1,75 @@
+//src/backends/RatingBatcher.js
+/**
+ * Collects tweets that are ready to be rated and sends them to the model in batches,
+ * so the system prompt and user instructions are paid for once per batch instead of once per tweet.
+ * Each caller gets back a promise for its own tweet's rating result.
+ */
+class RatingBatcher {
+    static DEFAULT_BATCH_SIZE = 5;
+    // How long to wait for more tweets before sending a partially filled batch
+    static MAX_WAIT_MS = 400;
+
+    constructor() {
+        this.pending = [];
+        this.flushTimer = null;
+    }
+
+    /** @returns {boolean} Whether batch rating is turned on (Settings > Models > Options). */
+    get enabled() {
+        return browserGet('enableBatchRating', false);
+    }
+
+    /** @returns {number} Maximum number of tweets sent in one request. */
+    get batchSize() {
+        const value = parseInt(browserGet('batchSize', RatingBatcher.DEFAULT_BATCH_SIZE), 10);
+        return value > 0 ? value : RatingBatcher.DEFAULT_BATCH_SIZE;
+    }
+
+    /**
+     * Adds a tweet to the next batch.
+     * @param {Object} job - The tweet to rate.
+     * @param {string} job.tweetText - Full tweet context.
+     * @param {string} job.tweetId - The tweet ID.
+     * @param {string} job.apiKey - API key for the active provider.
+     * @param {string[]} job.mediaUrls - Media URLs for the tweet.
+     * @param {Element} job.tweetArticle - The tweet article element.
+     * @param {string} job.authorHandle - The author's handle.
+     * @returns {Promise<Object>} Resolves with the same result shape as rateTweetWithOpenRouter.
+     */
+    add(job) {
+        return new Promise((resolve, reject) => {
+            // A re-rate of a tweet that is still waiting replaces the older entry
+            const existingIndex = this.pending.findIndex(p => p.tweetId === job.tweetId);
+            if (existingIndex !== -1) {
+                const [existing] = this.pending.splice(existingIndex, 1);
+                existing.reject(new Error('Superseded by a newer rating request'));
+            }
+
+            this.pending.push({ ...job, resolve, reject });
+
+            if (this.pending.length >= this.batchSize) {
+                this.flush();
+            } else if (!this.flushTimer) {
+                this.flushTimer = setTimeout(() => this.flush(), RatingBatcher.MAX_WAIT_MS);
+            }
+        });
+    }
+
+    /**
+     * Sends everything currently waiting, in chunks of at most batchSize tweets.
+     */
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        while (this.pending.length > 0) {
+            const batch = this.pending.splice(0, this.batchSize);
+            rateTweetBatch(batch)
+                .then(results => batch.forEach((job, i) => job.resolve(results[i])))
+                .catch(error => batch.forEach(job => job.reject(error)));
+        }
+    }
+}
+
+const ratingBatcher = new RatingBatcher();
@@ -0,0 +1,213 @@
+//src/backends/RatingQueue.js
+/**
+ * Concurrency-limited queue for tweet rating jobs.
+ * Only tweets currently in (or near) the viewport are started: a queued tweet that scrolls away is
+ * paused until it scrolls back, and queued jobs are cancelled when their cell is unmounted.
+ */
+class RatingQueue {
+    static DEFAULT_MAX_CONCURRENT = 3;
+    // Start rating slightly before a tweet scrolls into view
+    static VIEWPORT_MARGIN_PX = 200;
+    static VIEWPORT_MARGIN = `${RatingQueue.VIEWPORT_MARGIN_PX}px 0px`;
+
+    constructor() {
+        /** @type {Map<string, {tweetId: string, tweetArticle: Element, run: Function, onCancel: Function|null, visible: boolean}>} */
+        this.queued = new Map();
+        /** @type {Set<string>} */
+        this.inFlight = new Set();
+        this.visibilityObserver = typeof IntersectionObserver !== 'undefined'
+            ? new IntersectionObserver(this.#handleIntersections.bind(this), { rootMargin: RatingQueue.VIEWPORT_MARGIN })
+            : null;
+    }
+
+    /**
+     * Maximum number of rating jobs allowed to run at once (Settings > Models > Options).
+     * In batch mode each request carries up to batchSize tweets, so the limit scales with it.
+     * @returns {number}
+     */
+    get maxConcurrent() {
+        const value = parseInt(browserGet('maxConcurrentRequests', RatingQueue.DEFAULT_MAX_CONCURRENT), 10);
+        const maxRequests = value > 0 ? value : RatingQueue.DEFAULT_MAX_CONCURRENT;
+        return ratingBatcher.enabled ? maxRequests * ratingBatcher.batchSize : maxRequests;
+    }
+
+    /** @returns {number} Jobs waiting for a free slot. */
+    get queuedCount() {
+        return this.queued.size;
+    }
+
+    /** @returns {number} Jobs currently running. */
+    get inFlightCount() {
+        return this.inFlight.size;
+    }
+
+    /**
+     * Adds a rating job to the queue. If the tweet is already queued, the existing job is
+     * kept (in its original position) but pointed at the latest article element.
+     * @param {string} tweetId - The tweet ID.
+     * @param {Element} tweetArticle - The tweet article element, used for viewport priority.
+     * @param {Function} run - Async function performing the rating.
+     * @param {Function} [onCancel] - Called if the job is cancelled before it starts.
+     */
+    enqueue(tweetId, tweetArticle, run, onCancel = null) {
+        const existing = this.queued.get(tweetId);
+        if (existing) {
+            if (existing.tweetArticle !== tweetArticle) {
+                this.#unobserve(existing.tweetArticle);
+                existing.tweetArticle = tweetArticle;
+                existing.visible = this.#isInViewport(tweetArticle);
+                this.visibilityObserver?.observe(tweetArticle);
+            }
+            existing.run = run;
+            existing.onCancel = onCancel;
+            return;
+        }
+
+        this.queued.set(tweetId, {
+            tweetId,
+            tweetArticle,
+            run,
+            onCancel,
+            // The observer reports asynchronously, so seed visibility from the current layout
+            visible: this.#isInViewport(tweetArticle)
+        });
+        this.visibilityObserver?.observe(tweetArticle);
+        this.#onChange();
+        this.#pump();
+    }
+
+    /**
+     * Removes a queued job before it starts. Jobs that are already running are left alone;
+     * streaming requests are aborted separately through window.activeStreamingRequests.
+     * @param {string} tweetId - The tweet ID.
+     * @returns {boolean} True if a queued job was cancelled.
+     */
+    cancel(tweetId) {
+        const job = this.queued.get(tweetId);
+        if (!job) return false;
+        this.queued.delete(tweetId);
+        this.#unobserve(job.tweetArticle);
+        try {
+            job.onCancel?.();
+        } catch (error) {
+            console.error(`[RatingQueue] Error in cancel callback for ${tweetId}:`, error);
+        }
+        this.#onChange();
+        return true;
+    }
+
+    /**
+     * Checks whether a tweet is waiting in the queue or currently being rated.
+     * @param {string} tweetId - The tweet ID.
+     * @returns {boolean}
+     */
+    has(tweetId) {
+        return this.queued.has(tweetId) || this.inFlight.has(tweetId);
+    }
+
+    /**
+     * Cancels every queued job. Running jobs finish normally.
+     */
+    clear() {
+        for (const tweetId of [...this.queued.keys()]) {
+            this.cancel(tweetId);
+        }
+    }
+
+    /**
+     * Starts queued jobs until the concurrency limit is reached.
+     */
+    #pump() {
+        while (this.inFlight.size < this.maxConcurrent && this.queued.size > 0) {
+            const job = this.#takeNext();
+            if (!job) break;
+            this.#start(job);
+        }
+    }
+
+    /**
+     * Picks the next job: the first visible tweet in FIFO order. Off-screen jobs stay queued until their
+     * tweet scrolls back into view (without IntersectionObserver every job is runnable).
+     * Jobs whose article was unmounted are cancelled along the way.
+     * @returns {Object|null} The job, or null if nothing is runnable.
+     */
+    #takeNext() {
+        let next = null;
+        for (const job of [...this.queued.values()]) {
+            if (!job.tweetArticle?.isConnected) {
+                this.cancel(job.tweetId);
+                continue;
+            }
+            if (job.visible || !this.visibilityObserver) {
+                next = job;
+                break;
+            }
+        }
+        if (next) {
+            this.queued.delete(next.tweetId);
+            this.#unobserve(next.tweetArticle);
+        }
+        return next;
+    }
+
+    /**
+     * Runs a job and frees its slot when it settles.
+     * @param {Object} job - The job to run.
+     */
+    #start(job) {
+        this.inFlight.add(job.tweetId);
+        this.#onChange();
+        Promise.resolve()
+            .then(() => job.run())
+            .catch(error => {
+                console.error(`[RatingQueue] Job for tweet ${job.tweetId} failed:`, error);
+            })
+            .finally(() => {
+                this.inFlight.delete(job.tweetId);
+                this.#onChange();
+                this.#pump();
+            });
+    }
+
+    /**
+     * Updates queued jobs' visibility as their tweets enter or leave the viewport,
+     * and starts paused jobs whose tweet scrolled back into view.
+     * @param {IntersectionObserverEntry[]} entries
+     */
+    #handleIntersections(entries) {
+        let becameVisible = false;
+        for (const entry of entries) {
+            for (const job of this.queued.values()) {
+                if (job.tweetArticle === entry.target) {
+                    becameVisible ||= entry.isIntersecting && !job.visible;
+                    job.visible = entry.isIntersecting;
+                }
+            }
+        }
+        if (becameVisible) this.#pump();
+    }
+
+    /**
+     * @param {Element} element
+     * @returns {boolean} True if the element is within the (margin-extended) viewport.
+     */
+    #isInViewport(element) {
+        if (!element?.getBoundingClientRect) return false;
+        const rect = element.getBoundingClientRect();
+        const margin = RatingQueue.VIEWPORT_MARGIN_PX;
+        return rect.bottom >= -margin && rect.top <= window.innerHeight + margin;
+    }
+
+    /**
+     * @param {Element} element
+     */
+    #unobserve(element) {
+        if (element) this.visibilityObserver?.unobserve(element);
+    }
+
+    #onChange() {
+        updateCacheStatsUI();
+    }
+}
+
+const ratingQueue = new RatingQueue();
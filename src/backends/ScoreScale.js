@@ -0,0 +1,128 @@
+//src/backends/ScoreScale.js
+/**
+ * The score scale ratings are given on (Settings > Instructions > Score Scale).
+ * The scale is used in the rating prompt, to parse and clamp scores, for the filter slider range
+ * and for the indicator's colour band. Cached ratings remember the scale they were given on and are
+ * converted to the current scale when shown or filtered, so a 40/100 doesn't pass a threshold of 5.
+ */
+class ScoreScale {
+    static SCALES = {
+        '0-10': { label: '0 to 10', min: 0, max: 10 },
+        '1-5': { label: '1 to 5', min: 1, max: 5 },
+        '0-100': { label: '0 to 100', min: 0, max: 100 },
+        'pass-fail': { label: 'Pass / fail', min: 0, max: 1 }
+    };
+    // Ratings cached before the scale was configurable were all given on 0-10
+    static LEGACY_SCALE = '0-10';
+
+    /** @returns {string} The ID of the current scale. */
+    get id() {
+        const id = browserGet('scoreScale', ScoreScale.LEGACY_SCALE);
+        return ScoreScale.SCALES[id] ? id : ScoreScale.LEGACY_SCALE;
+    }
+
+    /** @returns {number} The lowest score on the current scale. */
+    get min() {
+        return ScoreScale.SCALES[this.id].min;
+    }
+
+    /** @returns {number} The highest score on the current scale. */
+    get max() {
+        return ScoreScale.SCALES[this.id].max;
+    }
+
+    /** @returns {boolean} True if the current scale is pass/fail. */
+    get isPassFail() {
+        return this.id === 'pass-fail';
+    }
+
+    /** @returns {number} The middle of the current scale. */
+    get midpoint() {
+        return Math.round((this.min + this.max) / 2);
+    }
+
+    /**
+     * @returns {number} The score given to failed ratings: the midpoint, or a fail on the pass/fail scale
+     * (its midpoint would be a pass).
+     */
+    get errorScore() {
+        return this.isPassFail ? this.min : this.midpoint;
+    }
+
+    /**
+     * Rescales a score between two scales without rounding.
+     * @param {number} score - The score.
+     * @param {string} [fromId] - The scale the score was given on (defaults to the current scale).
+     * @param {string} [toId] - The scale to convert to (defaults to the current scale).
+     * @returns {number}
+     */
+    rescale(score, fromId = this.id, toId = this.id) {
+        const from = ScoreScale.SCALES[fromId] || ScoreScale.SCALES[ScoreScale.LEGACY_SCALE];
+        const to = ScoreScale.SCALES[toId] || ScoreScale.SCALES[ScoreScale.LEGACY_SCALE];
+        if (from === to) return score;
+        const fraction = (score - from.min) / (from.max - from.min);
+        return to.min + fraction * (to.max - to.min);
+    }
+
+    /**
+     * Converts a score to a whole score on the current scale (e.g. a cached rating given on another scale).
+     * @param {number|null} score - The score.
+     * @param {string} [fromId] - The scale the score was given on (defaults to the current scale).
+     * @returns {number|null} The converted score, or the input if it isn't a number.
+     */
+    convert(score, fromId = this.id) {
+        if (typeof score !== 'number' || isNaN(score)) return score;
+        return this.clamp(this.rescale(score, fromId || ScoreScale.LEGACY_SCALE));
+    }
+
+    /**
+     * Rounds a score and keeps it within the current scale.
+     * @param {number} score - The score.
+     * @returns {number}
+     */
+    clamp(score) {
+        return Math.max(this.min, Math.min(this.max, Math.round(score)));
+    }
+
+    /**
+     * Gets where a score sits on the current scale.
+     * @param {number} score - The score.
+     * @returns {number} 0 for the lowest score, 1 for the highest.
+     */
+    toFraction(score) {
+        return (score - this.min) / (this.max - this.min);
+    }
+
+    /**
+     * Gets the colour band of a score on the current scale.
+     * @param {number} score - The score.
+     * @returns {'low'|'mid'|'high'}
+     */
+    getBand(score) {
+        const fraction = this.toFraction(score);
+        return fraction < 1 / 3 ? 'low' : fraction < 2 / 3 ? 'mid' : 'high';
+    }
+
+    /**
+     * Formats a score for the indicator (pass/fail scores are shown as ✓ / ✗).
+     * @param {number} score - The score.
+     * @returns {string}
+     */
+    format(score) {
+        if (this.isPassFail) return score >= 1 ? '✓' : '✗';
+        return String(score);
+    }
+
+    /**
+     * Describes the score range for the rating prompt.
+     * @returns {string} e.g. "X is an integer from 0 to 100 (SCORE_0 through SCORE_100)"
+     */
+    getPromptRange() {
+        if (this.isPassFail) {
+            return "X is 1 if the tweet passes the user's instructions and 0 if it fails them (SCORE_1 or SCORE_0)";
+        }
+        return `X is an integer from ${this.min} to ${this.max} (SCORE_${this.min} through SCORE_${this.max})`;
+    }
+}
+
+const scoreScale = new ScoreScale();
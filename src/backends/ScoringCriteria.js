@@ -0,0 +1,153 @@
+//src/backends/ScoringCriteria.js
+/**
+ * Named sub-scores (e.g. informativeness, civility, engagement-bait) rated alongside the overall score.
+ * The criteria are configured in Settings > Instructions > Scoring Criteria; when any are set, the model
+ * is asked for an extra <SUB_SCORES> block, which is parsed, cached with the rating and shown in the tooltip.
+ *
+ * Filter modes:
+ * - overall: the overall SCORE is compared with the filter threshold (default).
+ * - weighted: a weighted average of the sub-scores is compared with the filter threshold.
+ *   A negative weight counts the criterion inverted (10 - score), for criteria where high is bad.
+ * - minimum: a tweet is shown only if every criterion with a minimum meets it; the threshold is not used.
+ *
+ * Ratings without sub-scores (e.g. rated before any criteria were set) always use the overall score.
+ * Sub-scores are always 0-10, whatever the overall score scale; weights and minimums use the same range.
+ */
+class ScoringCriteria {
+    static MODES = {
+        overall: 'Overall score',
+        weighted: 'Weighted sub-scores',
+        minimum: 'Per-criterion minimums'
+    };
+    static MAX_SCORE = 10;
+
+    /** @returns {string[]} The configured criterion names, normalized. */
+    get criteria() {
+        const names = String(browserGet('scoringCriteria', '') || '')
+            .split(',')
+            .map(ScoringCriteria.normalizeName)
+            .filter(Boolean);
+        return [...new Set(names)];
+    }
+
+    /** @returns {string} The configured filter mode (one of ScoringCriteria.MODES). */
+    get mode() {
+        const mode = browserGet('criteriaFilterMode', 'overall');
+        return ScoringCriteria.MODES[mode] ? mode : 'overall';
+    }
+
+    /**
+     * Builds the <SUB_SCORES> part of the expected response format.
+     * @returns {string} The format block, or '' if no criteria are configured.
+     */
+    getResponseFormat() {
+        const criteria = this.criteria;
+        if (criteria.length === 0) return '';
+        return `
+  <SUB_SCORES>
+${criteria.map(name => `    ${name}: X`).join('\n')}
+    (One line per criterion above, where X is an integer between 0 and ${ScoringCriteria.MAX_SCORE} rating the tweet on that criterion alone)
+  </SUB_SCORES>
+`;
+    }
+
+    /**
+     * Parses the <SUB_SCORES> block of a rating response.
+     * @param {string} content - The response content.
+     * @returns {Object<string, number>|null} Sub-scores keyed by criterion name, or null if there are none.
+     */
+    parse(content) {
+        const block = content?.match(/<SUB_SCORES>([\s\S]*?)<\/SUB_SCORES>/);
+        if (!block) return null;
+
+        const subScores = {};
+        const lineRegex = /^\s*[-*•]?\s*([A-Za-z][\w\s-]*?)\s*[:=]\s*(\d+(?:\.\d+)?)/gm;
+        let match;
+        while ((match = lineRegex.exec(block[1])) !== null) {
+            const name = ScoringCriteria.normalizeName(match[1]);
+            if (name) {
+                subScores[name] = Math.max(0, Math.min(ScoringCriteria.MAX_SCORE, parseFloat(match[2])));
+            }
+        }
+        return Object.keys(subScores).length > 0 ? subScores : null;
+    }
+
+    /**
+     * Works out the weighted average of a rating's sub-scores (Settings > Instructions > Weights).
+     * Criteria without a configured weight count with weight 1.
+     * @param {Object<string, number>|null} subScores - The sub-scores.
+     * @returns {number|null} The weighted score, or null if there are no weighted sub-scores.
+     */
+    getWeightedScore(subScores) {
+        if (!subScores) return null;
+        const weights = ScoringCriteria.parseNamedValues(browserGet('criteriaWeights', ''));
+        let total = 0;
+        let weightTotal = 0;
+        for (const [name, score] of Object.entries(subScores)) {
+            const weight = weights[name] ?? 1;
+            if (weight === 0) continue;
+            total += Math.abs(weight) * (weight < 0 ? ScoringCriteria.MAX_SCORE - score : score);
+            weightTotal += Math.abs(weight);
+        }
+        return weightTotal > 0 ? total / weightTotal : null;
+    }
+
+    /**
+     * Finds the criteria that are below their configured minimum (Settings > Instructions > Minimums).
+     * @param {Object<string, number>|null} subScores - The sub-scores.
+     * @returns {string[]} Names of the failing criteria.
+     */
+    getFailedMinimums(subScores) {
+        if (!subScores) return [];
+        const minimums = ScoringCriteria.parseNamedValues(browserGet('criteriaMinimums', ''));
+        return Object.entries(minimums)
+            .filter(([name, minimum]) => subScores[name] !== undefined && subScores[name] < minimum)
+            .map(([name]) => name);
+    }
+
+    /**
+     * Decides whether a rated tweet passes the filter, according to the filter mode.
+     * @param {number} score - The overall score.
+     * @param {Object<string, number>|null} subScores - The sub-scores, if the rating has any.
+     * @param {number} threshold - The filter threshold.
+     * @returns {boolean} True if the tweet should be shown.
+     */
+    passesFilter(score, subScores, threshold) {
+        if (subScores) {
+            if (this.mode === 'weighted') {
+                const weighted = this.getWeightedScore(subScores);
+                if (weighted !== null) return scoreScale.rescale(weighted, '0-10') >= threshold;
+            } else if (this.mode === 'minimum') {
+                return this.getFailedMinimums(subScores).length === 0;
+            }
+        }
+        return score >= threshold;
+    }
+
+    /**
+     * Normalizes a criterion name: lowercase, with spaces and underscores turned into dashes.
+     * @param {string} name - The name as typed or returned by the model.
+     * @returns {string}
+     */
+    static normalizeName(name) {
+        return String(name || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+    }
+
+    /**
+     * Parses a "name=value, name=value" setting (weights or minimums).
+     * @param {string} text - The setting value.
+     * @returns {Object<string, number>} Values keyed by normalized criterion name; malformed entries are skipped.
+     */
+    static parseNamedValues(text) {
+        const values = {};
+        String(text || '').split(',').forEach(entry => {
+            const match = entry.match(/^\s*([^=:]+?)\s*[=:]\s*(-?\d+(?:\.\d+)?)\s*$/);
+            if (match) {
+                values[ScoringCriteria.normalizeName(match[1])] = parseFloat(match[2]);
+            }
+        });
+        return values;
+    }
+}
+
+const scoringCriteria = new ScoringCriteria();
@@ -0,0 +1,283 @@
+//src/backends/SelectorRegistry.js
+/**
+ * Registry of the selectors used to read X's pages (Settings > General > Page Selectors), so that scraping
+ * survives markup changes and UI languages other than English.
+ *
+ * Each named element has ordered candidate selectors. They are tried in turn, and the first that matches is
+ * used. Text entries, like the "Ad" label, list texts to look for instead of selectors. User overrides are
+ * tried before the built-in candidates. They are "name: selector" lines in the selectorOverrides setting, e.g.
+ * "conversationTimeline: div[aria-label^="Zeitleiste: Unterhaltung"]". This lets users fix a broken selector
+ * without waiting for a script release.
+ *
+ * The health check samples the tweets on the page and records which candidate matched each element. It
+ * warns once per session when a required element stops matching.
+ */
+class SelectorRegistry {
+    static HEALTH_CHECK_INTERVAL = 60 * 1000;
+    static FIRST_HEALTH_CHECK_DELAY = 15 * 1000;
+    static SAMPLE_SIZE = 20;
+    // Share of the sampled tweets a required element has to be found in
+    static MIN_MATCH_RATE = 0.5;
+
+    /**
+     * Built-in candidates, most specific first. 'page' elements are looked up in the whole page, the others
+     * in each tweet. Required elements are expected in every tweet (or, for tweetArticle, on every timeline).
+     */
+    static DEFAULTS = {
+        tweetArticle: { label: 'Tweet', scope: 'page', required: true, selectors: ['article[data-testid="tweet"]', 'div[data-testid="cellInnerDiv"] article[role="article"]'] },
+        timelineCell: { label: 'Timeline cell', scope: 'page', selectors: ['div[data-testid="cellInnerDiv"]'] },
+        primaryColumn: { label: 'Main column', scope: 'page', selectors: ['div[data-testid="primaryColumn"]', 'main'] },
+        conversationTimeline: { label: 'Conversation timeline', scope: 'page', selectors: ['div[aria-label^="Timeline: Conversation"]'] },
+        selectedTab: { label: 'Selected timeline tab', scope: 'page', selectors: ['[role="tablist"] [role="tab"][aria-selected="true"]'] },
+        userName: { label: 'Author name', required: true, selectors: ['div[data-testid="User-Name"]'] },
+        userHandle: { label: 'Author handle', required: true, selectors: ['div[data-testid="User-Name"] a[role="link"]', 'div[data-testid="User-Name"] a[href^="/"]'] },
+        userAvatar: { label: 'Author avatar', selectors: ['div[data-testid^="UserAvatar-Container-"]'] },
+        permalink: { label: 'Tweet time link', required: true, selectors: ['a[href*="/status/"] time', 'a[href*="/status/"] [datetime]'] },
+        tweetText: { label: 'Tweet text', selectors: ['div[data-testid="tweetText"]', 'div[lang][dir="auto"]'] },
+        quoteContainer: { label: 'Quoted tweet', selectors: ['div[role="link"][tabindex="0"]'] },
+        mediaContainer: { label: 'Photo or video', selectors: ['div[data-testid="tweetPhoto"]', 'div[data-testid="videoPlayer"]'] },
+        mediaImage: { label: 'Image', selectors: ['div[data-testid="tweetPhoto"] img', 'img[src*="pbs.twimg.com/media"]'] },
+        mediaVideo: { label: 'Video', selectors: ['video[poster*="pbs.twimg.com"]', 'video'] },
+        engagementStats: { label: 'Engagement stats', selectors: ['div[role="group"][aria-label$=" views"]', 'div[role="group"][aria-label]'] },
+        linkCard: { label: 'Link card', selectors: ['div[data-testid="card.wrapper"]'] },
+        poll: { label: 'Poll', selectors: ['div[data-testid="cardPoll"]'] },
+        communityNote: { label: 'Community Note', selectors: ['div[data-testid="birdwatch-pivot"]'] },
+        verifiedBadge: { label: 'Verified checkmark', selectors: ['svg[data-testid="icon-verified"]'] },
+        adLabel: { label: 'Ad label (text)', texts: ['Ad', 'Promoted'] }
+    };
+
+    constructor() {
+        /** @type {Object<string, string[]>} User candidates by element name */
+        this.overrides = {};
+        // Elements already warned about this session
+        this.warned = new Set();
+        this.lastReport = null;
+        this.healthTimer = null;
+        this.loadOverrides();
+    }
+
+    /**
+     * Loads the user overrides from browser storage, skipping invalid lines.
+     */
+    loadOverrides() {
+        const { overrides, errors } = SelectorRegistry.parseOverrides(browserGet('selectorOverrides', ''));
+        errors.forEach(error => console.warn(`[Selectors] Ignoring override: ${error}`));
+        this.overrides = overrides;
+    }
+
+    /**
+     * Parses overrides written as "name: selector" lines (several lines for one name are tried in order).
+     * Blank lines and lines starting with # are skipped.
+     * @param {string} text - The overrides.
+     * @returns {{overrides: Object<string, string[]>, errors: string[]}} The valid overrides, and a message per invalid line.
+     */
+    static parseOverrides(text) {
+        const overrides = {};
+        const errors = [];
+        String(text || '').split('\n').forEach((line, index) => {
+            line = line.trim();
+            if (!line || line.startsWith('#')) return;
+            const match = line.match(/^(\w+)\s*:\s*(.+)$/);
+            const entry = match && SelectorRegistry.DEFAULTS[match[1]];
+            if (!match) {
+                errors.push(`Line ${index + 1}: expected "name: selector".`);
+            } else if (!entry) {
+                errors.push(`Line ${index + 1}: unknown element "${match[1]}".`);
+            } else if (!entry.texts && !SelectorRegistry.isValidSelector(match[2])) {
+                errors.push(`Line ${index + 1}: invalid selector "${match[2]}".`);
+            } else {
+                (overrides[match[1]] ||= []).push(match[2].trim());
+            }
+        });
+        return { overrides, errors };
+    }
+
+    /**
+     * Checks whether a string is a valid CSS selector.
+     * @param {string} selector - The selector.
+     * @returns {boolean}
+     */
+    static isValidSelector(selector) {
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Lists an element's candidates in the order they are tried: overrides, then built-in ones.
+     * @param {string} name - The element name (a key of DEFAULTS).
+     * @returns {string[]} Selectors, or texts for text entries.
+     */
+    candidates(name) {
+        const entry = SelectorRegistry.DEFAULTS[name];
+        if (!entry) throw new Error(`Unknown selector "${name}"`);
+        return [...(this.overrides[name] || []), ...(entry.texts || entry.selectors)];
+    }
+
+    /**
+     * Finds the first element matching an entry, trying its candidates in order.
+     * @param {Element|Document} scope - Where to look.
+     * @param {string} name - The element name.
+     * @returns {Element|null}
+     */
+    query(scope, name) {
+        if (!scope) return null;
+        for (const selector of this.candidates(name)) {
+            const element = scope.querySelector(selector);
+            if (element) return element;
+        }
+        return null;
+    }
+
+    /**
+     * Finds all elements matching the first candidate of an entry that matches anything.
+     * @param {Element|Document} scope - Where to look.
+     * @param {string} name - The element name.
+     * @returns {Element[]}
+     */
+    queryAll(scope, name) {
+        if (!scope) return [];
+        for (const selector of this.candidates(name)) {
+            const elements = scope.querySelectorAll(selector);
+            if (elements.length > 0) return Array.from(elements);
+        }
+        return [];
+    }
+
+    /**
+     * Checks whether an element matches any candidate of an entry.
+     * @param {Element} element - The element.
+     * @param {string} name - The element name.
+     * @returns {boolean}
+     */
+    matches(element, name) {
+        return !!element?.matches && this.candidates(name).some(selector => element.matches(selector));
+    }
+
+    /**
+     * Finds the closest ancestor (or the element itself) matching an entry.
+     * @param {Element} element - The element.
+     * @param {string} name - The element name.
+     * @returns {Element|null}
+     */
+    closest(element, name) {
+        if (!element?.closest) return null;
+        for (const selector of this.candidates(name)) {
+            const match = element.closest(selector);
+            if (match) return match;
+        }
+        return null;
+    }
+
+    /**
+     * Joins all of an entry's candidates into one selector, for lookups that want every match (e.g. all media).
+     * @param {string} name - The element name.
+     * @returns {string}
+     */
+    combined(name) {
+        return this.candidates(name).join(', ');
+    }
+
+    /**
+     * Checks whether an element has a leaf span whose whole text is one of a text entry's texts. Spans in the
+     * tweet text are skipped, so a tweet containing the word on its own isn't taken for the label.
+     * @param {Element} element - The element.
+     * @param {string} name - The text entry's name.
+     * @returns {boolean}
+     */
+    hasText(element, name) {
+        const texts = new Set(this.candidates(name).map(text => text.toLowerCase()));
+        return Array.from(element?.querySelectorAll('div[dir="ltr"] span') || [])
+            .some(span => !span.children.length
+                && texts.has(span.textContent.trim().toLowerCase())
+                && !this.closest(span, 'tweetText'));
+    }
+
+    /**
+     * Checks each element against the tweets on the page.
+     * Status per element: 'ok' (first built-in candidate matched), 'override', 'fallback' (only a later built-in
+     * candidate matched, so X has probably changed its markup), 'failing' (a required element wasn't found)
+     * or 'not seen' (nothing to check on this page).
+     * @param {Document|Element} [root=document] - Where to look.
+     * @returns {{checkedAt: number, tweetCount: number, results: {name: string, label: string, status: string, matched: number, total: number, selector: string}[]}}
+     */
+    checkHealth(root = document) {
+        const tweets = this.queryAll(root, 'tweetArticle').slice(-SelectorRegistry.SAMPLE_SIZE);
+        const results = Object.entries(SelectorRegistry.DEFAULTS).map(([name, entry]) => {
+            const candidates = this.candidates(name);
+            const overrideCount = (this.overrides[name] || []).length;
+            const counts = new Array(candidates.length).fill(0);
+            let total = 0;
+
+            if (entry.texts) {
+                tweets.forEach(tweet => {
+                    if (this.hasText(tweet, name)) counts[0]++;
+                });
+                total = tweets.length;
+            } else if (entry.scope === 'page') {
+                const index = candidates.findIndex(selector => root.querySelector(selector));
+                if (index !== -1) counts[index]++;
+                // No tweets is only a problem where the timeline shows cells
+                total = index !== -1 || (name === 'tweetArticle' && this.query(root, 'timelineCell')) ? 1 : 0;
+            } else {
+                tweets.forEach(tweet => {
+                    const index = candidates.findIndex(selector => tweet.querySelector(selector));
+                    if (index !== -1) counts[index]++;
+                });
+                total = tweets.length;
+            }
+
+            const matched = counts.reduce((sum, count) => sum + count, 0);
+            const bestIndex = counts.indexOf(Math.max(...counts));
+            let status;
+            if (total === 0 || (matched === 0 && !entry.required)) {
+                status = 'not seen';
+            } else if (entry.required && matched / total < SelectorRegistry.MIN_MATCH_RATE) {
+                status = 'failing';
+            } else if (entry.texts) {
+                status = 'ok';
+            } else {
+                status = bestIndex < overrideCount ? 'override' : bestIndex > overrideCount ? 'fallback' : 'ok';
+            }
+            return {
+                name,
+                label: entry.label,
+                status,
+                matched,
+                total,
+                selector: matched > 0 && !entry.texts ? candidates[bestIndex] : ''
+            };
+        });
+
+        this.lastReport = { checkedAt: Date.now(), tweetCount: tweets.length, results };
+        return this.lastReport;
+    }
+
+    /**
+     * Starts checking the page's selectors periodically, warning once per element when one stops matching.
+     */
+    startHealthMonitor() {
+        if (this.healthTimer) return;
+        const check = () => {
+            const report = this.checkHealth();
+            report.results.forEach(result => {
+                if (result.status === 'fallback' && !this.warned.has(result.name)) {
+                    this.warned.add(result.name);
+                    console.warn(`[Selectors] "${result.label}" is only found by fallback selector ${result.selector}; X may have changed its markup.`);
+                }
+                if (result.status === 'failing' && !this.warned.has(`${result.name}:failing`)) {
+                    this.warned.add(`${result.name}:failing`);
+                    console.warn(`[Selectors] "${result.label}" found in ${result.matched} of ${result.total} tweets:`, this.candidates(result.name));
+                    showStatus(`Page element "${result.label}" is no longer found; see Settings > General > Page Selectors.`, 'error');
+                }
+            });
+        };
+        setTimeout(check, SelectorRegistry.FIRST_HEALTH_CHECK_DELAY);
+        this.healthTimer = setInterval(check, SelectorRegistry.HEALTH_CHECK_INTERVAL);
+    }
+}
+
+const selectorRegistry = new SelectorRegistry();
@@ -0,0 +1,114 @@
+//src/backends/SettingsBackup.js
+/**
+ * Settings backups (Settings > General > Backup & Restore), for moving a configuration to another browser
+ * or sharing a standard team configuration as a single file.
+ *
+ * A backup holds every persisted setting: instructions and their history, instruction profiles, handles,
+ * filter rules, scoring criteria, models and their parameters, budgets, cache limits and provider base URLs.
+ * Collected data (cached ratings, thread relationships, author profiles, spend history and sync state) is left
+ * out; ratings have their own export. API keys and the sync and team cache tokens are only written, and only
+ * restored, when the user opts in.
+ *
+ * The file is versioned; FORMAT_VERSION goes up whenever the layout of the file changes, and restore
+ * rejects files written by a newer version of the script.
+ */
+class SettingsBackup {
+    static FORMAT = 'tweetfilter-ai-settings';
+    static FORMAT_VERSION = 1;
+    /** Keys holding collected data or internal state rather than settings. */
+    static EXCLUDED_KEYS = new Set([
+        'tweetRatings',
+        'tweetRatingVariants',
+        'threadRelationships',
+        'authorProfiles',
+        'mediaDescriptions',
+        'spendHistory',
+        'syncState',
+        'menuHTML',
+        'firstRun'
+    ]);
+    /** Credentials other than provider API keys (which end in "-api-key"). */
+    static SECRET_KEYS = new Set(['syncToken', 'teamCacheToken']);
+
+    /**
+     * Checks whether a storage key holds an API key or another credential.
+     * @param {string} key - The storage key.
+     * @returns {boolean}
+     */
+    static isApiKey(key) {
+        return key.endsWith('-api-key') || SettingsBackup.SECRET_KEYS.has(key);
+    }
+
+    /**
+     * Builds a backup of the persisted settings.
+     * @param {boolean} [includeApiKeys=false] - Whether to include the providers' API keys.
+     * @returns {Object} The backup, ready to be written as JSON.
+     */
+    create(includeApiKeys = false) {
+        const settings = {};
+        browserListKeys().sort().forEach(key => {
+            if (SettingsBackup.EXCLUDED_KEYS.has(key)) return;
+            if (SettingsBackup.isApiKey(key) && !includeApiKeys) return;
+            const value = browserGet(key);
+            if (value !== undefined && value !== null) settings[key] = value;
+        });
+
+        return {
+            format: SettingsBackup.FORMAT,
+            version: SettingsBackup.FORMAT_VERSION,
+            scriptVersion: VERSION,
+            exportedAt: new Date().toISOString(),
+            includesApiKeys: includeApiKeys,
+            settings
+        };
+    }
+
+    /**
+     * Restores the settings in a backup. Settings missing from the backup are left as they are.
+     * @param {Object} backup - The parsed backup file.
+     * @param {boolean} [includeApiKeys=false] - Whether to restore API keys found in the backup.
+     * @returns {{restored: number, skipped: number}} How many settings were restored, and how many were left out
+     *     (API keys without opt-in, excluded keys and unsupported values).
+     * @throws {Error} If the file isn't a settings backup or was written by a newer version.
+     */
+    restore(backup, includeApiKeys = false) {
+        const error = SettingsBackup.validate(backup);
+        if (error) throw new Error(error);
+
+        let restored = 0;
+        let skipped = 0;
+        for (const [key, value] of Object.entries(backup.settings)) {
+            const supported = ['string', 'number', 'boolean'].includes(typeof value);
+            if (!supported || SettingsBackup.EXCLUDED_KEYS.has(key) || (SettingsBackup.isApiKey(key) && !includeApiKeys)) {
+                skipped++;
+                continue;
+            }
+            browserSet(key, value);
+            restored++;
+        }
+        return { restored, skipped };
+    }
+
+    /**
+     * Checks that a parsed file is a settings backup this version can restore.
+     * @param {Object} backup - The parsed file.
+     * @returns {string} An error message, or '' if the backup can be restored.
+     */
+    static validate(backup) {
+        if (!backup || typeof backup !== 'object' || backup.format !== SettingsBackup.FORMAT) {
+            return 'This file is not a settings backup.';
+        }
+        if (!Number.isInteger(backup.version) || backup.version < 1) {
+            return 'The settings backup has no valid version.';
+        }
+        if (backup.version > SettingsBackup.FORMAT_VERSION) {
+            return `This settings backup was made by a newer version of the script (${backup.scriptVersion || 'unknown'}). Please update first.`;
+        }
+        if (!backup.settings || typeof backup.settings !== 'object' || Array.isArray(backup.settings)) {
+            return 'The settings backup has no settings.';
+        }
+        return '';
+    }
+}
+
+const settingsBackup = new SettingsBackup();
@@ -0,0 +1,231 @@
+//src/backends/SpendTracker.js
+/**
+ * Tracks API spend per day and per month, broken down by what the request was for,
+ * and enforces the soft/hard budgets configured in Settings > General.
+ *
+ * - Soft budget exceeded: rating and follow-up requests switch to the budget fallback model.
+ * - Hard budget reached: new ratings are paused until the day/month rolls over or the budget is raised.
+ *
+ * A budget of 0 means "no limit".
+ *
+ * OpenRouter reports each request's cost. Other providers only report tokens, so their spend is only
+ * tracked once their prices are entered (Settings > General > Spend & Budget, per provider).
+ */
+class SpendTracker {
+    static PURPOSES = ['rating', 'imageDescription', 'followUp', 'instructionSummary'];
+    static DAYS_TO_KEEP = 62;
+    static MONTHS_TO_KEEP = 12;
+    // Entered prices are per million tokens
+    static PRICE_UNIT_TOKENS = 1000000;
+
+    constructor() {
+        this.history = { days: {}, months: {} };
+        this.lastBudgetLevel = 'ok';
+        this.loadFromStorage();
+        this.lastBudgetLevel = this.getBudgetState().level;
+    }
+
+    /**
+     * Loads the spend history from browser storage.
+     */
+    loadFromStorage() {
+        try {
+            const stored = JSON.parse(browserGet('spendHistory', '{}'));
+            this.history = {
+                days: stored.days || {},
+                months: stored.months || {}
+            };
+        } catch (error) {
+            console.error('Error loading spend history:', error);
+            this.history = { days: {}, months: {} };
+        }
+    }
+
+    /**
+     * Saves the spend history to browser storage, dropping old buckets.
+     */
+    saveToStorage() {
+        const dayKeys = Object.keys(this.history.days).sort();
+        dayKeys.slice(0, Math.max(0, dayKeys.length - SpendTracker.DAYS_TO_KEEP))
+            .forEach(key => delete this.history.days[key]);
+        const monthKeys = Object.keys(this.history.months).sort();
+        monthKeys.slice(0, Math.max(0, monthKeys.length - SpendTracker.MONTHS_TO_KEEP))
+            .forEach(key => delete this.history.months[key]);
+        try {
+            browserSet('spendHistory', JSON.stringify(this.history));
+        } catch (error) {
+            console.error('Error saving spend history:', error);
+        }
+    }
+
+    /**
+     * Works out what a completed request cost.
+     * Uses the provider-reported cost (OpenRouter usage accounting) when present, otherwise
+     * estimates it from the model's per-token pricing if the model list has it, or from the
+     * prices entered for the active provider.
+     * @param {Object} data - The completion response data (OpenAI shape).
+     * @returns {number} Cost in USD (0 if unknown or free).
+     */
+    costFromResponse(data) {
+        const usage = data?.usage;
+        if (!usage) return 0;
+        if (typeof usage.cost === 'number') return usage.cost;
+
+        const model = availableModels.find(m => m.slug === data.model || m.id === data.model);
+        const pricing = model?.endpoint?.pricing || model?.pricing;
+        let promptPrice;
+        let completionPrice;
+        if (pricing) {
+            promptPrice = parseFloat(pricing.prompt) || 0;
+            completionPrice = parseFloat(pricing.completion) || 0;
+        } else {
+            const prices = this.getTokenPrices();
+            if (!prices) return 0;
+            promptPrice = prices.prompt / SpendTracker.PRICE_UNIT_TOKENS;
+            completionPrice = prices.completion / SpendTracker.PRICE_UNIT_TOKENS;
+        }
+        return (usage.prompt_tokens || 0) * promptPrice + (usage.completion_tokens || 0) * completionPrice;
+    }
+
+    /**
+     * Gets the prices entered for a provider.
+     * @param {string} [providerId] - The provider ID (defaults to the active provider).
+     * @returns {{prompt: number, completion: number}|null} USD per million tokens, or null if none are entered.
+     */
+    getTokenPrices(providerId = getActiveProviderId()) {
+        const price = (kind) => {
+            const value = parseFloat(browserGet(`${providerId}-${kind}-price`, ''));
+            return isNaN(value) || value < 0 ? 0 : value;
+        };
+        const prices = { prompt: price('prompt'), completion: price('completion') };
+        return prices.prompt > 0 || prices.completion > 0 ? prices : null;
+    }
+
+    /**
+     * Checks whether the spend of a provider's requests is known, so budgets can be enforced.
+     * Providers without an API key (local servers) are free.
+     * @param {Object} [provider] - The provider definition (defaults to the active provider).
+     * @returns {boolean}
+     */
+    isTracked(provider = getActiveProvider()) {
+        return !!provider.reportsCost || !provider.requiresApiKey || !!this.getTokenPrices(provider.id);
+    }
+
+    /**
+     * Records the cost of a completed request.
+     * @param {Object} data - The completion response data.
+     * @param {string} [purpose='rating'] - One of SpendTracker.PURPOSES.
+     */
+    recordResponse(data, purpose = 'rating') {
+        const cost = this.costFromResponse(data);
+        if (cost > 0) {
+            this.record(cost, purpose);
+        }
+    }
+
+    /**
+     * Adds a cost to today's and this month's totals.
+     * @param {number} cost - Cost in USD.
+     * @param {string} [purpose='rating'] - One of SpendTracker.PURPOSES.
+     */
+    record(cost, purpose = 'rating') {
+        if (!SpendTracker.PURPOSES.includes(purpose)) purpose = 'rating';
+        const now = new Date();
+        [
+            [this.history.days, this.#dayKey(now)],
+            [this.history.months, this.#monthKey(now)]
+        ].forEach(([buckets, key]) => {
+            const bucket = buckets[key] || (buckets[key] = { total: 0, byPurpose: {} });
+            bucket.total += cost;
+            bucket.byPurpose[purpose] = (bucket.byPurpose[purpose] || 0) + cost;
+        });
+        this.saveToStorage();
+        this.#notifyBudgetChange();
+        updateCacheStatsUI();
+    }
+
+    /** @returns {{total: number, byPurpose: Object}} Today's spend. */
+    getDailySpend() {
+        return this.history.days[this.#dayKey(new Date())] || { total: 0, byPurpose: {} };
+    }
+
+    /** @returns {{total: number, byPurpose: Object}} This month's spend. */
+    getMonthlySpend() {
+        return this.history.months[this.#monthKey(new Date())] || { total: 0, byPurpose: {} };
+    }
+
+    /**
+     * Compares current spend with the configured budgets.
+     * @returns {{level: 'ok'|'soft'|'hard', message: string}}
+     */
+    getBudgetState() {
+        const daily = this.getDailySpend().total;
+        const monthly = this.getMonthlySpend().total;
+        const budget = (name) => parseFloat(browserGet(name, 0)) || 0;
+        const over = (spent, limit) => limit > 0 && spent >= limit;
+        const softAction = browserGet('budgetFallbackModel', '') ? ' Using fallback model.' : '';
+
+        if (over(daily, budget('dailyHardBudget'))) {
+            return { level: 'hard', message: `Daily hard budget of $${budget('dailyHardBudget').toFixed(2)} reached. Rating paused.` };
+        }
+        if (over(monthly, budget('monthlyHardBudget'))) {
+            return { level: 'hard', message: `Monthly hard budget of $${budget('monthlyHardBudget').toFixed(2)} reached. Rating paused.` };
+        }
+        if (over(daily, budget('dailySoftBudget'))) {
+            return { level: 'soft', message: `Daily soft budget of $${budget('dailySoftBudget').toFixed(2)} exceeded.${softAction}` };
+        }
+        if (over(monthly, budget('monthlySoftBudget'))) {
+            return { level: 'soft', message: `Monthly soft budget of $${budget('monthlySoftBudget').toFixed(2)} exceeded.${softAction}` };
+        }
+        return { level: 'ok', message: '' };
+    }
+
+    /** @returns {boolean} True if new ratings should be paused. */
+    isHardBudgetReached() {
+        return this.getBudgetState().level === 'hard';
+    }
+
+    /**
+     * Gets the model to use for rating/follow-up requests, taking the soft budget into account.
+     * @param {string} model - The user's selected model.
+     * @returns {string} The fallback model if the soft budget is exceeded and one is set, otherwise the given model.
+     */
+    resolveModel(model) {
+        const fallbackModel = browserGet('budgetFallbackModel', '');
+        if (fallbackModel && this.getBudgetState().level !== 'ok') {
+            return fallbackModel;
+        }
+        return model;
+    }
+
+    /**
+     * Clears all recorded spend.
+     */
+    reset() {
+        this.history = { days: {}, months: {} };
+        this.saveToStorage();
+        this.#notifyBudgetChange();
+        updateCacheStatsUI();
+    }
+
+    /**
+     * Shows a status message when the budget level changes (e.g. soft budget crossed).
+     */
+    #notifyBudgetChange() {
+        const state = this.getBudgetState();
+        if (state.level !== this.lastBudgetLevel) {
+            this.lastBudgetLevel = state.level;
+            showStatus(state.level === 'ok' ? 'Spend is back within budget.' : state.message, state.level === 'hard' ? 'error' : 'info');
+        }
+    }
+
+    #dayKey(date) {
+        return `${this.#monthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    #monthKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+}
+
+const spendTracker = new SpendTracker();
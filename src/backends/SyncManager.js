@@ -0,0 +1,482 @@
+//src/backends/SyncManager.js
+/**
+ * Optional cross-device sync (Settings > General > Sync), so a tweet rated in one browser isn't paid for again
+ * in another. Cached ratings, the instructions history and the handle lists are pushed to and pulled from an
+ * endpoint the user configures:
+ * - http: a JSON-over-HTTP server. `GET <url>?since=<revision>` returns a sync document holding the ratings
+ *   changed after that revision; `POST <url>` sends the local changes, and the server answers with
+ *   {revision, baseRevision} (the revision after and before applying them). The token is sent as a Bearer token.
+ * - webdav: a single JSON file on a WebDAV server, read with GET and written with PUT (If-Match on the ETag,
+ *   so concurrent writers retry instead of overwriting each other). The token is "username:password".
+ * - gist: a file in a GitHub Gist (or a server with the same REST API); the URL is the gist's API URL,
+ *   e.g. https://api.github.com/gists/<id>, and the token a personal access token with the gist scope.
+ *
+ * Conflicts are last-writer-wins on `timestamp`: a rating replaces another only if it is newer, history entries
+ * are matched by their instructions, and each handle list is replaced as a whole by a newer version. Removing
+ * an entry from the instructions history isn't synced. Only changes since the last sync are sent, and only
+ * ratings written after the last pulled revision are fetched; server/sync-server.js is a local stand-in server
+ * for all three endpoint types.
+ *
+ * The WebDAV and Gist files hold every synced rating, so they are pruned on each write with the local cache's
+ * entry count and age limits (cacheMaxEntries, cacheMaxAgeDays), oldest ratings first.
+ */
+class SyncManager {
+    static FORMAT = 'tweetfilter-ai-sync';
+    static FORMAT_VERSION = 1;
+    static PROVIDERS = {
+        http: 'JSON over HTTP',
+        webdav: 'WebDAV',
+        gist: 'GitHub Gist'
+    };
+    static HANDLE_LISTS = ['blacklistedHandles', 'blockedHandles'];
+    static GIST_FILE = 'tweetfilter-ai-sync.json';
+    static DEFAULT_INTERVAL_MINUTES = 15;
+    static REQUEST_TIMEOUT = 30000;
+    static WRITE_ATTEMPTS = 3;
+
+    constructor() {
+        this.timer = null;
+        // The running sync, so overlapping requests share it
+        this.syncing = null;
+        this.loadState();
+    }
+
+    /**
+     * Loads the sync state (pulled revision, last push time, handle list change times) from browser storage.
+     */
+    loadState() {
+        try {
+            const stored = JSON.parse(browserGet('syncState', '{}'));
+            this.state = {
+                endpoint: stored.endpoint || '',
+                revision: stored.revision || 0,
+                lastPushAt: stored.lastPushAt || 0,
+                lastSyncAt: stored.lastSyncAt || 0,
+                lastError: stored.lastError || '',
+                handleLists: stored.handleLists || {}
+            };
+        } catch (error) {
+            console.error('Error loading sync state:', error);
+            this.state = { endpoint: '', revision: 0, lastPushAt: 0, lastSyncAt: 0, lastError: '', handleLists: {} };
+        }
+    }
+
+    /**
+     * Saves the sync state to browser storage.
+     */
+    saveState() {
+        try {
+            browserSet('syncState', JSON.stringify(this.state));
+        } catch (error) {
+            console.error('Error saving sync state:', error);
+        }
+    }
+
+    /**
+     * Reads the sync settings.
+     * @returns {{enabled: boolean, provider: string, url: string, token: string, intervalMinutes: number}}
+     */
+    getConfig() {
+        const provider = browserGet('syncProvider', 'http');
+        const interval = parseFloat(browserGet('syncIntervalMinutes', SyncManager.DEFAULT_INTERVAL_MINUTES));
+        return {
+            enabled: !!browserGet('syncEnabled', false),
+            provider: SyncManager.PROVIDERS[provider] ? provider : 'http',
+            url: String(browserGet('syncUrl', '') || '').trim(),
+            token: String(browserGet('syncToken', '') || '').trim(),
+            intervalMinutes: interval > 0 ? Math.max(1, interval) : SyncManager.DEFAULT_INTERVAL_MINUTES
+        };
+    }
+
+    /**
+     * Records that a handle list changed locally, so the next sync sends it.
+     * @param {string} name - The list's setting name (one of SyncManager.HANDLE_LISTS).
+     */
+    markHandleListChanged(name) {
+        this.state.handleLists[name] = Date.now();
+        this.saveState();
+    }
+
+    /**
+     * (Re)starts periodic syncing according to the settings. Called at startup and when a sync setting changes.
+     */
+    start() {
+        clearInterval(this.timer);
+        this.timer = null;
+        const config = this.getConfig();
+        if (!config.enabled || !config.url) return;
+
+        const run = () => this.sync().then(refreshAfterSync);
+        this.timer = setInterval(run, config.intervalMinutes * 60 * 1000);
+        tweetCache.ready.then(run);
+    }
+
+    /**
+     * Pulls remote changes, then pushes local changes. Overlapping calls share the running sync.
+     * @returns {Promise<{success: boolean, message: string, pulled: number, pushed: number, historyChanged: number, listsChanged: string[]}>}
+     */
+    sync() {
+        if (!this.syncing) {
+            this.syncing = this.#sync().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    /**
+     * Runs a sync (see sync).
+     */
+    async #sync() {
+        const result = { success: false, message: '', pulled: 0, pushed: 0, historyChanged: 0, listsChanged: [] };
+        const config = this.getConfig();
+        if (!config.url) {
+            result.message = 'No sync URL configured.';
+            return result;
+        }
+
+        // A different endpoint starts from scratch, so it receives everything
+        const endpoint = `${config.provider} ${config.url}`;
+        if (this.state.endpoint !== endpoint) {
+            this.state = { ...this.state, endpoint, revision: 0, lastPushAt: 0 };
+        }
+        const startedAt = Date.now();
+
+        try {
+            await tweetCache.ready;
+            const remote = await this.#pull(config, this.state.revision);
+            const pulledRatings = SyncManager.stripRevisions(remote.ratings);
+
+            // Apply remote changes (newer wins)
+            const imported = await tweetCache.importRatings(pulledRatings, 'merge');
+            result.pulled = imported.added + imported.updated;
+            result.historyChanged = instructionsManager.history.merge(remote.instructionsHistory);
+            for (const name of SyncManager.HANDLE_LISTS) {
+                const list = remote.handleLists?.[name];
+                if (!SyncManager.isValidHandleList(list) || list.timestamp <= (this.state.handleLists[name] || 0)) continue;
+                this.#setHandleList(name, list.handles);
+                this.state.handleLists[name] = list.timestamp;
+                result.listsChanged.push(name);
+            }
+
+            // Collect local changes, leaving out the ratings that were just pulled
+            const ratings = await tweetCache.getChangedSince(this.state.lastPushAt);
+            Object.keys(ratings).forEach(tweetId => {
+                if (pulledRatings[tweetId]?.timestamp === ratings[tweetId].timestamp) delete ratings[tweetId];
+            });
+            const instructionsHistory = instructionsManager.getHistory().filter(entry => entry.timestamp > this.state.lastPushAt);
+            const handleLists = {};
+            SyncManager.HANDLE_LISTS.forEach(name => {
+                // Lists set up before sync was enabled are sent once, unless the endpoint already has them
+                if (!this.state.handleLists[name] && !remote.handleLists?.[name] && this.#getHandleList(name).length > 0) {
+                    this.state.handleLists[name] = startedAt;
+                }
+                const timestamp = this.state.handleLists[name] || 0;
+                if (timestamp > this.state.lastPushAt && !result.listsChanged.includes(name)) {
+                    handleLists[name] = { handles: [...this.#getHandleList(name)], timestamp };
+                }
+            });
+
+            this.state.revision = remote.revision;
+            result.pushed = Object.keys(ratings).length;
+            if (result.pushed > 0 || instructionsHistory.length > 0 || Object.keys(handleLists).length > 0) {
+                const pushed = await this.#push(config, { ratings, instructionsHistory, handleLists });
+                // Skip past our own changes only if no other device wrote in between
+                if (pushed.baseRevision === this.state.revision) this.state.revision = pushed.revision;
+            }
+
+            this.state.lastPushAt = startedAt;
+            this.state.lastSyncAt = Date.now();
+            this.state.lastError = '';
+            result.success = true;
+            result.message = `Synced: ${result.pulled} ratings received, ${result.pushed} sent.`;
+        } catch (error) {
+            console.error('Sync failed:', error);
+            this.state.lastError = error.message;
+            result.message = `Sync failed: ${error.message}`;
+        }
+        this.saveState();
+        return result;
+    }
+
+    /**
+     * Gets a handle list.
+     * @param {string} name - The list's setting name.
+     * @returns {string[]}
+     */
+    #getHandleList(name) {
+        return name === 'blockedHandles' ? blockedHandles : blacklistedHandles;
+    }
+
+    /**
+     * Replaces a handle list with the version from another device.
+     * @param {string} name - The list's setting name.
+     * @param {string[]} handles - The handles.
+     */
+    #setHandleList(name, handles) {
+        const list = this.#getHandleList(name);
+        list.splice(0, list.length, ...handles.map(h => String(h).trim().replace(/^@/, '')).filter(Boolean));
+        browserSet(name, list.join('\n'));
+    }
+
+    /**
+     * Fetches the remote changes after a revision.
+     * @param {Object} config - The sync settings.
+     * @param {number} since - The last pulled revision.
+     * @returns {Promise<Object>} A sync document.
+     */
+    async #pull(config, since) {
+        if (config.provider === 'http') {
+            const separator = config.url.includes('?') ? '&' : '?';
+            const response = await this.#request(config, 'GET', `${config.url}${separator}since=${since}`);
+            if (response.status === 404) return SyncManager.createDocument();
+            SyncManager.#checkStatus(response);
+            return SyncManager.parseDocument(response.responseText);
+        }
+        const { document } = await this.#readDocument(config);
+        return SyncManager.filterSince(document, since);
+    }
+
+    /**
+     * Sends local changes.
+     * @param {Object} config - The sync settings.
+     * @param {Object} changes - The changes: {ratings, instructionsHistory, handleLists}.
+     * @returns {Promise<{revision: number, baseRevision: number}>} The endpoint's revision after and before the changes.
+     */
+    async #push(config, changes) {
+        if (config.provider === 'http') {
+            const body = { format: SyncManager.FORMAT, version: SyncManager.FORMAT_VERSION, ...changes };
+            const response = await this.#request(config, 'POST', config.url, JSON.stringify(body));
+            SyncManager.#checkStatus(response);
+            const data = JSON.parse(response.responseText);
+            return { revision: data.revision, baseRevision: data.baseRevision };
+        }
+
+        // Document endpoints: read, merge and write back, retrying if someone else wrote in between
+        for (let attempt = 0; attempt < SyncManager.WRITE_ATTEMPTS; attempt++) {
+            const { document, etag } = await this.#readDocument(config);
+            const baseRevision = document.revision;
+            SyncManager.applyChanges(document, changes);
+            SyncManager.pruneRatings(document, tweetCache.limits);
+            if (await this.#writeDocument(config, document, etag)) {
+                return { revision: document.revision, baseRevision };
+            }
+        }
+        throw new Error('The sync file kept changing while saving. Try again.');
+    }
+
+    /**
+     * Reads the whole sync document from a WebDAV or Gist endpoint.
+     * @param {Object} config - The sync settings.
+     * @returns {Promise<{document: Object, etag: string|null}>} The document (empty if none exists yet) and its ETag.
+     */
+    async #readDocument(config) {
+        const response = await this.#request(config, 'GET', config.url);
+        if (response.status === 404 && config.provider === 'webdav') {
+            return { document: SyncManager.createDocument(), etag: null };
+        }
+        SyncManager.#checkStatus(response);
+
+        if (config.provider === 'webdav') {
+            const etag = response.responseHeaders.match(/^etag:\s*(.+?)\s*$/im)?.[1] || null;
+            return { document: SyncManager.parseDocument(response.responseText), etag };
+        }
+
+        const file = JSON.parse(response.responseText).files?.[SyncManager.GIST_FILE];
+        if (!file) return { document: SyncManager.createDocument(), etag: null };
+        let content = file.content;
+        if (file.truncated && file.raw_url) {
+            const raw = await this.#request(config, 'GET', file.raw_url);
+            SyncManager.#checkStatus(raw);
+            content = raw.responseText;
+        }
+        return { document: SyncManager.parseDocument(content), etag: null };
+    }
+
+    /**
+     * Writes the whole sync document to a WebDAV or Gist endpoint.
+     * @param {Object} config - The sync settings.
+     * @param {Object} document - The document.
+     * @param {string|null} etag - The ETag it was read with (WebDAV only).
+     * @returns {Promise<boolean>} False if the file changed since it was read.
+     */
+    async #writeDocument(config, document, etag) {
+        const content = JSON.stringify(document);
+        if (config.provider === 'webdav') {
+            const headers = etag ? { 'If-Match': etag } : { 'If-None-Match': '*' };
+            const response = await this.#request(config, 'PUT', config.url, content, headers);
+            if (response.status === 412) return false;
+            SyncManager.#checkStatus(response);
+            return true;
+        }
+        const body = JSON.stringify({ files: { [SyncManager.GIST_FILE]: { content } } });
+        SyncManager.#checkStatus(await this.#request(config, 'PATCH', config.url, body));
+        return true;
+    }
+
+    /**
+     * Sends a request to the sync endpoint with the configured credentials.
+     * @param {Object} config - The sync settings.
+     * @param {string} method - The HTTP method.
+     * @param {string} url - The URL.
+     * @param {string} [data] - The request body.
+     * @param {Object} [extraHeaders={}] - Additional headers.
+     * @returns {Promise<{status: number, responseText: string, responseHeaders: string}>}
+     */
+    #request(config, method, url, data, extraHeaders = {}) {
+        const headers = { ...extraHeaders };
+        if (data !== undefined) headers['Content-Type'] = 'application/json';
+        if (config.provider === 'gist') headers['Accept'] = 'application/vnd.github+json';
+        if (config.token) {
+            headers['Authorization'] = config.provider === 'webdav'
+                ? `Basic ${btoa(unescape(encodeURIComponent(config.token)))}`
+                : `Bearer ${config.token}`;
+        }
+
+        return gmRequest({ method, url, headers, data, timeout: SyncManager.REQUEST_TIMEOUT });
+    }
+
+    /**
+     * Throws if a response isn't successful.
+     * @param {{status: number, responseText: string}} response - The response.
+     */
+    static #checkStatus(response) {
+        if (response.status < 200 || response.status >= 300) {
+            throw new Error(`Endpoint returned status ${response.status}: ${response.responseText.slice(0, 200)}`);
+        }
+    }
+
+    /**
+     * Creates an empty sync document.
+     * @returns {Object}
+     */
+    static createDocument() {
+        return {
+            format: SyncManager.FORMAT,
+            version: SyncManager.FORMAT_VERSION,
+            revision: 0,
+            ratings: {},
+            instructionsHistory: [],
+            handleLists: {}
+        };
+    }
+
+    /**
+     * Parses a sync document, checking its format.
+     * @param {string} text - The document's JSON ('' for an empty document).
+     * @returns {Object}
+     * @throws {Error} If it isn't a sync document this version understands.
+     */
+    static parseDocument(text) {
+        if (!text.trim()) return SyncManager.createDocument();
+        const document = JSON.parse(text);
+        if (document?.format !== SyncManager.FORMAT) throw new Error('The endpoint did not return a sync document.');
+        if (document.version > SyncManager.FORMAT_VERSION) {
+            throw new Error('The sync data was written by a newer version of the script. Please update first.');
+        }
+        return {
+            ...SyncManager.createDocument(),
+            ...document,
+            revision: Number(document.revision) || 0
+        };
+    }
+
+    /**
+     * Copies a sync document with only the ratings written after a revision.
+     * @param {Object} document - The document.
+     * @param {number} since - The revision.
+     * @returns {Object}
+     */
+    static filterSince(document, since) {
+        const ratings = {};
+        Object.entries(document.ratings || {}).forEach(([tweetId, rating]) => {
+            if ((rating.syncRevision || 0) > since) ratings[tweetId] = rating;
+        });
+        return { ...document, ratings };
+    }
+
+    /**
+     * Merges changes into a sync document (last writer wins on timestamp) and moves it to the next revision.
+     * @param {Object} document - The document; changed in place.
+     * @param {Object} changes - The changes: {ratings, instructionsHistory, handleLists}.
+     * @returns {Object} The document.
+     */
+    static applyChanges(document, changes) {
+        const revision = document.revision + 1;
+        Object.entries(changes.ratings || {}).forEach(([tweetId, rating]) => {
+            const existing = document.ratings[tweetId];
+            if (existing && (existing.timestamp || 0) >= (rating.timestamp || 0)) return;
+            document.ratings[tweetId] = { ...rating, syncRevision: revision };
+        });
+
+        (changes.instructionsHistory || []).forEach(entry => {
+            const existing = document.instructionsHistory.find(e => e.instructions === entry.instructions);
+            if (!existing) {
+                document.instructionsHistory.push(entry);
+            } else if (existing.timestamp < entry.timestamp) {
+                Object.assign(existing, entry);
+            }
+        });
+
+        Object.entries(changes.handleLists || {}).forEach(([name, list]) => {
+            if (!SyncManager.isValidHandleList(list)) return;
+            if ((document.handleLists[name]?.timestamp || 0) < list.timestamp) document.handleLists[name] = list;
+        });
+
+        document.revision = revision;
+        document.updatedAt = Date.now();
+        return document;
+    }
+
+    /**
+     * Removes ratings from a sync document that are older than the age limit, then the oldest ones over the
+     * entry limit (0 = no limit, as for the local cache).
+     * @param {Object} document - The document; changed in place.
+     * @param {{cacheMaxEntries: number, cacheMaxAgeDays: number}} limits - The limits.
+     * @returns {number} The number of ratings removed.
+     */
+    static pruneRatings(document, { cacheMaxEntries, cacheMaxAgeDays }) {
+        const expiredBefore = cacheMaxAgeDays > 0 ? Date.now() - cacheMaxAgeDays * 24 * 60 * 60 * 1000 : 0;
+        const oldestFirst = Object.entries(document.ratings)
+            .sort((a, b) => (a[1].timestamp || 0) - (b[1].timestamp || 0));
+        let remaining = oldestFirst.length;
+        let removed = 0;
+        for (const [tweetId, rating] of oldestFirst) {
+            const overCount = cacheMaxEntries > 0 && remaining > cacheMaxEntries;
+            if (!overCount && (rating.timestamp || 0) >= expiredBefore) break;
+            delete document.ratings[tweetId];
+            remaining--;
+            removed++;
+        }
+        return removed;
+    }
+
+    /**
+     * Removes the sync revision stamped on ratings in a sync document.
+     * @param {Object<string, Object>} ratings - Ratings keyed by tweet ID.
+     * @returns {Object<string, Object>} Copies of the ratings, without syncRevision.
+     */
+    static stripRevisions(ratings) {
+        const stripped = {};
+        Object.entries(ratings || {}).forEach(([tweetId, rating]) => {
+            if (rating && typeof rating === 'object') {
+                const { syncRevision, ...rest } = rating;
+                stripped[tweetId] = rest;
+            } else {
+                stripped[tweetId] = rating; // Rejected by the import's validation
+            }
+        });
+        return stripped;
+    }
+
+    /**
+     * Checks a handle list from a sync document.
+     * @param {Object} list - The list: {handles, timestamp}.
+     * @returns {boolean}
+     */
+    static isValidHandleList(list) {
+        return !!list && Array.isArray(list.handles) && typeof list.timestamp === 'number';
+    }
+}
+
+const syncManager = new SyncManager();
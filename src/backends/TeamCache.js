@@ -0,0 +1,183 @@
+//src/backends/TeamCache.js
+/**
+ * Shared team rating cache (Settings > General > Team Cache), for teams who follow the same accounts:
+ * before a tweet is sent to the model, the team server is asked for a rating of it made with the same
+ * instructions, and new ratings are published back (unless publishing is turned off).
+ *
+ * Protocol (version 1), relative to the configured server URL; every request sends the token as a Bearer token:
+ * - GET  /v1/ratings/<tweetId>?instructionsHash=<hash> - 200 {rating}, or 404 if the team has no such rating
+ * - PUT  /v1/ratings/<tweetId>?instructionsHash=<hash> - body {rating}; the server keeps the newer timestamp
+ *   and answers {stored: boolean}
+ * - GET  /v1/health - {ok: true, protocol: 1, ratings: <count>}
+ *
+ * Ratings are keyed by tweet ID and instructions hash (see InstructionsManager.getCurrentHash), so only teammates
+ * using identical instructions share ratings; a team rating is used whatever model produced it. Follow-up
+ * questions and answers are never published. server/team-cache-server.js is the reference server.
+ */
+class TeamCache {
+    static PROTOCOL_VERSION = 1;
+    static LOOKUP_TIMEOUT = 5000;
+    static PUBLISH_TIMEOUT = 15000;
+    // How long a tweet the team hadn't rated is not asked about again
+    static MISS_TTL = 10 * 60 * 1000;
+    // How long lookups are skipped after the server couldn't be reached, so tweets aren't held up by timeouts
+    static RETRY_DELAY = 60 * 1000;
+
+    constructor() {
+        // In-flight lookups by key, so a tweet scheduled twice is only asked about once
+        this.pending = new Map();
+        // Keys the team had no rating for, with the time they were asked about
+        this.misses = new Map();
+        this.unavailableUntil = 0;
+    }
+
+    /** @returns {boolean} Whether the team cache is turned on and has a server URL. */
+    get enabled() {
+        return !!browserGet('teamCacheEnabled', false) && !!this.baseUrl;
+    }
+
+    /** @returns {boolean} Whether new ratings are published to the team. */
+    get publishing() {
+        return this.enabled && !browserGet('teamCacheDisablePublishing', false);
+    }
+
+    /** @returns {string} The server URL, without a trailing slash. */
+    get baseUrl() {
+        return String(browserGet('teamCacheUrl', '') || '').trim().replace(/\/+$/, '');
+    }
+
+    /**
+     * Asks the team server for a rating of a tweet made with the given instructions.
+     * Failures are logged and treated as "no rating", so the tweet is rated as usual.
+     * @param {string} tweetId - The tweet ID.
+     * @param {string} instructionsHash - The hash of the current instructions.
+     * @returns {Promise<Object|null>} The team's rating, or null.
+     */
+    lookup(tweetId, instructionsHash) {
+        if (!this.enabled || Date.now() < this.unavailableUntil) return Promise.resolve(null);
+        const key = `${tweetId}:${instructionsHash}`;
+        if (Date.now() - (this.misses.get(key) || 0) < TeamCache.MISS_TTL) return Promise.resolve(null);
+        if (this.pending.has(key)) return this.pending.get(key);
+
+        const lookup = this.#request('GET', this.#ratingUrl(tweetId, instructionsHash), undefined, TeamCache.LOOKUP_TIMEOUT)
+            .then(response => {
+                if (response.status === 404) {
+                    this.misses.set(key, Date.now());
+                    return null;
+                }
+                TeamCache.#checkStatus(response);
+                const rating = JSON.parse(response.responseText).rating;
+                if (TweetCache.validateEntry(tweetId, rating) || rating.instructionsHash !== instructionsHash) {
+                    console.warn(`[Team Cache] Ignoring invalid rating for tweet ${tweetId}`);
+                    return null;
+                }
+                return rating;
+            })
+            .catch(error => {
+                console.warn(`[Team Cache] Lookup failed for tweet ${tweetId}:`, error.message);
+                this.unavailableUntil = Date.now() + TeamCache.RETRY_DELAY;
+                return null;
+            })
+            .finally(() => this.pending.delete(key));
+        this.pending.set(key, lookup);
+        return lookup;
+    }
+
+    /**
+     * Publishes a new rating to the team (if publishing is on). Runs in the background; failures are only logged.
+     * @param {string} tweetId - The tweet ID.
+     * @param {Object} entry - The cached rating (see TweetCache.set).
+     */
+    publish(tweetId, entry) {
+        if (!this.publishing || !entry || entry.streaming || entry.error || typeof entry.score !== 'number' || !entry.instructionsHash) {
+            return;
+        }
+        const body = JSON.stringify({ rating: TeamCache.toSharedRating(entry) });
+        this.#request('PUT', this.#ratingUrl(tweetId, entry.instructionsHash), body, TeamCache.PUBLISH_TIMEOUT)
+            .then(response => {
+                TeamCache.#checkStatus(response);
+                this.misses.delete(`${tweetId}:${entry.instructionsHash}`);
+            })
+            .catch(error => console.warn(`[Team Cache] Publishing tweet ${tweetId} failed:`, error.message));
+    }
+
+    /**
+     * Checks that the server is reachable, speaks this protocol and accepts the token.
+     * @returns {Promise<{success: boolean, message: string}>}
+     */
+    async testConnection() {
+        if (!this.baseUrl) return { success: false, message: 'No team cache URL configured.' };
+        try {
+            const response = await this.#request('GET', `${this.baseUrl}/v1/health`, undefined, TeamCache.LOOKUP_TIMEOUT);
+            TeamCache.#checkStatus(response);
+            const health = JSON.parse(response.responseText);
+            if (health.protocol !== TeamCache.PROTOCOL_VERSION) {
+                return { success: false, message: `The server speaks protocol ${health.protocol}, expected ${TeamCache.PROTOCOL_VERSION}.` };
+            }
+            return { success: true, message: `Team cache connected (${health.ratings} ratings).` };
+        } catch (error) {
+            return { success: false, message: `Team cache connection failed: ${error.message}` };
+        }
+    }
+
+    /**
+     * Builds the URL of a rating.
+     * @param {string} tweetId - The tweet ID.
+     * @param {string} instructionsHash - The instructions hash.
+     * @returns {string}
+     */
+    #ratingUrl(tweetId, instructionsHash) {
+        return `${this.baseUrl}/v1/ratings/${encodeURIComponent(tweetId)}?instructionsHash=${encodeURIComponent(instructionsHash)}`;
+    }
+
+    /**
+     * Sends a request to the team server with the configured token.
+     * @param {string} method - The HTTP method.
+     * @param {string} url - The URL.
+     * @param {string} [data] - The request body.
+     * @param {number} timeout - Timeout in milliseconds.
+     * @returns {Promise<{status: number, responseText: string}>}
+     */
+    #request(method, url, data, timeout) {
+        const headers = {};
+        if (data !== undefined) headers['Content-Type'] = 'application/json';
+        const token = String(browserGet('teamCacheToken', '') || '').trim();
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        return gmRequest({ method, url, headers, data, timeout });
+    }
+
+    /**
+     * Throws if a response isn't successful.
+     * @param {{status: number, responseText: string}} response - The response.
+     */
+    static #checkStatus(response) {
+        if (response.status < 200 || response.status >= 300) {
+            throw new Error(`Server returned status ${response.status}: ${response.responseText.slice(0, 200)}`);
+        }
+    }
+
+    /**
+     * Picks the fields of a cached rating that are shared with the team.
+     * @param {Object} entry - The cached rating.
+     * @returns {Object}
+     */
+    static toSharedRating(entry) {
+        return {
+            score: entry.score,
+            scale: entry.scale,
+            description: entry.description || '',
+            reasoning: entry.reasoning || '',
+            questions: entry.questions || [],
+            subScores: entry.subScores || null,
+            timestamp: entry.timestamp,
+            instructionsHash: entry.instructionsHash,
+            ratingModel: entry.ratingModel,
+            metadata: {
+                model: entry.metadata?.model || null,
+                providerName: entry.metadata?.providerName || null
+            }
+        };
+    }
+}
+
+const teamCache = new TeamCache();
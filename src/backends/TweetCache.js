@@ -14,62 +14,406 @@ function debounce(func, wait) {
 
 /**
  * Class to manage the tweet rating cache with standardized data structure and centralized persistence.
+ *
+ * Ratings are stored in IndexedDB, one record per tweet, so a save only writes the ratings that changed.
+ * A small metadata store (last access time and size of each record) is read at startup together with the
+ * most recently used ratings; other ratings are loaded when their tweet shows up (see load). The least
+ * recently used ratings are evicted once the cache is over its entry count or size limit, or unused for
+ * longer than the expiry (Settings > General > Cache Statistics). Reading a rating only updates its last
+ * access time in the metadata store; the rating record is written when it is set, or after a caller changes
+ * it in place and calls markChanged. Ratings from before IndexedDB were kept
+ * in the 'tweetRatings' setting and are migrated once.
+ *
+ * Each rating records the hash of the instructions and the rating model that produced it. A rating made with
+ * other instructions or another model is stale: it is set aside as a variant, and swapped back in if those
+ * instructions and model are used again, so switching back doesn't pay for the same ratings twice.
  */
 class TweetCache {
     // Debounce delay in milliseconds
     static DEBOUNCE_DELAY = 1500;
+    // Stale ratings kept per tweet
+    static MAX_VARIANTS = 3;
+    static DB_NAME = 'TweetFilterAI';
+    static DB_VERSION = 1;
+    static RATINGS_STORE = 'ratings';
+    static META_STORE = 'ratingMeta';
+    // Most recently used ratings loaded at startup
+    static PRELOAD_COUNT = 500;
+    // Limit settings and their defaults (0 = no limit)
+    static DEFAULT_LIMITS = {
+        cacheMaxEntries: 20000,
+        cacheMaxSizeMB: 50,
+        cacheMaxAgeDays: 0
+    };
 
     constructor() {
+        // Loaded ratings, keyed by tweet ID
         this.cache = {};
-        this.loadFromStorage();
+        // Stale ratings keyed by tweet ID, then by rating key (see getRatingKey)
+        this.variants = {};
+        /** @type {Map<string, {lastAccess: number, bytes: number}>} Every stored tweet, loaded or not */
+        this.index = new Map();
+        // Tweets whose record needs writing (or deleting) on the next save
+        this.dirty = new Set();
+        // Tweets read since the last save, whose last access time needs writing
+        this.accessed = new Set();
+        this.db = null;
+        this.loadLimits();
         // Create a debounced version of the internal save method
         this.debouncedSaveToStorage = debounce(this.#saveToStorageInternal.bind(this), TweetCache.DEBOUNCE_DELAY);
+        this.ready = this.loadFromStorage();
+    }
+
+    /**
+     * Reads the cache limits from settings. Called at startup and when a limit setting is committed,
+     * so a half-typed limit doesn't evict ratings.
+     */
+    loadLimits() {
+        this.limits = {};
+        for (const [name, defaultValue] of Object.entries(TweetCache.DEFAULT_LIMITS)) {
+            const value = parseFloat(browserGet(name, defaultValue));
+            this.limits[name] = isNaN(value) || value < 0 ? defaultValue : value;
+        }
+    }
+
+    /**
+     * Opens the IndexedDB database.
+     * @returns {Promise<IDBDatabase>}
+     */
+    #openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(TweetCache.DB_NAME, TweetCache.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(TweetCache.RATINGS_STORE)) {
+                    db.createObjectStore(TweetCache.RATINGS_STORE, { keyPath: 'tweetId' });
+                }
+                if (!db.objectStoreNames.contains(TweetCache.META_STORE)) {
+                    db.createObjectStore(TweetCache.META_STORE, { keyPath: 'tweetId' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Runs a transaction over both stores.
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+     * @param {Function} callback - Called with the ratings and meta stores.
+     * @returns {Promise<void>} Resolves when the transaction completes.
+     */
+    #transaction(mode, callback) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([TweetCache.RATINGS_STORE, TweetCache.META_STORE], mode);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+            callback(transaction.objectStore(TweetCache.RATINGS_STORE), transaction.objectStore(TweetCache.META_STORE));
+        });
+    }
+
+    /**
+     * Stamps fields that ratings stored by older versions may lack.
+     * @param {Object} entry - A stored rating.
+     * @returns {Object} The same rating.
+     */
+    static #fromStored(entry) {
+        entry.fromStorage = true;
+        // Entries from before the scale was configurable were rated 0-10
+        entry.scale = entry.scale || ScoreScale.LEGACY_SCALE;
+        // ...and by the Default instruction profile
+        entry.profile = entry.profile || InstructionProfiles.DEFAULT_ID;
+        return entry;
     }
 
     /**
-     * Loads the cache from browser storage.
+     * Opens the database, migrates ratings kept in settings by older versions, then loads the
+     * index and the most recently used ratings.
+     * @returns {Promise<void>}
      */
-    loadFromStorage() {
+    async loadFromStorage() {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('IndexedDB is not available; tweet ratings will only be cached for this session.');
+            return;
+        }
         try {
-            const storedCache = browserGet('tweetRatings', '{}');
-            this.cache = JSON.parse(storedCache);
-            for (const tweetId in this.cache) {
-                this.cache[tweetId].fromStorage = true;
-            }
+            this.db = await this.#openDatabase();
+            await this.#migrateFromSettings();
+
+            const metaRecords = await this.#getAllRecords(TweetCache.META_STORE);
+            metaRecords.forEach(meta => {
+                // Ratings set while the database was opening are newer
+                if (!this.index.has(meta.tweetId)) {
+                    this.index.set(meta.tweetId, { lastAccess: meta.lastAccess, bytes: meta.bytes });
+                }
+            });
+
+            const recent = metaRecords
+                .sort((a, b) => b.lastAccess - a.lastAccess)
+                .slice(0, TweetCache.PRELOAD_COUNT)
+                .map(meta => meta.tweetId);
+            await this.#loadRecords(recent);
+            this.enforceLimits();
         } catch (error) {
             console.error('Error loading tweet cache:', error);
-            this.cache = {};
+            this.db = null;
         }
+        updateCacheStatsUI();
     }
 
     /**
-     * Saves the current cache to browser storage. (Internal, synchronous implementation)
+     * Moves ratings kept in the 'tweetRatings' setting by older versions into IndexedDB, once.
+     * @returns {Promise<void>}
      */
-    #saveToStorageInternal() {
+    async #migrateFromSettings() {
+        let stored;
+        let storedVariants;
         try {
-            browserSet('tweetRatings', JSON.stringify(this.cache));
-            updateCacheStatsUI(); // Update UI after saving
+            stored = JSON.parse(browserGet('tweetRatings', '{}')) || {};
+            storedVariants = JSON.parse(browserGet('tweetRatingVariants', '{}')) || {};
         } catch (error) {
-            console.error("Error saving tweet cache to storage:", error);
+            console.error('Error reading tweet ratings to migrate:', error);
+            return;
         }
+        const tweetIds = [...new Set([...Object.keys(stored), ...Object.keys(storedVariants)])];
+        if (tweetIds.length === 0) return;
+
+        const now = Date.now();
+        await this.#transaction('readwrite', (ratingsStore, metaStore) => {
+            tweetIds.forEach(tweetId => {
+                const record = {
+                    tweetId,
+                    rating: stored[tweetId] ? TweetCache.#fromStored(stored[tweetId]) : null,
+                    variants: storedVariants[tweetId] || null
+                };
+                ratingsStore.put(record);
+                metaStore.put({ tweetId, lastAccess: record.rating?.timestamp || now, bytes: JSON.stringify(record).length });
+            });
+        });
+        browserSet('tweetRatings', '{}');
+        browserSet('tweetRatingVariants', '{}');
+        console.log(`Migrated ${tweetIds.length} cached tweet ratings to IndexedDB`);
+    }
+
+    /**
+     * Reads every record of a store.
+     * @param {string} storeName - The store.
+     * @returns {Promise<Object[]>}
+     */
+    #getAllRecords(storeName) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
     }
 
     /**
-     * Gets a tweet rating from the cache.
+     * Loads stored ratings into memory, skipping tweets already loaded.
+     * @param {string[]} tweetIds - The tweets to load.
+     * @returns {Promise<void>}
+     */
+    async #loadRecords(tweetIds) {
+        const records = [];
+        await this.#transaction('readonly', (ratingsStore) => {
+            tweetIds.forEach(tweetId => {
+                const request = ratingsStore.get(tweetId);
+                request.onsuccess = () => request.result && records.push(request.result);
+            });
+        });
+        records.forEach(record => {
+            if (this.cache[record.tweetId] || this.variants[record.tweetId]) return;
+            if (record.rating) this.cache[record.tweetId] = TweetCache.#fromStored(record.rating);
+            if (record.variants) {
+                Object.values(record.variants).forEach(entry => TweetCache.#fromStored(entry));
+                this.variants[record.tweetId] = record.variants;
+            }
+        });
+    }
+
+    /**
+     * Loads a tweet's stored rating into memory, if it isn't already. Call before get() when the
+     * tweet may not have been seen this session.
+     * @param {string} tweetId - The ID of the tweet.
+     * @returns {Promise<Object|null>} The rating, or null if there is none.
+     */
+    async load(tweetId) {
+        await this.ready;
+        if (!this.cache[tweetId] && !this.variants[tweetId] && this.db && this.index.has(tweetId)) {
+            try {
+                await this.#loadRecords([tweetId]);
+            } catch (error) {
+                console.error(`Error loading cached rating for tweet ${tweetId}:`, error);
+            }
+        }
+        return this.get(tweetId);
+    }
+
+    /**
+     * Reads every stored rating, loaded or not (for statistics and export).
+     * @returns {Promise<Object<string, Object>>} Ratings keyed by tweet ID.
+     */
+    async getAll() {
+        await this.ready;
+        const all = {};
+        if (this.db) {
+            try {
+                const records = await this.#getAllRecords(TweetCache.RATINGS_STORE);
+                records.forEach(record => {
+                    if (record.rating && !this.dirty.has(record.tweetId)) all[record.tweetId] = record.rating;
+                });
+            } catch (error) {
+                console.error('Error reading tweet cache:', error);
+            }
+        }
+        // Loaded ratings may have unsaved changes
+        return Object.assign(all, this.cache);
+    }
+
+    /**
+     * Reads the finished ratings made or updated after a point in time (for sync).
+     * @param {number} since - Timestamp in milliseconds; 0 for every rating.
+     * @returns {Promise<Object<string, Object>>} Ratings keyed by tweet ID.
+     */
+    async getChangedSince(since) {
+        const changed = {};
+        Object.entries(await this.getAll()).forEach(([tweetId, rating]) => {
+            if (!rating.streaming && !rating.error && (rating.timestamp || 0) > since) changed[tweetId] = rating;
+        });
+        return changed;
+    }
+
+    /**
+     * Marks a tweet's record as changed and updates its last access time.
+     * @param {string} tweetId - The ID of the tweet.
+     */
+    #touch(tweetId) {
+        const meta = this.index.get(tweetId) || { lastAccess: 0, bytes: 0 };
+        meta.lastAccess = Date.now();
+        this.index.set(tweetId, meta);
+        this.dirty.add(tweetId);
+    }
+
+    /**
+     * Writes a loaded rating changed in place (e.g. through the object get() returns) with the next save.
+     * @param {string} tweetId - The ID of the tweet.
+     */
+    markChanged(tweetId) {
+        if (!this.cache[tweetId]) return;
+        this.#touch(tweetId);
+        this.debouncedSaveToStorage();
+    }
+
+    /**
+     * Writes changed records to IndexedDB and deletes removed ones, then evicts over the limits.
+     * Tweets that were only read get their last access time written to the metadata store.
+     * (Internal implementation of the debounced save)
+     */
+    async #saveToStorageInternal() {
+        await this.ready;
+        if (this.dirty.size === 0 && this.accessed.size === 0) return;
+        const tweetIds = [...this.dirty];
+        const accessedIds = [...this.accessed].filter(tweetId => !this.dirty.has(tweetId));
+        this.dirty.clear();
+        this.accessed.clear();
+
+        if (this.db) {
+            try {
+                await this.#transaction('readwrite', (ratingsStore, metaStore) => {
+                    accessedIds.forEach(tweetId => {
+                        const meta = this.index.get(tweetId);
+                        if (meta) metaStore.put({ tweetId, lastAccess: meta.lastAccess, bytes: meta.bytes });
+                    });
+                    tweetIds.forEach(tweetId => {
+                        const rating = this.cache[tweetId] || null;
+                        const variants = this.variants[tweetId] || null;
+                        const meta = this.index.get(tweetId);
+                        if (!meta || (!rating && !variants)) {
+                            ratingsStore.delete(tweetId);
+                            metaStore.delete(tweetId);
+                            this.index.delete(tweetId);
+                            return;
+                        }
+                        const record = { tweetId, rating, variants };
+                        meta.bytes = JSON.stringify(record).length;
+                        ratingsStore.put(record);
+                        metaStore.put({ tweetId, lastAccess: meta.lastAccess, bytes: meta.bytes });
+                    });
+                });
+            } catch (error) {
+                console.error("Error saving tweet cache to storage:", error);
+            }
+        }
+        this.enforceLimits();
+        updateCacheStatsUI(); // Update UI after saving
+    }
+
+    /**
+     * Writes pending changes now (e.g. before the page unloads).
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.#saveToStorageInternal();
+    }
+
+    /**
+     * Evicts the least recently used ratings while the cache is over its entry count or size limit,
+     * and any unused for longer than the expiry.
+     * @returns {number} The number of tweets evicted.
+     */
+    enforceLimits() {
+        const { cacheMaxEntries, cacheMaxSizeMB, cacheMaxAgeDays } = this.limits;
+        const maxBytes = cacheMaxSizeMB * 1024 * 1024;
+        const expiredBefore = cacheMaxAgeDays > 0 ? Date.now() - cacheMaxAgeDays * 24 * 60 * 60 * 1000 : 0;
+
+        let count = this.index.size;
+        let bytes = this.byteSize;
+        const evicted = [];
+        const oldestFirst = [...this.index.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+        for (const [tweetId, meta] of oldestFirst) {
+            const overCount = cacheMaxEntries > 0 && count > cacheMaxEntries;
+            const overSize = cacheMaxSizeMB > 0 && bytes > maxBytes;
+            if (!overCount && !overSize && meta.lastAccess >= expiredBefore) break;
+            evicted.push(tweetId);
+            count--;
+            bytes -= meta.bytes;
+        }
+
+        evicted.forEach(tweetId => this.delete(tweetId));
+        if (evicted.length > 0) {
+            console.log(`[TweetCache] Evicted ${evicted.length} least recently used ratings`);
+        }
+        return evicted.length;
+    }
+
+    /**
+     * Gets a tweet rating from the cache. Only loaded ratings are returned (see load).
      * @param {string} tweetId - The ID of the tweet.
      * @returns {Object|null} The tweet rating object or null if not found.
      */
     get(tweetId) {
-        return this.cache[tweetId] || null;
+        const entry = this.cache[tweetId];
+        if (!entry) return null;
+        // Only the last access time is written; callers changing the entry in place call markChanged
+        const meta = this.index.get(tweetId);
+        if (meta) {
+            meta.lastAccess = Date.now();
+            this.accessed.add(tweetId);
+            this.debouncedSaveToStorage();
+        }
+        return entry;
     }
 
     /**
      * Sets a tweet rating in the cache.
      * @param {string} tweetId - The ID of the tweet.
-     * @param {Object} rating - The rating object: {score(required), description, reasoning, timestamp, streaming, blacklisted, fromStorage, metadata: {model, promptTokens, completionTokens, latency, mediaInputs, price}}
-     * @param {boolean} [saveImmediately=true] - Whether to save to storage immediately. DEPRECATED - Saving is now debounced.
+     * @param {Object} rating - The rating object: {score(required), description, reasoning, timestamp, streaming, blacklisted, error, fromStorage, metadata: {model, promptTokens, completionTokens, reasoningTokens, latency, mediaInputs, price, providerName, batchSize}, subScores, scale, profile, instructionsHash, ratingModel}
+     *   instructionsHash and ratingModel should be captured (getRatingContext) when the rating request is built; they default to the current ones.
+     * @param {boolean} [saveImmediately=false] - Whether to write the rating to storage now, rather than with the next debounced save.
      */
-    set(tweetId, rating, saveImmediately = true) { // saveImmediately is now ignored
+    set(tweetId, rating, saveImmediately = false) {
+        const context = this.getRatingContext();
         // Standardize the rating object structure
         this.cache[tweetId] = {
             score: rating.score,
@@ -82,64 +426,244 @@ class TweetCache {
             timestamp: rating.timestamp || Date.now(),
             streaming: rating.streaming || false,
             blacklisted: rating.blacklisted || false,
+            error: rating.error || false,
             fromStorage: rating.fromStorage || false,
             metadata: {
                 model: rating.metadata?.model || null,
                 promptTokens: rating.metadata?.promptTokens || null,
                 completionTokens: rating.metadata?.completionTokens || null,
+                reasoningTokens: rating.metadata?.reasoningTokens || null,
                 latency: rating.metadata?.latency || null,
                 mediaInputs: rating.metadata?.mediaInputs || null,
-                price: rating.metadata?.price || null
+                price: rating.metadata?.price || null,
+                providerName: rating.metadata?.providerName || null,
+                batchSize: rating.metadata?.batchSize || null
             },
+            subScores: rating.subScores || null,
+            scale: rating.scale || scoreScale.id, // Scale the score was given on
+            profile: rating.profile || instructionProfiles.activeId, // Instruction profile that produced the rating
+            instructionsHash: rating.instructionsHash || context.instructionsHash, // Instructions that produced the rating
+            ratingModel: rating.ratingModel || context.ratingModel, // Rating model setting that produced the rating
             qaConversationHistory: rating.qaConversationHistory || []
         };
 
-        if(!saveImmediately) {
-            this.debouncedSaveToStorage();
-        } else {
+        this.#touch(tweetId);
+        if (saveImmediately) {
             this.#saveToStorageInternal();
+        } else {
+            this.debouncedSaveToStorage();
         }
     }
+
+    /**
+     * Checks whether a tweet has a loaded rating.
+     * @param {string} tweetId - The ID of the tweet.
+     * @returns {boolean}
+     */
     has(tweetId) {
         return this.cache[tweetId] !== undefined;
     }
+
+    /**
+     * Gets the instructions and model new ratings are made with.
+     * @returns {{instructionsHash: string, ratingModel: string}}
+     */
+    getRatingContext() {
+        return {
+            instructionsHash: instructionsManager.getCurrentHash(),
+            ratingModel: instructionProfiles.getModel(selectedModel)
+        };
+    }
+
+    /**
+     * Gets the key identifying the instructions and model a rating was made with.
+     * @param {{instructionsHash: string, ratingModel: string}} entry - A cache entry or rating context.
+     * @returns {string}
+     */
+    static getRatingKey(entry) {
+        return `${entry.instructionsHash}|${entry.ratingModel}`;
+    }
+
+    /**
+     * Checks whether a cached rating was made with the current instructions and model.
+     * Entries from before these were recorded count as current; they are stamped on first use.
+     * @param {Object} entry - The cache entry.
+     * @returns {boolean}
+     */
+    isCurrent(entry) {
+        if (!entry?.instructionsHash) return true;
+        return TweetCache.getRatingKey(entry) === TweetCache.getRatingKey(this.getRatingContext());
+    }
+
+    /**
+     * Gets a tweet's rating made with the current instructions and model.
+     * A stale rating is set aside; an earlier rating made with the current instructions and model is swapped back in.
+     * @param {string} tweetId - The ID of the tweet.
+     * @returns {Object|null} The current rating, or null if the tweet needs rating.
+     */
+    useCurrentRating(tweetId) {
+        const entry = this.cache[tweetId];
+        if (!entry) return null;
+        const context = this.getRatingContext();
+        if (!entry.instructionsHash) {
+            // Rated before ratings recorded their instructions and model: assume the current ones
+            Object.assign(entry, context);
+            this.#touch(tweetId);
+            this.debouncedSaveToStorage();
+            return entry;
+        }
+
+        const currentKey = TweetCache.getRatingKey(context);
+        if (TweetCache.getRatingKey(entry) === currentKey) return entry;
+
+        const tweetVariants = this.variants[tweetId] || {};
+        const earlier = tweetVariants[currentKey];
+        delete tweetVariants[currentKey];
+        // Only finished ratings are worth keeping
+        if (!entry.streaming && !entry.error && entry.score !== undefined && entry.score !== null) {
+            tweetVariants[TweetCache.getRatingKey(entry)] = entry;
+            const keys = Object.keys(tweetVariants);
+            keys.sort((a, b) => (tweetVariants[a].timestamp || 0) - (tweetVariants[b].timestamp || 0))
+                .slice(0, Math.max(0, keys.length - TweetCache.MAX_VARIANTS))
+                .forEach(key => delete tweetVariants[key]);
+        }
+        if (Object.keys(tweetVariants).length > 0) {
+            this.variants[tweetId] = tweetVariants;
+        } else {
+            delete this.variants[tweetId];
+        }
+
+        if (earlier) {
+            this.cache[tweetId] = earlier;
+        } else {
+            delete this.cache[tweetId];
+        }
+        this.#touch(tweetId);
+        this.debouncedSaveToStorage();
+        return earlier || null;
+    }
+
     /**
-     * Removes a tweet rating from the cache.
+     * Removes a tweet's ratings from the cache.
      * @param {string} tweetId - The ID of the tweet to remove.
      * @param {boolean} [saveImmediately=true] - Whether to save to storage immediately. DEPRECATED - Saving is now debounced.
      */
     delete(tweetId, saveImmediately = true) { // saveImmediately is now ignored
-        if (this.has(tweetId)) {
-            delete this.cache[tweetId];
-            // Use the debounced save
+        delete this.cache[tweetId];
+        delete this.variants[tweetId];
+        if (this.index.delete(tweetId)) {
+            // A dirty tweet without an index entry is deleted from storage on the next save
+            this.dirty.add(tweetId);
             this.debouncedSaveToStorage();
         }
     }
 
     /**
-     * Clears all ratings from the cache.
+     * Clears all ratings from the cache, including stored ratings that aren't loaded.
      * @param {boolean} [saveImmediately=true] - Whether to save to storage immediately or debounce.
      */
-    clear(saveImmediately = false) {
+    clear(saveImmediately = false) { // Storage is always cleared immediately
         this.cache = {};
-        // Use the debounced save
-        if (saveImmediately) {
-            this.#saveToStorageInternal();
-        } else {
-            this.debouncedSaveToStorage();
+        this.variants = {};
+        this.index.clear();
+        this.dirty.clear();
+        this.accessed.clear();
+        if (this.db) {
+            this.#transaction('readwrite', (ratingsStore, metaStore) => {
+                ratingsStore.clear();
+                metaStore.clear();
+            }).catch(error => console.error('Error clearing tweet cache:', error));
         }
+        updateCacheStatsUI();
     }
 
     /**
-     * Gets the number of cached ratings.
+     * Gets the number of cached ratings, loaded or not.
      * @returns {number} The number of cached ratings.
      */
     get size() {
-        return Object.keys(this.cache).length;
+        return this.index.size;
+    }
+
+    /**
+     * Gets the approximate storage size of the cache.
+     * @returns {number} Size in bytes (as of the last save).
+     */
+    get byteSize() {
+        let bytes = 0;
+        this.index.forEach(meta => bytes += meta.bytes);
+        return bytes;
+    }
+
+    /**
+     * Imports ratings exported by exportCacheToJson (an object of ratings keyed by tweet ID).
+     * In 'merge' mode an imported rating replaces a cached one only if it is newer; in 'replace' mode
+     * the cache is cleared first. Invalid or unfinished ratings are rejected.
+     * @param {Object<string, Object>} ratings - The ratings to import.
+     * @param {'merge'|'replace'} [mode='merge'] - How to combine them with the cache.
+     * @returns {Promise<{added: number, updated: number, unchanged: number, rejected: number, errors: string[]}>}
+     */
+    async importRatings(ratings, mode = 'merge') {
+        const result = { added: 0, updated: 0, unchanged: 0, rejected: 0, errors: [] };
+        if (!ratings || typeof ratings !== 'object' || Array.isArray(ratings)) {
+            throw new Error('Expected an object of ratings keyed by tweet ID.');
+        }
+
+        await this.ready;
+        if (mode === 'replace') this.clear();
+
+        for (const [tweetId, entry] of Object.entries(ratings)) {
+            const error = TweetCache.validateEntry(tweetId, entry);
+            if (error) {
+                result.rejected++;
+                result.errors.push(`${tweetId}: ${error}`);
+                continue;
+            }
+
+            const existing = await this.load(tweetId);
+            if (existing && (existing.timestamp || 0) >= (entry.timestamp || 0)) {
+                result.unchanged++;
+                continue;
+            }
+            this.set(tweetId, { ...entry, fromStorage: true, streaming: false });
+            if (existing) {
+                result.updated++;
+            } else {
+                result.added++;
+            }
+        }
+        return result;
     }
 
     /**
-     * Cleans up invalid entries in the cache.
+     * Checks an imported rating against the shape set() stores.
+     * @param {string} tweetId - The tweet ID it is keyed by.
+     * @param {Object} entry - The rating.
+     * @returns {string} An error message, or '' if the rating is valid.
+     */
+    static validateEntry(tweetId, entry) {
+        if (!/^\d+$/.test(tweetId)) return 'not a tweet ID';
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return 'not an object';
+        if (typeof entry.score !== 'number' || !isFinite(entry.score)) return 'missing or invalid score';
+        if (entry.streaming) return 'unfinished rating';
+        if (entry.timestamp !== undefined && (typeof entry.timestamp !== 'number' || !isFinite(entry.timestamp))) return 'invalid timestamp';
+        if (entry.scale !== undefined && !ScoreScale.SCALES[entry.scale]) return `unknown score scale "${entry.scale}"`;
+
+        const strings = ['fullContext', 'description', 'reasoning', 'lastAnswer', 'profile', 'instructionsHash', 'ratingModel'];
+        const wrongString = strings.find(field => entry[field] !== undefined && entry[field] !== null && typeof entry[field] !== 'string');
+        if (wrongString) return `"${wrongString}" must be text`;
+        const arrays = ['questions', 'mediaUrls', 'qaConversationHistory'];
+        const wrongArray = arrays.find(field => entry[field] !== undefined && entry[field] !== null && !Array.isArray(entry[field]));
+        if (wrongArray) return `"${wrongArray}" must be a list`;
+        const objects = ['metadata', 'subScores'];
+        const wrongObject = objects.find(field => entry[field] !== undefined && entry[field] !== null &&
+            (typeof entry[field] !== 'object' || Array.isArray(entry[field])));
+        if (wrongObject) return `"${wrongObject}" must be an object`;
+        return '';
+    }
+
+    /**
+     * Cleans up invalid entries among the loaded ratings.
      * @param {boolean} [saveImmediately=true] - Whether to save to storage immediately. DEPRECATED - Saving is now debounced.
      * @returns {Object} Statistics about the cleanup operation.
      */
@@ -169,16 +693,11 @@ class TweetCache {
             }
 
             if (shouldDelete) {
-                delete this.cache[tweetId];
+                this.delete(tweetId);
                 deletedCount++;
             }
         }
 
-        if (deletedCount > 0) {
-            // Use the debounced save if changes were made
-            this.debouncedSaveToStorage();
-        }
-
         return {
             beforeCount,
             afterCount: this.size,
@@ -0,0 +1,244 @@
+//src/backends/VideoFrames.js
+/**
+ * Keyframes sampled from tweet videos, so clips are rated on their content rather than their thumbnail
+ * (Settings > Models > Video Frames).
+ *
+ * extractMediaLinks lists a video by its poster URL and starts a capture here. Frames are drawn from the
+ * <video> element onto a canvas:
+ * - Directly loaded files (GIFs, some clips) are sampled evenly by seeking a hidden copy of the video.
+ * - Streamed videos can't be copied, so frames are taken as the video plays (timeline videos autoplay),
+ *   without seeking the one the user is watching.
+ * If the video's origin doesn't allow reading its pixels (CORS), or nothing could be captured in time,
+ * the poster is used instead. Frames are kept in memory only; cached ratings keep the poster URL.
+ *
+ * The model receives each frame as an image labelled "[VIDEO n, frame k]" (see buildContent).
+ */
+class VideoFrames {
+    static FRAME_COUNT = 4;
+    static MAX_WIDTH = 512;
+    static JPEG_QUALITY = 0.7;
+    // Longest a rating waits for frames
+    static CAPTURE_TIMEOUT = 6000;
+    // Seconds between frames taken from a playing video whose length isn't known
+    static PLAYBACK_INTERVAL = 2;
+    static MAX_ENTRIES = 100;
+
+    constructor() {
+        /** @type {Map<string, Promise<string[]>>} Captures by poster URL (oldest first) */
+        this.captures = new Map();
+        /** @type {Map<string, string[]>} Finished captures by poster URL: JPEG data URLs, empty to use the poster */
+        this.frames = new Map();
+    }
+
+    /** @returns {boolean} Whether video frames are sampled. */
+    get enabled() {
+        return !!browserGet('enableVideoFrames', true);
+    }
+
+    /**
+     * Starts capturing frames from a video, unless it was already captured.
+     * @param {HTMLVideoElement} video - The video element.
+     * @param {string} posterUrl - The video's poster URL, as listed in the tweet's media URLs.
+     * @returns {Promise<string[]>} The frames (empty if the poster has to be used).
+     */
+    capture(video, posterUrl) {
+        if (!this.enabled) return Promise.resolve([]);
+        if (this.captures.has(posterUrl)) return this.captures.get(posterUrl);
+
+        const capture = this.#captureFrames(video)
+            .catch(error => {
+                console.warn(`[VideoFrames] Could not capture frames for ${posterUrl}, using the poster:`, error.message);
+                return [];
+            })
+            .then(frames => {
+                this.frames.set(posterUrl, frames);
+                return frames;
+            });
+        this.captures.set(posterUrl, capture);
+
+        // Keep memory bounded; the oldest videos have long scrolled away
+        while (this.captures.size > VideoFrames.MAX_ENTRIES) {
+            const oldest = this.captures.keys().next().value;
+            this.captures.delete(oldest);
+            this.frames.delete(oldest);
+        }
+        return capture;
+    }
+
+    /**
+     * Waits for the captures of any videos among media URLs.
+     * @param {string[]} mediaUrls - The media URLs.
+     * @returns {Promise<void>}
+     */
+    async waitFor(mediaUrls) {
+        await Promise.all((mediaUrls || []).map(url => this.captures.get(url)).filter(Boolean));
+    }
+
+    /**
+     * Checks whether a media URL is the poster of a captured video.
+     * @param {string} url - The media URL.
+     * @returns {boolean}
+     */
+    isVideo(url) {
+        return this.captures.has(url);
+    }
+
+    /**
+     * Checks whether frames were captured from a video, rather than falling back to its poster.
+     * @param {string} url - The video's poster URL.
+     * @returns {boolean}
+     */
+    hasFrames(url) {
+        return (this.frames.get(url) || []).length > 0;
+    }
+
+    /**
+     * Builds the image content parts of a request for media URLs: images as they are, and each video as its
+     * labelled frames (or its labelled poster if no frames could be captured).
+     * @param {string[]} mediaUrls - The media URLs.
+     * @param {number} [firstVideoNumber=1] - The number of the first video in the labels.
+     * @returns {Object[]} OpenAI-style content parts.
+     */
+    buildContent(mediaUrls, firstVideoNumber = 1) {
+        let videoNumber = firstVideoNumber - 1;
+        return (mediaUrls || []).flatMap(url => {
+            const image = imageUrl => ({ type: 'image_url', image_url: { url: imageUrl } });
+            if (!this.isVideo(url)) return [image(url)];
+
+            videoNumber++;
+            const frames = this.frames.get(url) || [];
+            if (frames.length === 0) {
+                return [{ type: 'text', text: `[VIDEO ${videoNumber}, poster]` }, image(url)];
+            }
+            return frames.flatMap((frame, index) => [
+                { type: 'text', text: `[VIDEO ${videoNumber}, frame ${index + 1}]` },
+                image(frame)
+            ]);
+        });
+    }
+
+    /**
+     * Captures frames from a video, seeking a hidden copy if the file can be loaded directly.
+     * @param {HTMLVideoElement} video - The video element.
+     * @returns {Promise<string[]>}
+     */
+    async #captureFrames(video) {
+        const source = video.currentSrc || video.src;
+        if (/^https?:/.test(source)) {
+            try {
+                const frames = await this.#sampleBySeeking(source);
+                if (frames.length > 0) return frames;
+            } catch (error) {
+                // The file doesn't allow cross-origin reads; try the element itself
+            }
+        }
+        return this.#sampleWhilePlaying(video);
+    }
+
+    /**
+     * Loads a video file into a hidden element and draws evenly spaced frames.
+     * @param {string} source - The video file URL.
+     * @returns {Promise<string[]>}
+     */
+    async #sampleBySeeking(source) {
+        const copy = document.createElement('video');
+        copy.crossOrigin = 'anonymous';
+        copy.muted = true;
+        copy.preload = 'auto';
+        const deadline = Date.now() + VideoFrames.CAPTURE_TIMEOUT;
+        const waitFor = eventName => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${eventName}`)), Math.max(0, deadline - Date.now()));
+            copy.addEventListener(eventName, () => { clearTimeout(timer); resolve(); }, { once: true });
+            copy.addEventListener('error', () => { clearTimeout(timer); reject(new Error('Video failed to load')); }, { once: true });
+        });
+
+        try {
+            const loaded = waitFor('loadeddata');
+            copy.src = source;
+            await loaded;
+            if (!isFinite(copy.duration) || copy.duration <= 0) return [];
+
+            const frames = [];
+            for (let k = 1; k <= VideoFrames.FRAME_COUNT; k++) {
+                const seeked = waitFor('seeked');
+                copy.currentTime = copy.duration * k / (VideoFrames.FRAME_COUNT + 1);
+                await seeked;
+                frames.push(VideoFrames.drawFrame(copy));
+            }
+            return frames;
+        } finally {
+            copy.removeAttribute('src');
+            copy.load(); // Release the download
+        }
+    }
+
+    /**
+     * Draws frames from a video as it plays: the current frame, then one per interval of playback,
+     * until enough frames are taken or the capture times out.
+     * @param {HTMLVideoElement} video - The video element.
+     * @returns {Promise<string[]>}
+     */
+    #sampleWhilePlaying(video) {
+        return new Promise(resolve => {
+            const frames = [];
+            const interval = isFinite(video.duration) && video.duration > 0
+                ? video.duration / VideoFrames.FRAME_COUNT
+                : VideoFrames.PLAYBACK_INTERVAL;
+            let lastTime = -Infinity;
+            let timer = null;
+
+            const finish = () => {
+                clearTimeout(timer);
+                video.removeEventListener('timeupdate', onTimeUpdate);
+                resolve(frames);
+            };
+            const grab = () => {
+                try {
+                    frames.push(VideoFrames.drawFrame(video));
+                    lastTime = video.currentTime;
+                } catch (error) {
+                    // A tainted canvas won't get better; use the poster
+                    frames.length = 0;
+                    finish();
+                    return false;
+                }
+                if (frames.length >= VideoFrames.FRAME_COUNT) {
+                    finish();
+                    return false;
+                }
+                return true;
+            };
+            function onTimeUpdate() {
+                if (video.currentTime - lastTime >= interval) grab();
+            }
+
+            // HAVE_CURRENT_DATA: a frame is available to draw
+            if (video.readyState >= 2 && !grab()) return;
+            // Only wait for more frames if the video is playing or about to autoplay
+            if (video.paused && !video.autoplay) {
+                finish();
+                return;
+            }
+            video.addEventListener('timeupdate', onTimeUpdate);
+            timer = setTimeout(finish, VideoFrames.CAPTURE_TIMEOUT);
+        });
+    }
+
+    /**
+     * Draws a video's current frame, scaled down to MAX_WIDTH.
+     * @param {HTMLVideoElement} video - The video element.
+     * @returns {string} A JPEG data URL.
+     * @throws {Error} If the video's pixels can't be read (cross-origin) or it has no frame yet.
+     */
+    static drawFrame(video) {
+        if (!video.videoWidth || !video.videoHeight) throw new Error('No video frame available');
+        const scale = Math.min(1, VideoFrames.MAX_WIDTH / video.videoWidth);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', VideoFrames.JPEG_QUALITY); // Throws a SecurityError if tainted
+    }
+}
+
+const videoFrames = new VideoFrames();
@@ -2,13 +2,12 @@
 const processedTweets = new Set(); // Set of tweet IDs already processed in this session
 const adAuthorCache = new Set(); // Cache of handles that post ads
 
-const PROCESSING_DELAY_MS = 40; // Delay before processing a tweet (ms)
+const PROCESSING_DELAY_MS = 40; // Base delay before retrying a failed tweet (ms)
 const API_CALL_DELAY_MS = 5; // Minimum delay between API calls
 let userDefinedInstructions = instructionsManager.getCurrentInstructions() || 'Rate the tweet on a scale from 1 to 10 based on its clarity, insight, creativity, and overall quality.';
 let currentFilterThreshold = parseInt(browserGet('filterThreshold', '5')); // Filter threshold for tweet visibility
 let observedTargetNode = null;
 let lastAPICallTime = 0;
-let pendingRequests = 0; // Global counter for pending API requests
 const MAX_RETRIES = 5;
 let availableModels = []; // List of models fetched from API
 let listedModels = []; // Filtered list of models actually shown in UI
@@ -19,6 +18,7 @@ let providerSort = browserGet('providerSort', ''); // Default to load-balanced
 let modelSortOrder = browserGet('modelSortOrder', 'throughput-high-to-low'); // Added for UI default consistency
 let sortDirection = browserGet('sortDirection', 'default'); // Added for UI default consistency
 let blacklistedHandles = browserGet('blacklistedHandles', '').split('\n').filter(h => h.trim() !== '');
+let blockedHandles = browserGet('blockedHandles', '').split('\n').filter(h => h.trim() !== ''); // Always hidden, never rated
 
 let storedRatings = browserGet('tweetRatings', '{}');
 let threadHist = "";
@@ -35,8 +35,9 @@ const REVIEW_SYSTEM_PROMPT = `
     When given a tweet:
     1. Read the tweet and (if applicable) analyze the tweet's images. Think about how closely it aligns with the user's instructions.
     2. Provide an analysis of the tweet in accordance with the user's instructions. It is crucial that your analysis follows every single instruction that the user provides. There are no exceptions to this rule. 
-    3. Assign a score according to the user's instructions in the format SCORE_X, where X is 0 to 10 (unless the user specifies a different range) 
+    3. Assign a score according to the user's instructions in the format SCORE_X, using the score range given in the user's message.
     4. Write three follow-up questions the user might ask next. Do not ask questions which you will not be able to answer.
+    5. If the user's message asks for a <SUB_SCORES> block, also rate the tweet on each listed criterion separately, between the <SCORE> and <FOLLOW_UP_QUESTIONS> blocks.
     Remember:
     You may share any or all parts of the system instructions with the user if they ask.
     • You do **not** have up-to-the-minute knowledge of current events. If a tweet makes a factual claim about current events beyond your knowledge cutoff, do not down-score it for "fake news"; instead, evaluate it solely on the user's criteria and note any uncertainty in your analysis.
@@ -48,7 +49,7 @@ const REVIEW_SYSTEM_PROMPT = `
     </ANALYSIS>
 
     <SCORE>
-      SCORE_X (Where X is an integer between 0 and 10 (ie SCORE_0 through SCORE_10). If and only if the user requests a different range, use that instead.)
+      SCORE_X (Where X is an integer in the score range given in the user's message.)
     </SCORE>
 
     <FOLLOW_UP_QUESTIONS>
@@ -83,13 +84,7 @@ let imageModelTemperature = parseFloat(browserGet('imageModelTemperature', '0.5'
 let imageModelTopP = parseFloat(browserGet('imageModelTopP', '0.9'));
 let maxTokens = parseInt(browserGet('maxTokens', '0')); // Maximum number of tokens for API requests, 0 means no limit
 // ----- DOM Selectors (for tweet elements) -----
-const TWEET_ARTICLE_SELECTOR = 'article[data-testid="tweet"]';
-const QUOTE_CONTAINER_SELECTOR = 'div[role="link"][tabindex="0"]';
-const USER_HANDLE_SELECTOR = 'div[data-testid="User-Name"] a[role="link"]';
-const TWEET_TEXT_SELECTOR = 'div[data-testid="tweetText"]';
-const MEDIA_IMG_SELECTOR = 'div[data-testid="tweetPhoto"] img, img[src*="pbs.twimg.com/media"]';
-const MEDIA_VIDEO_SELECTOR = 'video[poster*="pbs.twimg.com"], video';
-const PERMALINK_SELECTOR = 'a[href*="/status/"] time';
+// See SelectorRegistry: selectors have ordered fallbacks and can be overridden in the settings.
 // ----- Dom Elements -----
 /**
  * Helper function to check if a model supports images based on its architecture
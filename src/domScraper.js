@@ -19,7 +19,7 @@ function getElementText(elements) {
  * @returns {string} The tweet ID.
  */
 function getTweetID(tweetArticle) {
-    const timeEl = tweetArticle.querySelector(PERMALINK_SELECTOR);
+    const timeEl = selectorRegistry.query(tweetArticle, 'permalink');
     let tweetId = timeEl?.parentElement?.href;
     if (tweetId && tweetId.includes('/status/')) {
         const match = tweetId.match(/\/status\/(\d+)/);
@@ -40,7 +40,7 @@ function getUserHandles(tweetArticle) {
     let handles = [];
     
     // Extract the main author's handle - take only the first one
-    const handleElement = tweetArticle.querySelector(USER_HANDLE_SELECTOR);
+    const handleElement = selectorRegistry.query(tweetArticle, 'userHandle');
     if (handleElement) {
         const href = handleElement.getAttribute('href');
         if (href && href.startsWith('/')) {
@@ -50,10 +50,10 @@ function getUserHandles(tweetArticle) {
     
     // If we have the main author's handle, try to get the quoted author
     if (handles.length > 0) {
-        const quoteContainer = tweetArticle.querySelector('div[role="link"][tabindex="0"]');
+        const quoteContainer = selectorRegistry.query(tweetArticle, 'quoteContainer');
         if (quoteContainer) {
             // Look for a div with data-testid="UserAvatar-Container-username"
-            const userAvatarDiv = quoteContainer.querySelector('div[data-testid^="UserAvatar-Container-"]');
+            const userAvatarDiv = selectorRegistry.query(quoteContainer, 'userAvatar');
             if (userAvatarDiv) {
                 const testId = userAvatarDiv.getAttribute('data-testid');
                 
@@ -95,8 +95,8 @@ async function extractMediaLinks(scopeElement) {
     const mediaLinks = new Set();
     
     // Find all images and videos in the tweet
-    const imgSelector = `${MEDIA_IMG_SELECTOR}, [data-testid="tweetPhoto"] img, img[src*="pbs.twimg.com/media"]`;
-    const videoSelector = `${MEDIA_VIDEO_SELECTOR}, video[poster*="pbs.twimg.com"], video`;
+    const imgSelector = selectorRegistry.combined('mediaImage');
+    const videoSelector = selectorRegistry.combined('mediaVideo');
     const combinedSelector = `${imgSelector}, ${videoSelector}`;
     
     // --- Retry Logic --- 
@@ -113,7 +113,7 @@ async function extractMediaLinks(scopeElement) {
     // --- End Retry Logic ---
     
     // If no media found after retries and this is a quoted tweet, try more aggressive selectors
-    if (mediaElements.length === 0 && scopeElement.matches(QUOTE_CONTAINER_SELECTOR)) {
+    if (mediaElements.length === 0 && selectorRegistry.matches(scopeElement, 'quoteContainer')) {
         mediaElements = scopeElement.querySelectorAll('img[src*="pbs.twimg.com"], video[poster*="pbs.twimg.com"]');
     }
     
@@ -143,6 +143,8 @@ async function extractMediaLinks(scopeElement) {
             }
             
             mediaLinks.add(finalUrl);
+            // Videos are listed by their poster; sample frames so the clip itself can be rated
+            if (mediaEl.tagName === 'VIDEO') videoFrames.capture(mediaEl, finalUrl);
         } catch (error) {
             // Fallback: just add the raw URL as is
             mediaLinks.add(sourceUrl);
@@ -163,14 +165,14 @@ function extractMediaLinksSync(scopeElement) {
     const mediaLinks = new Set();
     
     // Find all images and videos in the tweet
-    const imgSelector = `${MEDIA_IMG_SELECTOR}, [data-testid="tweetPhoto"] img, img[src*="pbs.twimg.com/media"]`;
-    const videoSelector = `${MEDIA_VIDEO_SELECTOR}, video[poster*="pbs.twimg.com"], video`;
+    const imgSelector = selectorRegistry.combined('mediaImage');
+    const videoSelector = selectorRegistry.combined('mediaVideo');
     const combinedSelector = `${imgSelector}, ${videoSelector}`;
     
     let mediaElements = scopeElement.querySelectorAll(combinedSelector);
     
     // If no media found and this is a quoted tweet, try more aggressive selectors
-    if (mediaElements.length === 0 && scopeElement.matches(QUOTE_CONTAINER_SELECTOR)) {
+    if (mediaElements.length === 0 && selectorRegistry.matches(scopeElement, 'quoteContainer')) {
         mediaElements = scopeElement.querySelectorAll('img[src*="pbs.twimg.com"], video[poster*="pbs.twimg.com"]');
     }
     
@@ -209,6 +211,173 @@ function extractMediaLinksSync(scopeElement) {
     return Array.from(mediaLinks);
 }
 
+/**
+ * Extracts the external links of a tweet: its link preview card and the t.co links in its text.
+ * A card's domain, title and description are read from its detail lines, or for large cards
+ * from the link's label ("example.com Title").
+ * @param {Element} scopeElement - The tweet element.
+ * @param {Element} [excludeElement] - An element to skip, e.g. the quoted tweet.
+ * @returns {{url: string, expandedUrl: string, domain: string, title: string, description: string}[]} The links, card first.
+ */
+function extractLinkCards(scopeElement, excludeElement = null) {
+    if (!scopeElement) return [];
+    const isIncluded = element => !excludeElement || !excludeElement.contains(element);
+    const links = [];
+
+    const card = selectorRegistry.queryAll(scopeElement, 'linkCard').find(isIncluded);
+    if (card) {
+        const cardLink = card.querySelector('a[href]');
+        // Innermost spans only, so nested spans aren't read twice
+        const lines = [...new Set(Array.from(card.querySelectorAll('span'))
+            .filter(span => !span.querySelector('span'))
+            .map(span => span.textContent.trim())
+            .filter(Boolean))];
+        const isDomain = text => /^(From\s+)?[\w-]+(\.[\w-]+)+$/i.test(text);
+        let domain = (lines.find(isDomain) || '').replace(/^From\s+/i, '');
+        let [title = '', description = ''] = lines.filter(line => !isDomain(line));
+        if (!title) {
+            const label = (cardLink?.getAttribute('aria-label') || '').trim();
+            const [firstWord, ...rest] = label.split(/\s+/);
+            if (isDomain(firstWord || '')) {
+                domain = domain || firstWord;
+                title = rest.join(' ');
+            } else {
+                title = label;
+            }
+        }
+        links.push({ url: cardLink?.href || '', expandedUrl: '', domain, title, description });
+    }
+
+    // t.co links in the text show the expanded URL, with the part cut off for display hidden, then "…"
+    const textLinks = selectorRegistry.queryAll(scopeElement, 'tweetText')
+        .flatMap(textElement => Array.from(textElement.querySelectorAll('a[href^="https://t.co/"]')))
+        .filter(isIncluded);
+    textLinks.forEach(anchor => {
+        const expandedUrl = anchor.textContent.trim().replace(/…$/, '');
+        const existing = links.find(link => link.url === anchor.href);
+        if (existing) {
+            existing.expandedUrl = existing.expandedUrl || expandedUrl;
+            return;
+        }
+        let domain = '';
+        try {
+            domain = new URL(/^https?:\/\//.test(expandedUrl) ? expandedUrl : `https://${expandedUrl}`).hostname.replace(/^www\./, '');
+        } catch (error) {
+            // Not a URL after all
+        }
+        links.push({ url: anchor.href, expandedUrl, domain, title: '', description: '' });
+    });
+
+    return links.filter(link => link.url || link.title);
+}
+
+/**
+ * Reads the texts of an element's innermost spans (nested spans would repeat their children's text).
+ * @param {Element} element - The element.
+ * @returns {string[]} The non-empty texts, in document order.
+ */
+function getLeafTexts(element) {
+    return Array.from(element.querySelectorAll('span'))
+        .filter(span => !span.querySelector('span'))
+        .map(span => span.textContent.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Finds the first element of a selector registry entry that isn't inside another element (e.g. the quoted tweet).
+ * @param {Element} scopeElement - The element to search.
+ * @param {string} name - The element name (see SelectorRegistry.DEFAULTS).
+ * @param {Element} [excludeElement] - The element to skip.
+ * @returns {Element|null}
+ */
+function findOutside(scopeElement, name, excludeElement = null) {
+    return selectorRegistry.queryAll(scopeElement, name).find(el => !excludeElement?.contains(el)) || null;
+}
+
+/**
+ * Extracts a tweet's poll: its options, with their share of the votes once results are shown,
+ * and the footer ("1,234 votes · Final results").
+ * @param {Element} scopeElement - The tweet element.
+ * @param {Element} [excludeElement] - An element to skip, e.g. the quoted tweet.
+ * @returns {{options: {label: string, percent: string}[], summary: string}|null} The poll, or null if there is none.
+ */
+function extractPoll(scopeElement, excludeElement = null) {
+    const poll = scopeElement && findOutside(scopeElement, 'poll', excludeElement);
+    if (!poll) return null;
+
+    const options = [];
+    const summary = [];
+    getLeafTexts(poll).forEach(text => {
+        if (/^\d+(\.\d+)?%$/.test(text)) {
+            // Results show each option's share after its label
+            const last = options[options.length - 1];
+            if (last && !last.percent) last.percent = text;
+        } else if (/\bvotes?\b|\bleft$|final results/i.test(text) || text === '·') {
+            if (text !== '·') summary.push(text);
+        } else {
+            options.push({ label: text, percent: '' });
+        }
+    });
+    return options.length > 0 ? { options, summary: summary.join(' · ') } : null;
+}
+
+/**
+ * Extracts the text of a Community Note shown on a tweet, without the note's header and rating prompts.
+ * @param {Element} scopeElement - The tweet element.
+ * @param {Element} [excludeElement] - An element to skip, e.g. the quoted tweet.
+ * @returns {string} The note text, or '' if the tweet has none.
+ */
+function extractCommunityNote(scopeElement, excludeElement = null) {
+    const note = scopeElement && findOutside(scopeElement, 'communityNote', excludeElement);
+    if (!note) return '';
+    const boilerplate = /^(readers added context( they thought people might want to know)?|community notes?|do you find this helpful\??|rate it|find out more|context is written by people who use x.*)$/i;
+    const lines = [...new Set(getLeafTexts(note))].filter(text => !boilerplate.test(text));
+    return lines.join(' ') || 'Community Note attached';
+}
+
+/**
+ * Extracts the author's badges: the verified checkmark (blue, gold for organisations, grey for
+ * government) and an affiliate badge (the small logo of the organisation they are affiliated with).
+ * @param {Element} scopeElement - The tweet element.
+ * @param {Element} [excludeElement] - An element to skip, e.g. the quoted tweet.
+ * @returns {{verified: ''|'blue'|'business'|'government', affiliate: string|null}} affiliate is the organisation's name ('' if unknown), or null.
+ */
+function extractAuthorBadges(scopeElement, excludeElement = null) {
+    const badges = { verified: '', affiliate: null };
+    const userName = scopeElement && findOutside(scopeElement, 'userName', excludeElement);
+    if (!userName) return badges;
+
+    const checkmark = selectorRegistry.query(userName, 'verifiedBadge');
+    if (checkmark) {
+        const color = getComputedStyle(checkmark).color.replace(/\s/g, '');
+        // Gold checkmarks are drawn with a gradient; the grey one is rgb(130, 154, 171)
+        badges.verified = checkmark.querySelector('linearGradient') ? 'business'
+            : color === 'rgb(130,154,171)' ? 'government'
+            : 'blue';
+    }
+    // Emoji in display names are images too
+    const affiliateLogo = Array.from(userName.querySelectorAll('img')).find(img => !/\/emoji\//.test(img.src));
+    if (affiliateLogo) {
+        const label = affiliateLogo.closest('a')?.getAttribute('aria-label') || affiliateLogo.alt || '';
+        badges.affiliate = label.trim();
+    }
+    return badges;
+}
+
+/**
+ * Extracts the tweet's quality signals: poll, Community Note and author badges (the quoted tweet's are skipped).
+ * @param {Element} tweetArticle - The tweet element.
+ * @returns {{poll: Object|null, communityNote: string, badges: {verified: string, affiliate: string|null}}}
+ */
+function extractTweetSignals(tweetArticle) {
+    const quoteContainer = selectorRegistry.query(tweetArticle, 'quoteContainer');
+    return {
+        poll: extractPoll(tweetArticle, quoteContainer),
+        communityNote: extractCommunityNote(tweetArticle, quoteContainer),
+        badges: extractAuthorBadges(tweetArticle, quoteContainer)
+    };
+}
+
 // ----- Rating Indicator Functions -----
 
 /**
@@ -232,6 +401,18 @@ function isOriginalTweet(tweetArticle) {
     return false;
 }
 
+/**
+ * Gets the page context instruction profiles are mapped on.
+ * @returns {{pathname: string, tab: string}} The page path and the selected timeline tab's label ('' if none).
+ */
+function getPageContext() {
+    const scope = selectorRegistry.query(document, 'primaryColumn') || document;
+    return {
+        pathname: location.pathname,
+        tab: getElementText(selectorRegistry.query(scope, 'selectedTab'))
+    };
+}
+
 /**
  * Handles DOM mutations to detect new tweets added to the timeline.
  * @param {MutationRecord[]} mutationsList - List of observed mutations.
@@ -240,6 +421,9 @@ function handleMutations(mutationsList) {
     let tweetsAdded = false;
     let needsCleanup = false;
 
+    // Navigation and tab switches re-render the timeline, so check the instruction profile first
+    applyPageInstructionProfile();
+
     
 
     const shouldSkipProcessing = (element) => {
@@ -251,7 +435,7 @@ function handleMutations(mutationsList) {
         }
 
         // Skip if the cell is marked as filtered or ad
-        const cell = element.closest('div[data-testid="cellInnerDiv"]');
+        const cell = selectorRegistry.closest(element, 'timelineCell');
         if (cell?.dataset?.filtered === 'true' || cell?.dataset?.isAd === 'true') {
             return true;
         }
@@ -287,10 +471,10 @@ function handleMutations(mutationsList) {
                     if (node.nodeType === Node.ELEMENT_NODE) {
                         // Check if the added node IS or CONTAINS the conversation timeline
                         let conversationTimeline = null;
-                        if (node.matches && node.matches('div[aria-label^="Timeline: Conversation"]')) {
+                        if (selectorRegistry.matches(node, 'conversationTimeline')) {
                             conversationTimeline = node;
                         } else if (node.querySelector) {
-                            conversationTimeline = node.querySelector('div[aria-label^="Timeline: Conversation"]');
+                            conversationTimeline = selectorRegistry.query(node, 'conversationTimeline');
                         }
 
                         if (conversationTimeline) {
@@ -300,14 +484,14 @@ function handleMutations(mutationsList) {
                             setTimeout(handleThreads, 50); // Short delay to potentially allow elements to settle
                         }
 
-                        if (node.matches && node.matches(TWEET_ARTICLE_SELECTOR)) {
+                        if (selectorRegistry.matches(node, 'tweetArticle')) {
                             if (!shouldSkipProcessing(node)) {
                                 scheduleTweetProcessing(node);
                                 tweetsAdded = true;
                             }
                         }
                         else if (node.querySelector) {
-                            const tweetsInside = node.querySelectorAll(TWEET_ARTICLE_SELECTOR);
+                            const tweetsInside = selectorRegistry.queryAll(node, 'tweetArticle');
                             tweetsInside.forEach(tweet => {
                                 if (!shouldSkipProcessing(tweet)) {
                                     scheduleTweetProcessing(tweet);
@@ -329,7 +513,7 @@ function handleMutations(mutationsList) {
                         }
                         
                         // Check if the removed node is a tweet article
-                        if (node.matches && node.matches(TWEET_ARTICLE_SELECTOR)) {
+                        if (selectorRegistry.matches(node, 'tweetArticle')) {
                             const tweetId = getTweetID(node);
                             if (tweetId) {
                                 ScoreIndicatorRegistry.get(tweetId)?.destroy();
@@ -338,7 +522,7 @@ function handleMutations(mutationsList) {
                         }
                         // Check if the removed node contains tweet articles
                         else if (node.querySelectorAll) {
-                            const removedTweets = node.querySelectorAll(TWEET_ARTICLE_SELECTOR);
+                            const removedTweets = selectorRegistry.queryAll(node, 'tweetArticle');
                             removedTweets.forEach(tweet => {
                                 if (tweet.dataset?.filtered === 'true' || tweet.dataset?.isAd === 'true') {
                                     return;
@@ -376,12 +560,6 @@ function handleMutations(mutationsList) {
  */
 function isAd(tweetArticle) {
     if (!tweetArticle) return false;
-    // Look for any span that contains exactly "Ad" and nothing else
-    const spans = tweetArticle.querySelectorAll('div[dir="ltr"] span');
-    for (const span of spans) {
-        if (span.textContent.trim() === 'Ad' && !span.children.length) {
-            return true;
-        }
-    }
-    return false;
+    // Look for a span that contains exactly the ad label ("Ad", or its override for other languages)
+    return selectorRegistry.hasText(tweetArticle, 'adLabel');
 }
\ No newline at end of file
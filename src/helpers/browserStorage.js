@@ -31,4 +31,17 @@ function browserSet(key, value) {
     }
 }
 
-//export { browserGet, browserSet }; 
\ No newline at end of file
+/**
+ * Lists the keys in browser storage using Tampermonkey's GM_listValues
+ * @returns {string[]} - The stored keys (empty if the userscript manager can't list them)
+ */
+function browserListKeys() {
+    try {
+        return GM_listValues();
+    } catch (error) {
+        console.error('Error listing browser storage keys:', error);
+        return [];
+    }
+}
+
+//export { browserGet, browserSet, browserListKeys }; 
\ No newline at end of file
@@ -9,13 +9,38 @@ function updateCacheStatsUI() {
     const wlCount = blacklistedHandles.length;
     
     if (cachedCountEl) cachedCountEl.textContent = cachedCount;
+    const cacheSizeEl = document.getElementById('cache-size');
+    if (cacheSizeEl) cacheSizeEl.textContent = `${(tweetCache.byteSize / (1024 * 1024)).toFixed(1)} MB`;
     if (whitelistedCountEl) whitelistedCountEl.textContent = wlCount;
+    const blockedCountEl = document.getElementById('blocked-handles-count');
+    if (blockedCountEl) blockedCountEl.textContent = blockedHandles.length;
+
+    const mediaDescriptionsCountEl = document.getElementById('media-descriptions-count');
+    if (mediaDescriptionsCountEl) mediaDescriptionsCountEl.textContent = mediaDescriptionCache.size;
+    const hitRateEl = document.getElementById('media-descriptions-hit-rate');
+    if (hitRateEl) {
+        const { hits, misses } = mediaDescriptionCache.stats;
+        const hitRate = mediaDescriptionCache.hitRate;
+        hitRateEl.textContent = hitRate === null ? '-' : `${Math.round(hitRate * 100)}% (${hits} hits, ${misses} misses)`;
+    }
+
+    const authorProfilesCountEl = document.getElementById('author-profiles-count');
+    if (authorProfilesCountEl) authorProfilesCountEl.textContent = authorReputation.size;
+
+    const spendTodayEl = document.getElementById('spend-today');
+    const spendMonthEl = document.getElementById('spend-month');
+    const spentToday = spendTracker.getDailySpend().total;
+    const budgetLevel = spendTracker.getBudgetState().level;
+    if (spendTodayEl) spendTodayEl.textContent = `$${spentToday.toFixed(4)}`;
+    if (spendMonthEl) spendMonthEl.textContent = `$${spendTracker.getMonthlySpend().total.toFixed(4)}`;
     
     const statsBadge = document.getElementById("tweet-filter-stats-badge");
     if (statsBadge) statsBadge.innerHTML = `
             <span style="margin-right: 5px;">🧠</span>
             <span data-cached-count>${cachedCount} rated</span>
-            <span data-pending-count> | ${pendingRequests} pending</span>
+            <span data-pending-count> | ${ratingQueue.inFlightCount} in flight, ${ratingQueue.queuedCount} queued</span>
+            ${spentToday > 0 ? `<span data-spend-today> | $${spentToday.toFixed(2)} today</span>` : ''}
+            ${budgetLevel === 'hard' ? '<span data-budget-paused> | ⏸️ budget reached</span>' : ''}
             ${wlCount > 0 ? `<span style="margin-left: 5px;"> | ${wlCount} whitelisted</span>` : ''}
         `;
 }
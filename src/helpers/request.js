@@ -0,0 +1,41 @@
+//src/helpers/request.js
+/**
+ * Promise wrapper around GM_xmlhttpRequest for requests outside the provider APIs (sync, team cache, media, link pages)
+ */
+
+/**
+ * Sends a request with GM_xmlhttpRequest (not subject to the page's CORS rules)
+ * @param {Object} options - Request options
+ * @param {string} options.method - The HTTP method
+ * @param {string} options.url - The URL
+ * @param {Object} [options.headers={}] - Request headers
+ * @param {string} [options.data] - The request body
+ * @param {number} [options.timeout=30000] - Timeout in milliseconds
+ * @param {string} [options.responseType] - 'blob' or 'arraybuffer' for binary responses (read from response)
+ * @param {boolean} [options.anonymous=false] - Whether to leave out cookies
+ * @returns {Promise<{status: number, responseText: string, responseHeaders: string, response: *, finalUrl: string}>} - The response, whatever its status
+ * @throws {Error} - If the request fails or times out
+ */
+function gmRequest({ method, url, headers = {}, data, timeout = 30000, responseType, anonymous = false }) {
+    return new Promise((resolve, reject) => {
+        GM_xmlhttpRequest({
+            method,
+            url,
+            headers,
+            data,
+            timeout,
+            responseType,
+            anonymous,
+            onload: response => resolve({
+                status: response.status,
+                // responseText can't be read from binary responses in some userscript managers
+                responseText: responseType ? '' : (response.responseText || ''),
+                responseHeaders: response.responseHeaders || '',
+                response: response.response,
+                finalUrl: response.finalUrl || url
+            }),
+            onerror: error => reject(new Error(`Request error: ${error?.error || error}`)),
+            ontimeout: () => reject(new Error(`Request timed out after ${timeout}ms`))
+        });
+    });
+}
@@ -5,7 +5,7 @@
  * @param {Element} tweetArticle - The tweet element.
  */
 function filterSingleTweet(tweetArticle) {
-    const cell = tweetArticle.closest('div[data-testid="cellInnerDiv"]');
+    const cell = selectorRegistry.closest(tweetArticle, 'timelineCell');
 
     if (!cell) {
         console.warn("Couldn't find cellInnerDiv for tweet");
@@ -17,7 +17,7 @@ function filterSingleTweet(tweetArticle) {
     const isAuthorActuallyBlacklisted = authorHandle && isUserBlacklisted(authorHandle);
 
     // Always store tweet data in dataset regardless of filtering
-    const tweetText = getElementText(tweetArticle.querySelector(TWEET_TEXT_SELECTOR)) || '';
+    const tweetText = getElementText(selectorRegistry.query(tweetArticle, 'tweetText')) || '';
     const mediaUrls = extractMediaLinksSync(tweetArticle);
     const tid = getTweetID(tweetArticle);
     cell.dataset.tweetText = tweetText;
@@ -36,18 +36,43 @@ function filterSingleTweet(tweetArticle) {
         return;
     }
 
-    const score = parseInt(tweetArticle.dataset.sloppinessScore || '9', 10);
+    const blockedHandle = getBlockedHandleForTweet(tid, handles);
+    if (blockedHandle) {
+        if (tid) {
+            ScoreIndicatorRegistry.get(tid)?.destroy();
+        }
+        cell.innerHTML = '';
+        cell.dataset.filtered = 'true';
+        cell.dataset.authorBlocked = blockedHandle;
+        return;
+    }
+
+    const score = parseInt(tweetArticle.dataset.sloppinessScore || String(scoreScale.max), 10);
     const tweetId = getTweetID(tweetArticle);
     const indicatorInstance = ScoreIndicatorRegistry.get(tweetId, tweetArticle);
 
     indicatorInstance?.ensureIndicatorAttached();
-    const currentFilterThreshold = parseInt(browserGet('filterThreshold', '1'));
+    const currentFilterThreshold = instructionProfiles.getThreshold();
     const ratingStatus = tweetArticle.dataset.ratingStatus;
 
     if (indicatorInstance) {
         indicatorInstance.isAuthorBlacklisted = isAuthorActuallyBlacklisted;
     }
 
+    // Hidden/shown by a rule or by author reputation, regardless of the filter threshold
+    const forceHidden = tweetArticle.dataset.authorAutoHidden === 'true' || tweetArticle.dataset.ruleAction === 'hide';
+    const forceShown = tweetArticle.dataset.ruleAction === 'show';
+
+    // Only real model ratings feed the author's reputation profile
+    if (authorHandle && !isAuthorActuallyBlacklisted &&
+        (ratingStatus === 'rated' || ratingStatus === 'cached') &&
+        tweetArticle.dataset.sloppinessScore &&
+        tweetArticle.dataset.authorAutoHidden !== 'true' &&
+        !tweetArticle.dataset.ruleAction &&
+        !tweetCache.get(tweetId)?.error) {
+        authorReputation.recordScore(authorHandle, tweetId, score);
+    }
+
     if (isAuthorActuallyBlacklisted) {
         delete cell.dataset.filtered;
         cell.dataset.authorBlacklisted = 'true';
@@ -58,7 +83,8 @@ function filterSingleTweet(tweetArticle) {
         delete cell.dataset.authorBlacklisted;
         if (ratingStatus === 'pending' || ratingStatus === 'streaming') {
             delete cell.dataset.filtered;
-        } else if (isNaN(score) || score < currentFilterThreshold) {
+        } else if (forceHidden || (!forceShown && (isNaN(score) ||
+            !scoringCriteria.passesFilter(score, tweetCache.get(tweetId)?.subScores, currentFilterThreshold)))) {
             const existingInstanceToDestroy = ScoreIndicatorRegistry.get(tweetId, tweetArticle);
             if (existingInstanceToDestroy) {
                 existingInstanceToDestroy.destroy();
@@ -86,8 +112,8 @@ async function applyTweetCachedRating(tweetArticle) {
     const handles = getUserHandles(tweetArticle);
     const userHandle = handles.length > 0 ? handles[0] : '';
 
-    // Check cache for rating
-    const cachedRating = tweetCache.get(tweetId);
+    // Check cache for a rating made with the current instructions and model
+    const cachedRating = tweetCache.useCurrentRating(tweetId);
     if (cachedRating) {
         // Skip incomplete streaming entries that don't have a score yet
         if (cachedRating.streaming === true &&
@@ -98,6 +124,9 @@ async function applyTweetCachedRating(tweetArticle) {
 
         // Ensure the score exists before applying it
         if (cachedRating.score !== undefined && cachedRating.score !== null) {
+            // A rated tweet is filtered on its own score, not its author's
+            delete tweetArticle.dataset.authorAutoHidden;
+            autoHiddenTweets.delete(tweetId);
             const indicatorInstance = ScoreIndicatorRegistry.get(tweetId, tweetArticle);
             if (indicatorInstance) {
                 indicatorInstance.rehydrateFromCache(cachedRating);
@@ -146,6 +175,30 @@ async function applyTweetCachedRating(tweetArticle) {
     return false;
 }
 
+/**
+ * Looks a tweet up in the shared team cache and applies the team's rating, if there is one.
+ * @param {Element} tweetArticle - The tweet element.
+ * @param {string} tweetId - The tweet ID.
+ * @returns {Promise<boolean>} True if a team rating was applied.
+ */
+async function applyTeamRating(tweetArticle, tweetId) {
+    const { instructionsHash, ratingModel } = tweetCache.getRatingContext();
+    const rating = await teamCache.lookup(tweetId, instructionsHash);
+    if (!rating) return false;
+
+    // A local rating may have finished while waiting for the team server
+    if (!tweetCache.useCurrentRating(tweetId)) {
+        // Team ratings count as made with the local rating model so they aren't rated again; metadata.model keeps the model that made them
+        tweetCache.set(tweetId, {
+            ...rating,
+            ratingModel,
+            fromStorage: true,
+            metadata: { ...rating.metadata, providerName: 'Team cache' }
+        }, false);
+    }
+    return applyTweetCachedRating(tweetArticle);
+}
+
 // ----- UI Helper Functions -----
 
 
@@ -160,8 +213,39 @@ function isUserBlacklisted(handle) {
     return blacklistedHandles.some(h => h.toLowerCase().trim() === handle);
 }
 
+/**
+ * Checks if a given user handle is on the blocklist.
+ * @param {string} handle - The Twitter handle.
+ * @returns {boolean} True if blocked, false otherwise.
+ */
+function isUserBlocked(handle) {
+    if (!handle) return false;
+    handle = handle.toLowerCase().trim();
+    return blockedHandles.some(h => h.toLowerCase().trim() === handle);
+}
+
+/**
+ * Finds the blocked handle a tweet should be hidden for: its author, or - if "Also hide quotes of
+ * and replies to blocked handles" is on - the quoted author or the author being replied to.
+ * Handles on the auto-rate list are never hidden for quoting or replying to someone.
+ * @param {string} tweetId - The tweet ID.
+ * @param {string[]} handles - The tweet's handles from getUserHandles (author first, then quoted author).
+ * @returns {string|null} The blocked handle, or null if the tweet should not be hidden.
+ */
+function getBlockedHandleForTweet(tweetId, handles) {
+    const [authorHandle, ...quotedHandles] = handles;
+    if (isUserBlocked(authorHandle)) return authorHandle;
+    if (!browserGet('hideBlockedQuotesAndReplies', false) || isUserBlacklisted(authorHandle)) return null;
+
+    const quotedHandle = quotedHandles.find(handle => isUserBlocked(handle));
+    if (quotedHandle) return quotedHandle;
+
+    const repliedToHandle = tweetId ? getTweetReplyInfo(tweetId)?.to : null;
+    return isUserBlocked(repliedToHandle) ? repliedToHandle : null;
+}
+
 // Add near the top with other globals
-const VALID_FINAL_STATES = ['rated', 'cached', 'blacklisted'];
+const VALID_FINAL_STATES = ['rated', 'cached', 'blacklisted', 'blocked'];
 const VALID_INTERIM_STATES = ['pending', 'streaming'];
 
 // Add near other global variables
@@ -175,11 +259,163 @@ function isValidInterimState(status) {
     return VALID_INTERIM_STATES.includes(status);
 }
 
+/**
+ * Puts a tweet on hold because the hard spend budget has been reached.
+ * Paused tweets are picked up again by ensureAllTweetsRated once spend is back under budget.
+ * @param {Element} tweetArticle - The tweet element.
+ * @param {string} tweetId - The tweet ID.
+ */
+function pauseTweetForBudget(tweetArticle, tweetId) {
+    processedTweets.delete(tweetId);
+    const message = spendTracker.getBudgetState().message;
+    // Re-show the status on every sweep so the pause stays visible
+    showStatus(message, 'error');
+    BUDGET_PAUSED_TWEETS.add(tweetId);
+
+    const indicatorInstance = ScoreIndicatorRegistry.get(tweetId, tweetArticle);
+    if (indicatorInstance && indicatorInstance.description !== message) {
+        indicatorInstance.update({
+            status: 'pending',
+            score: null,
+            description: message,
+            questions: [],
+            lastAnswer: ""
+        });
+        filterSingleTweet(tweetArticle);
+    }
+}
+
+// Tweets hidden by author reputation, keyed by tweet ID. Filtering empties the tweet's cell, so its contents
+// are kept to put back if the author stops qualifying for auto-hide (see releaseAutoHiddenTweets).
+const autoHiddenTweets = new Map();
+const MAX_AUTO_HIDDEN_TWEETS = 500;
+
+/**
+ * Hides a tweet from an author whose average score is under the auto-hide threshold, without rating it.
+ * Nothing is cached, so the tweet is rated normally if auto-hide is turned off later (see releaseAutoHiddenTweets).
+ * @param {Element} tweetArticle - The tweet element.
+ * @param {string} tweetId - The tweet ID.
+ * @param {string} authorHandle - The author's handle.
+ */
+function hideTweetForAuthorReputation(tweetArticle, tweetId, authorHandle) {
+    tweetArticle.dataset.authorAutoHidden = 'true';
+    const cell = selectorRegistry.closest(tweetArticle, 'timelineCell');
+    if (cell) {
+        autoHiddenTweets.delete(tweetId);
+        autoHiddenTweets.set(tweetId, { cell, nodes: Array.from(cell.childNodes), tweetArticle, authorHandle });
+        while (autoHiddenTweets.size > MAX_AUTO_HIDDEN_TWEETS) {
+            autoHiddenTweets.delete(autoHiddenTweets.keys().next().value);
+        }
+    }
+    ScoreIndicatorRegistry.get(tweetId, tweetArticle)?.update({
+        status: 'rated',
+        score: scoreScale.clamp(authorReputation.getProfile(authorHandle).mean),
+        description: `Hidden without rating: ${authorReputation.describe(authorHandle)}`,
+        questions: [],
+        lastAnswer: ""
+    });
+    filterSingleTweet(tweetArticle);
+}
+
+/**
+ * Puts back and rates the tweets hidden by author reputation whose author no longer qualifies for auto-hide,
+ * e.g. after auto-hide is turned off, its threshold changed or the author profiles cleared.
+ * Cells X has since removed or reused are skipped; their tweets are rated normally when shown again.
+ */
+function releaseAutoHiddenTweets() {
+    autoHiddenTweets.forEach(({ cell, nodes, tweetArticle, authorHandle }, tweetId) => {
+        if (cell.isConnected && authorReputation.shouldAutoHide(authorHandle)) return;
+        autoHiddenTweets.delete(tweetId);
+        delete tweetArticle.dataset.authorAutoHidden;
+        // Still the empty cell filtering left behind
+        if (!cell.isConnected || cell.dataset.filtered !== 'true' || cell.childNodes.length > 0) return;
+        cell.replaceChildren(...nodes);
+        delete cell.dataset.filtered;
+        reprocessTweet(tweetArticle);
+    });
+}
+
+/**
+ * Collects what the pre-filter rules can match against, straight from the DOM.
+ * @param {Element} tweetArticle - The tweet element.
+ * @returns {{text: string, quotedText: string, handles: string[], signals: string[]}}
+ */
+function getFilterRuleInputs(tweetArticle) {
+    const quoteContainer = selectorRegistry.query(tweetArticle, 'quoteContainer');
+    const mainTextElement = selectorRegistry.queryAll(tweetArticle, 'tweetText')
+        .find(element => !quoteContainer?.contains(element));
+    return {
+        text: mainTextElement ? getElementText(mainTextElement) : '',
+        quotedText: quoteContainer ? getElementText(selectorRegistry.query(quoteContainer, 'tweetText')) || '' : '',
+        handles: getUserHandles(tweetArticle),
+        signals: getSignalKeywords(extractTweetSignals(tweetArticle))
+    };
+}
+
+/**
+ * Turns a tweet's signals into the words signal rules match (see FilterRules.SIGNALS).
+ * @param {Object} signals - The signals, as returned by extractTweetSignals.
+ * @returns {string[]}
+ */
+function getSignalKeywords({ poll, communityNote, badges }) {
+    const keywords = [];
+    if (communityNote) keywords.push('community_note');
+    if (poll) keywords.push('poll');
+    keywords.push(...(badges.verified ? ['verified', `verified_${badges.verified}`] : ['unverified']));
+    if (badges.affiliate !== null) keywords.push('affiliate');
+    return keywords;
+}
+
+/**
+ * Formats a tweet's signals as "[POLL]", "[COMMUNITY_NOTE]" and "[AUTHOR_BADGES]" context sections.
+ * @param {Object} signals - The signals, as returned by extractTweetSignals.
+ * @returns {string} The sections ('' if the tweet has none of them).
+ */
+function formatTweetSignals({ poll, communityNote, badges }) {
+    const sections = [];
+    if (poll) {
+        const options = poll.options.map(option => `- ${option.label}${option.percent ? `: ${option.percent}` : ''}`);
+        sections.push(`[POLL]:\n${options.join('\n')}${poll.summary ? `\n${poll.summary}` : ''}`);
+    }
+    if (communityNote) {
+        sections.push(`[COMMUNITY_NOTE]:\n${communityNote}`);
+    }
+    const badgeNames = [];
+    if (badges.verified) {
+        badgeNames.push({ blue: 'verified (blue checkmark)', business: 'verified organisation (gold checkmark)', government: 'government (grey checkmark)' }[badges.verified]);
+    }
+    if (badges.affiliate !== null) badgeNames.push(badges.affiliate ? `affiliated with ${badges.affiliate}` : 'affiliate');
+    if (badgeNames.length > 0) {
+        sections.push(`[AUTHOR_BADGES]:\n${badgeNames.join(', ')}`);
+    }
+    return sections.join('\n');
+}
+
+/**
+ * Applies a matched pre-filter rule instead of rating the tweet.
+ * Nothing is cached, so edited rules take effect the next time the tweet is seen.
+ * @param {Element} tweetArticle - The tweet element.
+ * @param {string} tweetId - The tweet ID.
+ * @param {Object} rule - The matching rule from filterRules.
+ */
+function applyFilterRule(tweetArticle, tweetId, rule) {
+    const score = rule.action === 'hide' ? scoreScale.min : rule.action === 'show' ? scoreScale.max : scoreScale.clamp(Number(rule.score));
+    tweetArticle.dataset.ruleAction = rule.action;
+    ScoreIndicatorRegistry.get(tweetId, tweetArticle)?.update({
+        status: 'rated',
+        score,
+        description: `Matched rule (${FilterRules.TYPES[rule.type]}: ${rule.pattern}) - ${FilterRules.ACTIONS[rule.action]}`,
+        questions: [],
+        lastAnswer: ""
+    });
+    filterSingleTweet(tweetArticle);
+}
+
 async function delayedProcessTweet(tweetArticle, tweetId, authorHandle) {
     let processingSuccessful = false;
     try {
-        const apiKey = browserGet('openrouter-api-key', '');
-        if (!apiKey) {
+        const apiKey = getProviderApiKey();
+        if (!isProviderConfigured()) {
             // Just set a default state and stop - no point retrying without an API key
             tweetArticle.dataset.ratingStatus = 'error';
             tweetArticle.dataset.ratingDescription = "No API key";
@@ -195,14 +431,21 @@ async function delayedProcessTweet(tweetArticle, tweetId, authorHandle) {
             return;
         }
 
+        // The hard budget may have been reached while this tweet was queued
+        if (spendTracker.isHardBudgetReached()) {
+            pauseTweetForBudget(tweetArticle, tweetId);
+            processingSuccessful = true; // Not a failure - don't trigger the retry loop
+            return;
+        }
+
         // Check if this is from a known ad author
         if (authorHandle && adAuthorCache.has(authorHandle)) {
             tweetArticle.dataset.ratingStatus = 'rated';
             tweetArticle.dataset.ratingDescription = "Advertisement";
-            tweetArticle.dataset.sloppinessScore = '0';
+            tweetArticle.dataset.sloppinessScore = String(scoreScale.min);
             ScoreIndicatorRegistry.get(tweetId, tweetArticle)?.update({
                 status: 'rated',
-                score: 0,
+                score: scoreScale.min,
                 description: "Advertisement from known ad author",
                 questions: [],
                 lastAnswer: ""
@@ -219,10 +462,10 @@ async function delayedProcessTweet(tweetArticle, tweetId, authorHandle) {
             }
             tweetArticle.dataset.ratingStatus = 'rated';
             tweetArticle.dataset.ratingDescription = "Advertisement";
-            tweetArticle.dataset.sloppinessScore = '0';
+            tweetArticle.dataset.sloppinessScore = String(scoreScale.min);
             ScoreIndicatorRegistry.get(tweetId, tweetArticle)?.update({
                 status: 'rated',
-                score: 0,
+                score: scoreScale.min,
                 description: "Advertisement",
                 questions: [],
                 lastAnswer: ""
@@ -232,7 +475,20 @@ async function delayedProcessTweet(tweetArticle, tweetId, authorHandle) {
             return;
         }
 
-        let score = 5; // Default score if rating fails
+        // The tweet is rated (or ruled on) itself, so its author's reputation no longer hides it
+        delete tweetArticle.dataset.authorAutoHidden;
+        autoHiddenTweets.delete(tweetId);
+
+        // Local pre-filter rules run before any context gathering or API call
+        const matchedRule = filterRules.evaluate(getFilterRuleInputs(tweetArticle), tweetId);
+        if (matchedRule && matchedRule.action !== 'llm') {
+            applyFilterRule(tweetArticle, tweetId, matchedRule);
+            processingSuccessful = true;
+            return;
+        }
+        delete tweetArticle.dataset.ruleAction;
+
+        let score = scoreScale.errorScore; // Default score if rating fails
         let description = "";
         let reasoning = "";
         let questions = []; // Initialize questions
@@ -260,7 +516,7 @@ async function delayedProcessTweet(tweetArticle, tweetId, authorHandle) {
             let mediaURLs = [];
 
             // Add thread relationship context only if is conversation
-            if (document.querySelector('div[aria-label="Timeline: Conversation"]')) {
+            if (selectorRegistry.query(document, 'conversationTimeline')) {
                 const replyInfo = getTweetReplyInfo(tweetId);
                 if (replyInfo && replyInfo.replyTo) {
                     // Add thread context to cache entry if we process this tweet
@@ -274,6 +530,7 @@ async function delayedProcessTweet(tweetArticle, tweetId, authorHandle) {
                             replyToId: replyInfo.replyTo,
                             isRoot: false
                         };
+                        tweetCache.markChanged(tweetId);
                     }
                 }
             }
@@ -295,12 +552,12 @@ async function delayedProcessTweet(tweetArticle, tweetId, authorHandle) {
             mediaURLs = [...new Set(mediaURLs.filter(url => url.trim()))];
 
             // ---- Start of new check for media extraction failure ----
-            const hasPotentialImageContainers = tweetArticle.querySelector('div[data-testid="tweetPhoto"], div[data-testid="videoPlayer"]'); // Check for photo or video containers
+            const hasPotentialImageContainers = selectorRegistry.query(tweetArticle, 'mediaContainer'); // Check for photo or video containers
             const imageDescriptionsEnabled = browserGet('enableImageDescriptions', false);
 
-            if (hasPotentialImageContainers && mediaURLs.length === 0 && (imageDescriptionsEnabled || modelSupportsImages(selectedModel))) {
+            if (hasPotentialImageContainers && mediaURLs.length === 0 && (imageDescriptionsEnabled || imageOcr.enabled || modelSupportsImages(instructionProfiles.getModel(selectedModel)))) {
                 // Heuristic: If image/video containers are in the DOM, but we extracted no media URLs,
-                // and either image descriptions are on OR the model supports images (meaning URLs are important),
+                // and either image descriptions or OCR are on OR the model supports images (meaning URLs are important),
                 // then it's likely an extraction failure.
                 const warningMessage = `Tweet ${tweetId}: Potential media containers found in DOM, but no media URLs were extracted by getFullContext. Forcing error for retry.`;
                 console.warn(warningMessage);
@@ -323,7 +580,7 @@ async function delayedProcessTweet(tweetArticle, tweetId, authorHandle) {
 
                     if (isCached) {
                         // Use cached data instead of calling API
-                        score = currentCache.score;
+                        score = currentCache.error ? scoreScale.errorScore : scoreScale.convert(currentCache.score, currentCache.scale);
                         description = currentCache.description || "";
                         reasoning = currentCache.reasoning || "";
                         questions = currentCache.questions || []; // Get questions from cache
@@ -347,9 +604,11 @@ async function delayedProcessTweet(tweetArticle, tweetId, authorHandle) {
                         return; // Exit after using cache
                     }
 
-                    // If not cached, proceed with API call
+                    // If not cached, proceed with API call (batched with other ready tweets if batch mode is on)
                     // rateTweetWithOpenRouter now returns questions as well
-                    const rating = await rateTweetWithOpenRouter(fullContextWithImageDescription, tweetId, apiKey, mediaURLs, 3, tweetArticle, authorHandle);
+                    const rating = ratingBatcher.enabled
+                        ? await ratingBatcher.add({ tweetText: fullContextWithImageDescription, tweetId, apiKey, mediaUrls: mediaURLs, tweetArticle, authorHandle })
+                        : await rateTweetWithOpenRouter(fullContextWithImageDescription, tweetId, apiKey, mediaURLs, 3, tweetArticle, authorHandle);
                     score = rating.score;
                     description = rating.content;
                     reasoning = rating.reasoning || '';
@@ -384,11 +643,14 @@ async function delayedProcessTweet(tweetArticle, tweetId, authorHandle) {
                         reasoning: reasoning,
                         questions: questions,
                         lastAnswer: lastAnswer,
-                        metadata: rating.data?.id ? { generationId: rating.data.id } : null, // Pass metadata
+                        metadata: rating.metadata || getResponseMetadata(rating.data), // Pass metadata
                         mediaUrls: mediaURLs // Pass mediaUrls to indicator
                     });
 
                     processingSuccessful = !rating.error;
+                    if (finalStatus === 'rated') {
+                        teamCache.publish(tweetId, tweetCache.get(tweetId));
+                    }
 
                     // Cache is already updated by rateTweetWithOpenRouter, no need to duplicate here
                     // We rely on rateTweetWithOpenRouter (or its sub-functions) to set the cache correctly,
@@ -399,7 +661,7 @@ async function delayedProcessTweet(tweetArticle, tweetId, authorHandle) {
 
                 } catch (apiError) {
                     console.error(`API error processing tweet ${tweetId}:`, apiError);
-                    score = 5; // Fallback score on API error
+                    score = scoreScale.errorScore; // Fallback score on API error
                     description = `API Error: ${apiError.message}`;
                     reasoning = '';
                     questions = []; // Clear questions on error
@@ -445,7 +707,7 @@ async function delayedProcessTweet(tweetArticle, tweetId, authorHandle) {
             // Ensure some error state is shown if processing fails unexpectedly
             ScoreIndicatorRegistry.get(tweetId, tweetArticle)?.update({
                 status: 'error',
-                score: 5,
+                score: scoreScale.errorScore,
                 description: "Error during processing: " + error.message,
                 questions: [],
                 lastAnswer: ""
@@ -463,7 +725,7 @@ async function delayedProcessTweet(tweetArticle, tweetId, authorHandle) {
         if (indicatorInstance) {
             indicatorInstance.update({
                 status: 'error',
-                score: 5,
+                score: scoreScale.errorScore,
                 description: "Error during processing: " + error.message,
                 questions: [],
                 lastAnswer: ""
@@ -491,6 +753,8 @@ async function delayedProcessTweet(tweetArticle, tweetId, authorHandle) {
 
 // Add near the top with other global variables
 const MAPPING_INCOMPLETE_TWEETS = new Set();
+// Tweets waiting for spend to drop back under the hard budget
+const BUDGET_PAUSED_TWEETS = new Set();
 
 // Modify scheduleTweetProcessing to check for incomplete mapping
 async function scheduleTweetProcessing(tweetArticle) {
@@ -525,6 +789,23 @@ async function scheduleTweetProcessing(tweetArticle) {
         return;
     }
 
+    // Blocked handles are hidden without an API call
+    const blockedHandle = getBlockedHandleForTweet(tweetId, handles);
+    if (blockedHandle) {
+        const description = `Blocked: @${blockedHandle}`;
+        tweetArticle.dataset.ratingStatus = 'blocked';
+        tweetArticle.dataset.ratingDescription = description;
+        ScoreIndicatorRegistry.get(tweetId)?.update({
+            status: 'blocked',
+            score: null,
+            description,
+            questions: [],
+            lastAnswer: ""
+        });
+        filterSingleTweet(tweetArticle); // This will hide it
+        return;
+    }
+
     const existingInstance = ScoreIndicatorRegistry.get(tweetId);
     if (existingInstance) {
         existingInstance.ensureIndicatorAttached();
@@ -547,8 +828,7 @@ async function scheduleTweetProcessing(tweetArticle) {
     }
 
     // Check if we're in a conversation view
-    const conversation = document.querySelector('div[aria-label="Timeline: Conversation"]') ||
-        document.querySelector('div[aria-label^="Timeline: Conversation"]');
+    const conversation = selectorRegistry.query(document, 'conversationTimeline');
 
     if (conversation) {
         // If we're in a conversation and mapping is not complete, mark this tweet for later processing
@@ -592,8 +872,9 @@ async function scheduleTweetProcessing(tweetArticle) {
         }
     }
 
-    // Check for a cached rating, but be careful with streaming cache entries
-    if (tweetCache.has(tweetId)) {
+    // Check for a cached rating made with the current instructions and model, but be careful with streaming cache entries
+    await tweetCache.load(tweetId); // Ratings not used recently are only loaded when their tweet shows up
+    if (tweetCache.useCurrentRating(tweetId)) {
         // Only apply cached rating if it has a valid score and isn't an incomplete streaming entry
         const isIncompleteStreaming =
             tweetCache.get(tweetId).streaming === true &&
@@ -622,6 +903,24 @@ async function scheduleTweetProcessing(tweetArticle) {
         processedTweets.delete(tweetId);
     }
 
+    // Authors who consistently score under the auto-hide threshold don't get an API call
+    if (authorHandle && !isUserBlacklisted(authorHandle) && authorReputation.shouldAutoHide(authorHandle)) {
+        hideTweetForAuthorReputation(tweetArticle, tweetId, authorHandle);
+        return;
+    }
+
+    // Teammates using the same instructions may already have rated this tweet
+    if (teamCache.enabled && await applyTeamRating(tweetArticle, tweetId)) {
+        return;
+    }
+
+    // Don't start new ratings while the hard spend budget is reached
+    if (spendTracker.isHardBudgetReached()) {
+        pauseTweetForBudget(tweetArticle, tweetId);
+        return;
+    }
+    BUDGET_PAUSED_TWEETS.delete(tweetId);
+
     // Immediately mark as pending before scheduling actual processing
     const indicatorInstance = ScoreIndicatorRegistry.get(tweetId, tweetArticle);
     if (indicatorInstance) {
@@ -644,15 +943,18 @@ async function scheduleTweetProcessing(tweetArticle) {
         processedTweets.add(tweetId);
     }
 
-    // Now schedule the actual rating processing
-    setTimeout(() => {
+    // Now queue the actual rating processing; the queue limits concurrency and favours visible tweets
+    ratingQueue.enqueue(tweetId, tweetArticle, async () => {
         try {
-            delayedProcessTweet(tweetArticle, tweetId, authorHandle);
+            await delayedProcessTweet(tweetArticle, tweetId, authorHandle);
         } catch (e) {
             console.error(`Error in delayed processing of tweet ${tweetId}:`, e);
             processedTweets.delete(tweetId);
         }
-    }, PROCESSING_DELAY_MS);
+    }, () => {
+        // Cancelled before it started (cell unmounted) - allow it to be rescheduled when it reappears
+        processedTweets.delete(tweetId);
+    });
 }
 
 // Add this near the beginning of the file with other global variables
@@ -739,10 +1041,20 @@ async function buildReplyChain(tweetId, maxDepth = 5) {
  * [the text of the tweet]
  * [MEDIA_DESCRIPTION]:
  * [IMAGE 1]: [description], [IMAGE 2]: [description], etc.
+ * [IMAGE 1 OCR]: [text read from the image] (text-only rating models, see ImageOcr)
+ * [LINK_CARD]:
+ * URL/Domain/Title/Description of a linked page (one section per link, see LinkMetadata)
+ * [POLL]:
+ * - [option]: [share of votes], ..., then "[n] votes · [status]"
+ * [COMMUNITY_NOTE]:
+ * [the note's text]
+ * [AUTHOR_BADGES]:
+ * [verified (blue checkmark) / verified organisation / government, affiliated with ...]
  * [QUOTED_TWEET]:
  * [the text of the quoted tweet]
  * [QUOTED_TWEET_MEDIA_DESCRIPTION]:
  * [IMAGE 1]: [description], [IMAGE 2]: [description], etc.
+ * [QUOTED_TWEET_IMAGE 1 OCR]: [text read from the image]
  *
  * @param {Element} tweetArticle - The tweet article element.
  * @param {string} tweetId - The tweet's ID.
@@ -763,7 +1075,7 @@ async function getFullContext(tweetArticle, tweetId, apiKey) {
             const userHandle = handles.length > 0 ? handles[0] : '';
             const quotedHandle = handles.length > 1 ? handles[1] : '';
             // --- Extract Main Tweet Content ---
-            const mainText = getElementText(tweetArticle.querySelector(TWEET_TEXT_SELECTOR));
+            const mainText = getElementText(selectorRegistry.query(tweetArticle, 'tweetText'));
 
             let allMediaLinks = await extractMediaLinks(tweetArticle);
 
@@ -772,7 +1084,7 @@ async function getFullContext(tweetArticle, tweetId, apiKey) {
             let quotedMediaLinks = [];
             let quotedTweetId = null;
 
-            const quoteContainer = tweetArticle.querySelector(QUOTE_CONTAINER_SELECTOR);
+            const quoteContainer = selectorRegistry.query(tweetArticle, 'quoteContainer');
             if (quoteContainer) {
                 const quotedLink = quoteContainer.querySelector('a[href*="/status/"]');
                 if (quotedLink) {
@@ -783,12 +1095,12 @@ async function getFullContext(tweetArticle, tweetId, apiKey) {
                     }
                 }
 
-                quotedText = getElementText(quoteContainer.querySelector(TWEET_TEXT_SELECTOR)) || "";
+                quotedText = getElementText(selectorRegistry.query(quoteContainer, 'tweetText')) || "";
                 quotedMediaLinks = await extractMediaLinks(quoteContainer);
             }
+            await videoFrames.waitFor([...allMediaLinks, ...quotedMediaLinks]);
 
-            const conversation = document.querySelector('div[aria-label="Timeline: Conversation"]') ||
-                document.querySelector('div[aria-label^="Timeline: Conversation"]');
+            const conversation = selectorRegistry.query(document, 'conversationTimeline');
 
             let threadMediaUrls = [];
             if (conversation && conversation.dataset.threadMapping && tweetCache.has(tweetId) && tweetCache.get(tweetId).threadContext?.threadMediaUrls) {
@@ -806,7 +1118,7 @@ async function getFullContext(tweetArticle, tweetId, apiKey) {
             let mainMediaLinks = allAvailableMediaLinks.filter(link => !quotedMediaLinks.includes(link));
 
             let engagementStats = "";
-            const engagementDiv = tweetArticle.querySelector('div[role="group"][aria-label$=" views"]');
+            const engagementDiv = selectorRegistry.query(tweetArticle, 'engagementStats');
             if (engagementDiv) {
                 engagementStats = engagementDiv.getAttribute('aria-label')?.trim() || "";
             }
@@ -814,6 +1126,8 @@ async function getFullContext(tweetArticle, tweetId, apiKey) {
             let fullContextWithImageDescription = `[TWEET ${tweetId}]
  Author:@${userHandle}:
 ` + mainText;
+            // Text-only rating models get the text read from images locally instead
+            const useImageOcr = imageOcr.appliesTo(instructionProfiles.getModel(selectedModel));
 
             if (mainMediaLinks.length > 0) {
                 if (browserGet('enableImageDescriptions', false)) { // Re-check enableImageDescriptions, as it might have changed
@@ -821,12 +1135,29 @@ async function getFullContext(tweetArticle, tweetId, apiKey) {
                     fullContextWithImageDescription += `
 [MEDIA_DESCRIPTION]:
 ${mainMediaLinksDescription}`;
+                }
+                const mainMediaOcr = useImageOcr ? await imageOcr.describe(mainMediaLinks) : '';
+                if (mainMediaOcr) {
+                    fullContextWithImageDescription += `
+${mainMediaOcr}`;
                 }
                 fullContextWithImageDescription += `
 [MEDIA_URLS]:
 ${mainMediaLinks.join(", ")}`;
             }
 
+            const linkCardContext = await linkMetadata.describe(extractLinkCards(tweetArticle, quoteContainer));
+            if (linkCardContext) {
+                fullContextWithImageDescription += `
+${linkCardContext}`;
+            }
+
+            const signalsContext = formatTweetSignals(extractTweetSignals(tweetArticle));
+            if (signalsContext) {
+                fullContextWithImageDescription += `
+${signalsContext}`;
+            }
+
             if (engagementStats) {
                 fullContextWithImageDescription += `
 [ENGAGEMENT_STATS]:
@@ -855,6 +1186,11 @@ ${quotedText}`;
                         fullContextWithImageDescription += `
 [QUOTED_TWEET_MEDIA_DESCRIPTION]:
 ${quotedMediaLinksDescription}`;
+                    }
+                    const quotedMediaOcr = useImageOcr ? await imageOcr.describe(quotedMediaLinks, 'QUOTED_TWEET_IMAGE') : '';
+                    if (quotedMediaOcr) {
+                        fullContextWithImageDescription += `
+${quotedMediaOcr}`;
                     }
                     fullContextWithImageDescription += `
 [QUOTED_TWEET_MEDIA_URLS]:
@@ -863,7 +1199,7 @@ ${quotedMediaLinks.join(", ")}`;
             }
 
             // --- Thread/Reply Logic ---
-            const conversationElement = document.querySelector('div[aria-label="Timeline: Conversation"], div[aria-label^="Timeline: Conversation"]');
+            const conversationElement = selectorRegistry.query(document, 'conversationTimeline');
             if (conversationElement) {
                 const replyChain = await buildReplyChain(tweetId);
                 let threadHistoryIncluded = false;
@@ -888,7 +1224,7 @@ ${quotedMediaLinks.join(", ")}`;
                         if (parentCache?.tweetContent) {
                             currentParentContent = parentCache.tweetContent;
                         } else {
-                            const parentArticleElement = Array.from(document.querySelectorAll(TWEET_ARTICLE_SELECTOR))
+                            const parentArticleElement = selectorRegistry.queryAll(document, 'tweetArticle')
                                 .find(el => getTweetID(el) === parentId);
 
                             if (parentArticleElement) {
@@ -941,18 +1277,18 @@ ${quotedMediaLinks.join(", ")}`;
  */
 function applyFilteringToAll() {
     if (!observedTargetNode) return;
-    const tweets = observedTargetNode.querySelectorAll(TWEET_ARTICLE_SELECTOR);
+    const tweets = selectorRegistry.queryAll(observedTargetNode, 'tweetArticle');
     tweets.forEach(filterSingleTweet);
 }
 
 
 function ensureAllTweetsRated() {
-    if(document.querySelector('div[aria-label="Timeline: Conversation"]')) {
+    if(selectorRegistry.query(document, 'conversationTimeline')) {
         //this breaks thread handling logic, handlethreads calls scheduleTweetProcessing
         return;
     }
     if (!observedTargetNode) return;
-    const tweets = observedTargetNode.querySelectorAll(TWEET_ARTICLE_SELECTOR);
+    const tweets = selectorRegistry.queryAll(observedTargetNode, 'tweetArticle');
 
     if (tweets.length > 0) {
         console.log(`Checking ${tweets.length} tweets to ensure all are rated...`);
@@ -964,6 +1300,7 @@ function ensureAllTweetsRated() {
             const indicatorInstance = ScoreIndicatorRegistry.get(tweetId);
             const needsProcessing = !indicatorInstance || 
                                   !indicatorInstance.status ||
+                                  BUDGET_PAUSED_TWEETS.has(tweetId) ||
                                   indicatorInstance.status === 'error' ||
                                   (!isValidFinalState(indicatorInstance.status) && !isValidInterimState(indicatorInstance.status)) ||
                                   (processedTweets.has(tweetId) && !isValidFinalState(indicatorInstance.status) && !isValidInterimState(indicatorInstance.status));
@@ -983,11 +1320,7 @@ function ensureAllTweetsRated() {
 
 async function handleThreads() {
     try {
-        // Find the conversation timeline using a more specific selector
-        let conversation = document.querySelector('div[aria-label="Timeline: Conversation"]');
-        if (!conversation) {
-            conversation = document.querySelector('div[aria-label^="Timeline: Conversation"]');
-        }
+        const conversation = selectorRegistry.query(document, 'conversationTimeline');
 
         if (!conversation) return;
 
@@ -1043,7 +1376,7 @@ async function mapThreadStructure(conversation, localRootTweetId) {
 
             // Process all visible tweets using the cellInnerDiv structure for improved mapping
             // Use a more specific selector to ensure we get ALL cells in the conversation
-            let cellDivs = Array.from(conversation.querySelectorAll('div[data-testid="cellInnerDiv"]'));
+            let cellDivs = selectorRegistry.queryAll(conversation, 'timelineCell');
             console.log("[mapThreadStructure] Found cellDivs:", cellDivs.length);
 
             if (!cellDivs.length) {
@@ -1082,7 +1415,7 @@ async function mapThreadStructure(conversation, localRootTweetId) {
             for (let idx = 0; idx < cellDivs.length; idx++) {
                 const cell = cellDivs[idx];
                 let tweetId, username, text, mediaLinks = [], quotedMediaLinks = [];
-                let article = cell.querySelector('article[data-testid="tweet"]');
+                let article = selectorRegistry.query(cell, 'tweetArticle');
 
                 // Try to get data from article first
                 if (article) {
@@ -1096,10 +1429,10 @@ async function mapThreadStructure(conversation, localRootTweetId) {
                     }
                     const handles = getUserHandles(article);
                     username = handles.length > 0 ? handles[0] : null;
-                    let tweetTextSpan = article.querySelector('[data-testid="tweetText"]');
+                    let tweetTextSpan = selectorRegistry.query(article, 'tweetText');
                     text = tweetTextSpan ? tweetTextSpan.innerText.trim().replace(/\n+/g, ' ⏎ ') : '';
                     mediaLinks = await extractMediaLinks(article);
-                    const quoteContainer = article.querySelector(QUOTE_CONTAINER_SELECTOR);
+                    const quoteContainer = selectorRegistry.query(article, 'quoteContainer');
                     if (quoteContainer) {
                         quotedMediaLinks = await extractMediaLinks(quoteContainer);
                     }
@@ -1286,6 +1619,7 @@ async function mapThreadStructure(conversation, localRootTweetId) {
                             isRoot: doc.isRoot,
                             threadMediaUrls: doc.isRoot ? [] : getAllPreviousMediaUrls(doc.tweetId, replyDocs)
                         };
+                        tweetCache.markChanged(doc.tweetId);
 
                         // If this was just mapped, force reprocessing to use improved context
                         if (doc.tweetId && processedTweets.has(doc.tweetId)) {
@@ -9,11 +9,21 @@
 // @grant        GM_addStyle
 // @grant        GM_getValue
 // @grant        GM_setValue
+// @grant        GM_listValues
 // @grant        GM_xmlhttpRequest
 // @grant        GM_getResourceText
+// @require      https://cdn.jsdelivr.net/npm/tesseract.js@5.1.0/dist/tesseract.min.js
 // @connect      openrouter.ai
+// @connect      api.openai.com
+// @connect      api.anthropic.com
+// @connect      generativelanguage.googleapis.com
+// @connect      localhost
+// @connect      127.0.0.1
+// @connect      *
 // @resource     MENU_HTML https://raw.githubusercontent.com/obsxrver/TweetFilter-AI/dev/src/Menu.html
 // @resource     STYLESHEET https://raw.githubusercontent.com/obsxrver/TweetFilter-AI/dev/src/style.css
+// @resource     OCR_WORKER https://cdn.jsdelivr.net/npm/tesseract.js@5.1.0/dist/worker.min.js
+// @resource     OCR_CORE https://cdn.jsdelivr.net/npm/tesseract.js-core@5.1.0/tesseract-core-simd-lstm.wasm.js
 // @run-at       document-idle
 // @license      MIT
 // ==/UserScript==
@@ -39,18 +49,22 @@ const VERSION = '1.5.1';
      * starts processing visible tweets, and sets up periodic checks.
      */
     function initializeObserver() {
-        const target = document.querySelector('main') || document.querySelector('div[data-testid="primaryColumn"]');
+        const target = document.querySelector('main') || selectorRegistry.query(document, 'primaryColumn');
         if (target) {
             observedTargetNode = target;
             console.log("X/Twitter Tweet De-Sloppification: Target node found. Observing...");
             initialiseUI();
+            applyPageInstructionProfile(true);
+            syncManager.start();
+            selectorRegistry.startHealthMonitor();
             if (firstRun) {
                 resetSettings(true);
                 browserSet('firstRun', false);
             }
-            // If no API key is found, prompt the user
-            let apiKey = browserGet('openrouter-api-key', '');
-            if(!apiKey){
+            // If no API key is found, prompt the user (local servers don't need one)
+            let apiKey = getProviderApiKey();
+            const providerReady = isProviderConfigured();
+            if(!providerReady){
                 alert("No API Key found. Please enter your API Key in Settings > General.")
             }
             /*
@@ -59,18 +73,17 @@ const VERSION = '1.5.1';
                 apiKey = '*'
                 showStatus(`No API Key Found. Using Promotional Key`);
             }*/
-            if (apiKey) {
-                browserSet('openrouter-api-key', apiKey);
-                showStatus(`Loaded ${tweetCache.size} cached ratings. Starting to rate visible tweets...`);
+            if (providerReady) {
+                tweetCache.ready.then(() => showStatus(`Loaded ${tweetCache.size} cached ratings. Starting to rate visible tweets...`));
                 fetchAvailableModels();
             }
-            //observedTargetNode.querySelectorAll(TWEET_ARTICLE_SELECTOR).forEach(scheduleTweetProcessing);
             
 
             const observer = new MutationObserver(handleMutations);
             observer.observe(observedTargetNode, { childList: true, subtree: true });
             window.addEventListener('beforeunload', () => {
                 observer.disconnect();
+                tweetCache.flush();
                 const sliderUI = document.getElementById('tweet-filter-container');
                 if (sliderUI) sliderUI.remove();
                 const settingsUI = document.getElementById('settings-container');
@@ -7,15 +7,11 @@ async function saveInstructions() {
     const result = await instructionsManager.saveInstructions(instructionsTextarea.value);
     
     showStatus(result.message);
-    if (result.success && result.shouldClearCache) {
-        if (isMobileDevice() || confirm('Do you want to clear the rating cache to apply these instructions to all tweets?')) {
-            clearTweetRatingsAndRefreshUI();
-        }
-    }
 
-    // Refresh the history list if save was successful
+    // Refresh the history list and re-rate visible tweets if save was successful
     if (result.success) {
         refreshInstructionsHistory();
+        reprocessStaleTweets();
     }
 }
 
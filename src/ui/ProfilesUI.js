@@ -0,0 +1,281 @@
+/**
+ * UI component for editing instruction profiles and the rules that switch between them
+ */
+
+/**
+ * Refreshes the profile and mapping rule lists in the Instructions tab.
+ */
+function refreshProfilesUI() {
+    const activeName = document.getElementById('active-profile-name');
+    if (activeName) activeName.textContent = instructionProfiles.getName(instructionProfiles.activeId);
+
+    const listElement = document.getElementById('profiles-list');
+    if (listElement) {
+        listElement.innerHTML = ''; // Clear existing list
+        if (instructionProfiles.profiles.length === 0) {
+            const emptyMsg = document.createElement('div');
+            emptyMsg.style.cssText = 'padding: 8px; opacity: 0.7; font-style: italic;';
+            emptyMsg.textContent = 'No profiles yet - every page uses the Default profile';
+            listElement.appendChild(emptyMsg);
+        }
+        instructionProfiles.profiles.forEach(profile => {
+            listElement.appendChild(createProfileItem(profile));
+        });
+    }
+
+    const rulesElement = document.getElementById('profile-rules-list');
+    if (rulesElement) {
+        rulesElement.innerHTML = '';
+        if (instructionProfiles.rules.length === 0) {
+            const emptyMsg = document.createElement('div');
+            emptyMsg.style.cssText = 'padding: 8px; opacity: 0.7; font-style: italic;';
+            emptyMsg.textContent = 'No mapping rules yet';
+            rulesElement.appendChild(emptyMsg);
+        }
+        instructionProfiles.rules.forEach((rule, index) => {
+            rulesElement.appendChild(createProfileRuleItem(rule, index));
+        });
+    }
+}
+
+/**
+ * Creates a profile editor item.
+ * @param {Object} profile - The profile.
+ * @returns {HTMLElement}
+ */
+function createProfileItem(profile) {
+    const item = document.createElement('div');
+    item.className = 'rule-item profile-item';
+    if (profile.id === instructionProfiles.activeId) item.classList.add('active');
+    item.dataset.profileId = profile.id;
+
+    const controls = document.createElement('div');
+    controls.className = 'rule-controls';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'rule-pattern profile-name';
+    nameInput.value = profile.name;
+    nameInput.placeholder = 'Profile name';
+    nameInput.onchange = () => updateInstructionProfile(profile.id, { name: nameInput.value }, nameInput);
+    controls.appendChild(nameInput);
+
+    const thresholdInput = document.createElement('input');
+    thresholdInput.type = 'number';
+    thresholdInput.className = 'rule-score';
+    thresholdInput.min = String(scoreScale.min);
+    thresholdInput.max = String(scoreScale.max);
+    thresholdInput.step = '1';
+    thresholdInput.value = profile.threshold ?? '';
+    thresholdInput.placeholder = 'Slider';
+    thresholdInput.title = 'Filter threshold for this profile (empty to use the filter slider)';
+    thresholdInput.onchange = () => updateInstructionProfile(profile.id, { threshold: thresholdInput.value }, thresholdInput);
+    controls.appendChild(thresholdInput);
+
+    const modelInput = document.createElement('input');
+    modelInput.type = 'text';
+    modelInput.className = 'rule-pattern profile-model';
+    modelInput.value = profile.model || '';
+    modelInput.placeholder = `Rating model (default: ${selectedModel})`;
+    modelInput.title = 'Model ID for this profile (empty to use the rating model)';
+    modelInput.onchange = () => updateInstructionProfile(profile.id, { model: modelInput.value }, modelInput);
+    controls.appendChild(modelInput);
+    item.appendChild(controls);
+
+    const instructionsInput = document.createElement('textarea');
+    instructionsInput.className = 'profile-instructions';
+    instructionsInput.value = profile.instructions || '';
+    instructionsInput.placeholder = 'Instructions for this profile (empty to use the Custom Instructions above)';
+    instructionsInput.onchange = () => updateInstructionProfile(profile.id, { instructions: instructionsInput.value }, instructionsInput);
+    item.appendChild(instructionsInput);
+
+    const footer = document.createElement('div');
+    footer.className = 'rule-footer';
+
+    const status = document.createElement('div');
+    status.className = 'rule-hits';
+    status.textContent = profile.id === instructionProfiles.activeId ? 'Active on this page' : '';
+    footer.appendChild(status);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'instruction-buttons';
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-instruction';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Delete profile';
+    removeBtn.onclick = () => removeInstructionProfile(profile.id);
+    buttons.appendChild(removeBtn);
+    footer.appendChild(buttons);
+
+    item.appendChild(footer);
+    return item;
+}
+
+/**
+ * Creates a mapping rule editor row.
+ * @param {Object} rule - The rule.
+ * @param {number} index - The rule's position in the list.
+ * @returns {HTMLElement}
+ */
+function createProfileRuleItem(rule, index) {
+    const item = document.createElement('div');
+    item.className = 'rule-item';
+    item.dataset.ruleId = rule.id;
+
+    const controls = document.createElement('div');
+    controls.className = 'rule-controls';
+
+    controls.appendChild(createRuleSelect(InstructionProfiles.RULE_TYPES, rule.type, value => updateProfileRule(rule.id, { type: value })));
+
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.className = 'rule-pattern profile-rule-pattern';
+    patternInput.value = rule.pattern;
+    patternInput.placeholder = rule.type === 'tab' ? 'e.g. Following' : 'e.g. /i/lists/* or /search*';
+    patternInput.onchange = () => updateProfileRule(rule.id, { pattern: patternInput.value });
+    controls.appendChild(patternInput);
+
+    const profileOptions = { [InstructionProfiles.DEFAULT_ID]: InstructionProfiles.DEFAULT_NAME };
+    instructionProfiles.profiles.forEach(profile => {
+        profileOptions[profile.id] = profile.name;
+    });
+    controls.appendChild(createRuleSelect(profileOptions, rule.profileId, value => updateProfileRule(rule.id, { profileId: value })));
+
+    const buttons = document.createElement('div');
+    buttons.className = 'instruction-buttons';
+
+    const upBtn = document.createElement('button');
+    upBtn.className = 'use-instruction';
+    upBtn.textContent = '↑';
+    upBtn.title = 'Check this rule earlier';
+    upBtn.disabled = index === 0;
+    upBtn.onclick = () => moveProfileRule(rule.id, -1);
+    buttons.appendChild(upBtn);
+
+    const downBtn = document.createElement('button');
+    downBtn.className = 'use-instruction';
+    downBtn.textContent = '↓';
+    downBtn.title = 'Check this rule later';
+    downBtn.disabled = index === instructionProfiles.rules.length - 1;
+    downBtn.onclick = () => moveProfileRule(rule.id, 1);
+    buttons.appendChild(downBtn);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-instruction';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Delete rule';
+    removeBtn.onclick = () => removeProfileRule(rule.id);
+    buttons.appendChild(removeBtn);
+
+    controls.appendChild(buttons);
+    item.appendChild(controls);
+    return item;
+}
+
+/**
+ * Switches to the instruction profile mapped to the current page, if it changed.
+ * Visible tweets rated with another profile's instructions or model are rated again, and the filter uses the new threshold.
+ * @param {boolean} [force=false] - Apply the active profile's settings even if the profile didn't change.
+ */
+function applyPageInstructionProfile(force = false) {
+    const changed = instructionProfiles.activateFor(getPageContext());
+    if (!changed && !force) return;
+
+    currentFilterThreshold = instructionProfiles.getThreshold();
+    refreshFilterSliderUI();
+    refreshProfilesUI();
+
+    reprocessStaleTweets();
+    applyFilteringToAll();
+
+    if (changed) {
+        showStatus(`Instruction profile: ${instructionProfiles.getName(instructionProfiles.activeId)}`);
+    }
+}
+
+/** Adds a new profile, starting from the current Custom Instructions. */
+function addInstructionProfile() {
+    instructionProfiles.add(document.getElementById('user-instructions')?.value || instructionsManager.currentInstructions);
+    refreshProfilesUI();
+    document.querySelector('#profiles-list .profile-item:last-child .profile-name')?.select();
+}
+
+/**
+ * Saves a change to a profile, or reports why it was rejected.
+ * @param {string} id - The profile ID.
+ * @param {Object} changes - Fields to change.
+ * @param {HTMLElement} [inputElement=null] - The edited input; kept as typed and marked invalid if rejected.
+ */
+function updateInstructionProfile(id, changes, inputElement = null) {
+    const result = instructionProfiles.update(id, changes);
+    if (!result.success) {
+        showStatus(result.message, 'error');
+        inputElement?.classList.add('invalid');
+        return;
+    }
+    if (id === instructionProfiles.activeId) {
+        applyPageInstructionProfile(true);
+    } else {
+        refreshProfilesUI();
+    }
+    showStatus(result.message);
+}
+
+/**
+ * Deletes a profile (and the rules mapped to it) after confirmation.
+ * @param {string} id - The profile ID.
+ */
+function removeInstructionProfile(id) {
+    if (isMobileDevice() || confirm(`Delete the "${instructionProfiles.getName(id)}" profile and its mapping rules?`)) {
+        instructionProfiles.remove(id);
+        refreshProfilesUI();
+        applyPageInstructionProfile();
+        showStatus('Profile deleted');
+    }
+}
+
+/** Adds a new empty mapping rule. */
+function addProfileRule() {
+    instructionProfiles.addRule();
+    refreshProfilesUI();
+    document.querySelector('#profile-rules-list .rule-item:last-child .profile-rule-pattern')?.focus();
+}
+
+/**
+ * Saves a change to a mapping rule and re-checks which profile applies to this page.
+ * @param {string} id - The rule ID.
+ * @param {Object} changes - Fields to change.
+ */
+function updateProfileRule(id, changes) {
+    const result = instructionProfiles.updateRule(id, changes);
+    if (!result.success) {
+        showStatus(result.message, 'error');
+        return;
+    }
+    refreshProfilesUI();
+    applyPageInstructionProfile();
+}
+
+/**
+ * Moves a mapping rule up or down the list.
+ * @param {string} id - The rule ID.
+ * @param {number} direction - -1 for up, 1 for down.
+ */
+function moveProfileRule(id, direction) {
+    instructionProfiles.moveRule(id, direction);
+    refreshProfilesUI();
+    applyPageInstructionProfile();
+}
+
+/**
+ * Deletes a mapping rule after confirmation.
+ * @param {string} id - The rule ID.
+ */
+function removeProfileRule(id) {
+    if (isMobileDevice() || confirm('Delete this mapping rule?')) {
+        instructionProfiles.removeRule(id);
+        refreshProfilesUI();
+        applyPageInstructionProfile();
+        showStatus('Mapping rule deleted');
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * UI component for editing the pre-filter rules
+ */
+
+/**
+ * Refreshes the rules list in the Rules tab.
+ */
+function refreshRulesUI() {
+    const listElement = document.getElementById('rules-list');
+    if (!listElement) return;
+
+    listElement.innerHTML = ''; // Clear existing list
+
+    if (filterRules.rules.length === 0) {
+        const emptyMsg = document.createElement('div');
+        emptyMsg.style.cssText = 'padding: 8px; opacity: 0.7; font-style: italic;';
+        emptyMsg.textContent = 'No rules yet - every tweet is sent to the model';
+        listElement.appendChild(emptyMsg);
+        return;
+    }
+
+    filterRules.rules.forEach((rule, index) => {
+        listElement.appendChild(createRuleItem(rule, index));
+    });
+}
+
+/**
+ * Creates a <select> for one of a rule's fields.
+ * @param {Object} options - Map of value to label.
+ * @param {string} value - The selected value.
+ * @param {Function} onChange - Called with the new value.
+ * @returns {HTMLSelectElement}
+ */
+function createRuleSelect(options, value, onChange) {
+    const select = document.createElement('select');
+    for (const [optionValue, label] of Object.entries(options)) {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+    select.value = value;
+    select.onchange = () => onChange(select.value);
+    return select;
+}
+
+/**
+ * Creates a rule editor row.
+ * @param {Object} rule - The rule.
+ * @param {number} index - The rule's position in the list.
+ * @returns {HTMLElement}
+ */
+function createRuleItem(rule, index) {
+    const item = document.createElement('div');
+    item.className = 'rule-item';
+    if (!rule.enabled) item.classList.add('disabled');
+    item.dataset.ruleId = rule.id;
+
+    // --- Match settings ---
+    const controls = document.createElement('div');
+    controls.className = 'rule-controls';
+
+    const enabledCheckbox = document.createElement('input');
+    enabledCheckbox.type = 'checkbox';
+    enabledCheckbox.checked = rule.enabled;
+    enabledCheckbox.title = 'Enable this rule';
+    enabledCheckbox.onchange = () => updateRule(rule.id, { enabled: enabledCheckbox.checked });
+    controls.appendChild(enabledCheckbox);
+
+    controls.appendChild(createRuleSelect(FilterRules.TYPES, rule.type, value => updateRule(rule.id, { type: value })));
+    controls.appendChild(createRuleSelect(FilterRules.TARGETS, rule.target, value => updateRule(rule.id, { target: value })));
+    controls.appendChild(createRuleSelect(FilterRules.ACTIONS, rule.action, value => updateRule(rule.id, { action: value })));
+
+    if (rule.action === 'score') {
+        const scoreInput = document.createElement('input');
+        scoreInput.type = 'number';
+        scoreInput.className = 'rule-score';
+        scoreInput.min = String(scoreScale.min);
+        scoreInput.max = String(scoreScale.max);
+        scoreInput.step = '1';
+        scoreInput.value = rule.score;
+        scoreInput.title = 'Score given to matching tweets';
+        scoreInput.onchange = () => updateRule(rule.id, { score: Number(scoreInput.value) }, scoreInput);
+        controls.appendChild(scoreInput);
+    }
+    item.appendChild(controls);
+
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.className = 'rule-pattern';
+    patternInput.value = rule.pattern;
+    patternInput.placeholder = rule.target === 'signals'
+        ? `Comma-separated, e.g. community_note (${Object.keys(FilterRules.SIGNALS).join(', ')})`
+        : rule.type === 'regex'
+        ? 'e.g. /\\b(giveaway|airdrop)\\b/i'
+        : 'Comma-separated, e.g. giveaway, follow for follow';
+    if (rule.target === 'signals') {
+        patternInput.title = Object.entries(FilterRules.SIGNALS).map(([name, meaning]) => `${name}: ${meaning}`).join('\n');
+    }
+    patternInput.onchange = () => updateRule(rule.id, { pattern: patternInput.value }, patternInput);
+    item.appendChild(patternInput);
+
+    // --- Hit counter and ordering ---
+    const footer = document.createElement('div');
+    footer.className = 'rule-footer';
+
+    const hits = document.createElement('div');
+    hits.className = 'rule-hits';
+    hits.textContent = `${rule.hits || 0} hit${rule.hits === 1 ? '' : 's'}` +
+        (rule.lastHit ? ` · last ${new Date(rule.lastHit).toLocaleString()}` : '');
+    footer.appendChild(hits);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'instruction-buttons';
+
+    const upBtn = document.createElement('button');
+    upBtn.className = 'use-instruction';
+    upBtn.textContent = '↑';
+    upBtn.title = 'Check this rule earlier';
+    upBtn.disabled = index === 0;
+    upBtn.onclick = () => moveRule(rule.id, -1);
+    buttons.appendChild(upBtn);
+
+    const downBtn = document.createElement('button');
+    downBtn.className = 'use-instruction';
+    downBtn.textContent = '↓';
+    downBtn.title = 'Check this rule later';
+    downBtn.disabled = index === filterRules.rules.length - 1;
+    downBtn.onclick = () => moveRule(rule.id, 1);
+    buttons.appendChild(downBtn);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-instruction';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Delete rule';
+    removeBtn.onclick = () => removeRule(rule.id);
+    buttons.appendChild(removeBtn);
+
+    footer.appendChild(buttons);
+    item.appendChild(footer);
+    return item;
+}
+
+/**
+ * Saves a change to a rule, or reports why it was rejected.
+ * @param {string} id - The rule ID.
+ * @param {Object} changes - Fields to change.
+ * @param {HTMLElement} [inputElement=null] - The edited input; kept as typed and marked invalid if rejected.
+ */
+function updateRule(id, changes, inputElement = null) {
+    const result = filterRules.update(id, changes);
+    if (!result.success) {
+        showStatus(result.message, 'error');
+        inputElement?.classList.add('invalid');
+        return;
+    }
+    refreshRulesUI();
+}
+
+/** Adds a new empty rule. */
+function addRule() {
+    filterRules.add();
+    refreshRulesUI();
+    document.querySelector('#rules-list .rule-item:last-child .rule-pattern')?.focus();
+}
+
+/**
+ * Moves a rule up or down the list.
+ * @param {string} id - The rule ID.
+ * @param {number} direction - -1 for up, 1 for down.
+ */
+function moveRule(id, direction) {
+    filterRules.move(id, direction);
+    refreshRulesUI();
+}
+
+/**
+ * Deletes a rule after confirmation.
+ * @param {string} id - The rule ID.
+ */
+function removeRule(id) {
+    if (isMobileDevice() || confirm('Delete this rule?')) {
+        filterRules.remove(id);
+        refreshRulesUI();
+        showStatus('Rule deleted');
+    }
+}
+
+/** Resets every rule's hit counter. */
+function resetRuleHits() {
+    filterRules.resetHits();
+    refreshRulesUI();
+    showStatus('Rule hit counters reset');
+}
@@ -28,7 +28,9 @@ class ScoreIndicator {
         this.reasoningArrow = null;
         this.reasoningContent = null;
         this.reasoningTextElement = null;
+        this.authorReputationElement = null; // Author's rating history summary
         this.descriptionElement = null;
+        this.subScoresElement = null; // Breakdown of the named sub-scores
         this.scoreTextElement = null;
         this.followUpQuestionsTextElement = null;
         this.scrollButton = null;
@@ -61,6 +63,7 @@ class ScoreIndicator {
         this.description = '';
         this.reasoning = '';
         this.metadata = null; // Add property to store metadata
+        this.subScores = null; // Named sub-scores, e.g. { civility: 8 }
         this.conversationHistory = []; // Array to store { question, answer } pairs
         this.questions = []; // Add property to store follow-up questions
         this.isPinned = false;
@@ -173,11 +176,23 @@ class ScoreIndicator {
         this.reasoningDropdown.appendChild(this.reasoningContent);
         this.tooltipScrollableContentElement.appendChild(this.reasoningDropdown); // MODIFIED: Append to scrollable
 
+        // --- Author Reputation Line ---
+        this.authorReputationElement = document.createElement('div');
+        this.authorReputationElement.className = 'tooltip-author-reputation';
+        this.authorReputationElement.style.display = 'none'; // Hide until the author has history
+        this.tooltipScrollableContentElement.appendChild(this.authorReputationElement);
+
         // --- Description Area ---
         this.descriptionElement = document.createElement('div');
         this.descriptionElement.className = 'description-text';
         this.tooltipScrollableContentElement.appendChild(this.descriptionElement); // MODIFIED: Append to scrollable
 
+        // --- Sub-Score Breakdown ---
+        this.subScoresElement = document.createElement('div');
+        this.subScoresElement.className = 'tooltip-sub-scores';
+        this.subScoresElement.style.display = 'none'; // Hide unless the rating has sub-scores
+        this.tooltipScrollableContentElement.appendChild(this.subScoresElement);
+
         // --- Score Text Area (from description) ---
         this.scoreTextElement = document.createElement('div');
         this.scoreTextElement.className = 'score-text-from-description';
@@ -406,8 +421,9 @@ class ScoreIndicator {
         const classList = this.indicatorElement.classList;
         classList.remove(
             'pending-rating', 'rated-rating', 'error-rating',
-            'cached-rating', 'blacklisted-rating', 'streaming-rating',
-            'blacklisted-author-indicator' // Ensure to remove this as well before re-evaluating
+            'cached-rating', 'blacklisted-rating', 'streaming-rating', 'blocked-rating',
+            'blacklisted-author-indicator', // Ensure to remove this as well before re-evaluating
+            'score-band-low', 'score-band-mid', 'score-band-high'
         );
 
         let indicatorText = '';
@@ -415,7 +431,7 @@ class ScoreIndicator {
 
         if (this.isAuthorBlacklisted) { // Author blacklist takes visual precedence
             indicatorClass = 'blacklisted-author-indicator'; // Purple class
-            indicatorText = (this.score !== null && this.score !== undefined) ? String(this.score) : '?';
+            indicatorText = (this.score !== null && this.score !== undefined) ? scoreScale.format(this.score) : '?';
         } else { // Not a blacklisted author, proceed with normal status
             switch (this.status) {
                 case 'pending':
@@ -424,7 +440,7 @@ class ScoreIndicator {
                     break;
                 case 'streaming':
                     indicatorClass = 'streaming-rating';
-                    indicatorText = (this.score !== null && this.score !== undefined) ? String(this.score) : '🔄';
+                    indicatorText = (this.score !== null && this.score !== undefined) ? scoreScale.format(this.score) : '🔄';
                     break;
                 case 'error':
                     indicatorClass = 'error-rating';
@@ -432,16 +448,20 @@ class ScoreIndicator {
                     break;
                 case 'cached':
                     indicatorClass = 'cached-rating';
-                    indicatorText = String(this.score);
+                    indicatorText = scoreScale.format(this.score);
                     break;
                 case 'blacklisted': // This is for TWEET status being blacklisted (amber color)
                     indicatorClass = 'blacklisted-rating';
-                    indicatorText = String(this.score);
+                    indicatorText = scoreScale.format(this.score);
+                    break;
+                case 'blocked': // Author (or the quoted/replied-to author) is on the blocklist
+                    indicatorClass = 'blocked-rating';
+                    indicatorText = '⛔';
                     break;
                 case 'rated':
                 default:
                     indicatorClass = 'rated-rating';
-                    indicatorText = String(this.score);
+                    indicatorText = scoreScale.format(this.score);
                     break;
             }
         }
@@ -449,6 +469,10 @@ class ScoreIndicator {
         if (indicatorClass) {
             classList.add(indicatorClass);
         }
+        // Colour band of the score on the current scale
+        if (['rated', 'cached', 'blacklisted'].includes(this.status) && typeof this.score === 'number') {
+            classList.add(`score-band-${scoreScale.getBand(this.score)}`);
+        }
         this.indicatorElement.textContent = indicatorText;
     }
 
@@ -496,6 +520,17 @@ class ScoreIndicator {
         // Use a flag to track if any significant content affecting layout changed
         let contentChanged = false;
 
+        // Update Author Reputation display
+        if (this.authorReputationElement) {
+            const article = this.findCurrentArticleElement() || this.tweetArticle;
+            const authorSummary = authorReputation.describe(getUserHandles(article)[0] || '');
+            if (this.authorReputationElement.textContent !== authorSummary) {
+                this.authorReputationElement.textContent = authorSummary;
+                this.authorReputationElement.style.display = authorSummary ? 'block' : 'none';
+                contentChanged = true;
+            }
+        }
+
         // Update Analysis display (using descriptionElement)
         const formattedAnalysis = formatTooltipDescription(analysisContent).description; // Pass only analysis part
         if (this.descriptionElement.innerHTML !== formattedAnalysis) {
@@ -503,6 +538,16 @@ class ScoreIndicator {
             contentChanged = true;
         }
 
+        // Update Sub-Score breakdown
+        if (this.subScoresElement) {
+            const formattedSubScores = this._formatSubScores();
+            if (this.subScoresElement.innerHTML !== formattedSubScores) {
+                this.subScoresElement.innerHTML = formattedSubScores;
+                this.subScoresElement.style.display = formattedSubScores ? 'block' : 'none';
+                contentChanged = true;
+            }
+        }
+
         // Update Score display (using scoreTextElement)
         if (scoreContent) {
             // Apply score highlighting specifically here
@@ -612,6 +657,9 @@ class ScoreIndicator {
                 metadataHTML += `<div class="metadata-line">Media: ${this.metadata.mediaInputs}</div>`;
             }
             metadataHTML += `<div class="metadata-line">Price: ${this.metadata.price}</div>`;
+            if (this.metadata.batchSize > 1) {
+                metadataHTML += `<div class="metadata-line">Batch: rated together with ${this.metadata.batchSize - 1} other tweets (tokens and price are this tweet's share)</div>`;
+            }
             showMetadataDropdown = true;
         } else if (hasOnlyGenId) {
             metadataHTML += `<div class="metadata-line">Generation ID: ${this.metadata.generationId} (fetching details...)</div>`;
@@ -665,6 +713,31 @@ class ScoreIndicator {
     }
 
     /** Renders the conversation history into HTML string */
+    /**
+     * Builds the sub-score breakdown shown under the analysis.
+     * @returns {string} HTML for the breakdown, or '' if the rating has no sub-scores.
+     */
+    _formatSubScores() {
+        if (!this.subScores || Object.keys(this.subScores).length === 0) return '';
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const rows = Object.entries(this.subScores).map(([name, score]) => `
+            <div class="sub-score-row">
+                <span class="sub-score-name">${escape(name)}</span>
+                <span class="sub-score-bar"><span class="sub-score-fill" style="width: ${(score / ScoringCriteria.MAX_SCORE) * 100}%"></span></span>
+                <span class="sub-score-value">${score}</span>
+            </div>`).join('');
+
+        let summary = '';
+        if (scoringCriteria.mode === 'weighted') {
+            const weighted = scoringCriteria.getWeightedScore(this.subScores);
+            if (weighted !== null) summary = `Weighted score: ${weighted.toFixed(1)}`;
+        } else if (scoringCriteria.mode === 'minimum') {
+            const failed = scoringCriteria.getFailedMinimums(this.subScores);
+            summary = failed.length > 0 ? `Below minimum: ${failed.map(escape).join(', ')}` : 'Meets all minimums';
+        }
+        return rows + (summary ? `<div class="sub-score-summary">${summary}</div>` : '');
+    }
+
     _renderConversationHistory() {
         if (!this.conversationHistory || this.conversationHistory.length === 0) {
             return '';
@@ -1107,7 +1180,7 @@ class ScoreIndicator {
         event.stopPropagation(); // Prevent tooltip hide if it's a real event
 
         const questionText = button.dataset.questionText;
-        const apiKey = browserGet('openrouter-api-key', '');
+        const apiKey = getProviderApiKey();
 
         // Set the source of the follow-up
         this.currentFollowUpSource = isMockEvent ? 'custom' : 'suggested';
@@ -1150,7 +1223,7 @@ class ScoreIndicator {
         // Create a new history array for the API call, including the new raw user message
         const historyForApiCall = [...this.qaConversationHistory, userApiMessage];
 
-        if (!apiKey) {
+        if (!isProviderConfigured()) {
             showStatus('API key missing. Cannot answer question.', 'error');
             this._updateConversationHistory(questionText, "Error: API Key missing.", "");
             // Re-enable buttons
@@ -1508,7 +1581,7 @@ class ScoreIndicator {
     /**
      * Updates the indicator's state and refreshes the UI.
      * @param {object} options
-     * @param {string} [options.status] - New status ('pending', 'streaming', 'rated', 'error', 'cached', 'blacklisted').
+     * @param {string} [options.status] - New status ('pending', 'streaming', 'rated', 'error', 'cached', 'blacklisted', 'blocked').
      * @param {number|null} [options.score] - New score.
      * @param {string} [options.description] - New description text.
      * @param {string} [options.reasoning] - New reasoning text.
@@ -1654,6 +1727,8 @@ class ScoreIndicator {
             window.activeStreamingRequests[this.tweetId].abort();
             delete window.activeStreamingRequests[this.tweetId];
         }
+        // Drop any queued (not yet started) rating job for this tweet
+        ratingQueue.cancel(this.tweetId);
 
         // Remove event listeners first to prevent errors during removal
         this.indicatorElement?.removeEventListener('mouseenter', this._handleMouseEnter);
@@ -1746,13 +1821,13 @@ class ScoreIndicator {
 
     /** Finds the current DOM element for the tweet article based on tweetId. */
     findCurrentArticleElement() {
-        const timeline = document.querySelector('main') || document.querySelector('div[data-testid="primaryColumn"]');
+        const timeline = document.querySelector('main') || selectorRegistry.query(document, 'primaryColumn');
         if (!timeline) return null;
 
         // Try finding via a link containing the tweetId first
         const linkSelector = `a[href*="/status/${this.tweetId}"]`;
         const linkElement = timeline.querySelector(linkSelector);
-        const article = linkElement?.closest('article[data-testid="tweet"]');
+        const article = selectorRegistry.closest(linkElement, 'tweetArticle');
 
         if (article) {
             // Verify the found article's ID matches, just in case the link wasn't the permalink
@@ -1763,7 +1838,7 @@ class ScoreIndicator {
 
         // Fallback: Iterate through all articles if specific link not found
         // This is less efficient but necessary if the ID isn't easily queryable
-        const articles = timeline.querySelectorAll('article[data-testid="tweet"]');
+        const articles = selectorRegistry.queryAll(timeline, 'tweetArticle');
         for (const art of articles) {
             if (getTweetID(art) === this.tweetId) {
                 return art;
@@ -1789,9 +1864,10 @@ class ScoreIndicator {
         // extractFollowUpQuestions function is defined in api.js, assuming it's globally available
         const initialQuestions = extractFollowUpQuestions(apiResponseContent);
 
-        this.score = scoreMatch ? parseInt(scoreMatch[1], 10) : null;
+        this.score = scoreMatch ? scoreScale.clamp(parseInt(scoreMatch[1], 10)) : null;
         this.description = analysisMatch ? analysisMatch[1].trim() : apiResponseContent; // Fallback to full content
         this.questions = initialQuestions;
+        this.subScores = scoringCriteria.parse(apiResponseContent);
         this.status = this.score !== null ? 'rated' : 'error'; // Or some other logic for status
 
         // Construct qaConversationHistory
@@ -1852,12 +1928,14 @@ class ScoreIndicator {
      * @param {object} cachedData - The cached data object.
      */
     rehydrateFromCache(cachedData) {
-        this.score = cachedData.score;
+        // Cached on the scale it was rated on; a failed rating keeps the failed-rating score on any scale
+        this.score = cachedData.error ? scoreScale.errorScore : scoreScale.convert(cachedData.score, cachedData.scale);
         this.description = cachedData.description; // This should be the analysis part
         this.reasoning = cachedData.reasoning;
         this.questions = cachedData.questions || [];
         this.status = cachedData.status || (cachedData.score !== null ? (cachedData.fromStorage ? 'cached' : 'rated') : 'error');
         this.metadata = cachedData.metadata || null;
+        this.subScores = cachedData.subScores || null;
         this.qaConversationHistory = cachedData.qaConversationHistory || [];
         this.isPinned = cachedData.isPinned || false; // Assuming we might cache pin state
 
@@ -2086,13 +2164,13 @@ const ScoreIndicatorRegistry = {
      */
     cleanupOrphaned() {
         let removedCount = 0;
-        const observedTimeline = document.querySelector('main') || document.querySelector('div[data-testid="primaryColumn"]');
+        const observedTimeline = document.querySelector('main') || selectorRegistry.query(document, 'primaryColumn');
 
         if (!observedTimeline) return;
 
         // Collect IDs of tweet articles currently visible in the timeline
         const visibleTweetIds = new Set();
-        observedTimeline.querySelectorAll('article[data-testid="tweet"]').forEach(article => {
+        selectorRegistry.queryAll(observedTimeline, 'tweetArticle').forEach(article => {
             const id = getTweetID(article);
             if (id) visibleTweetIds.add(id);
         });
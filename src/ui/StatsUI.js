@@ -0,0 +1,282 @@
+/**
+ * UI component for the Stats tab: usage, cost and filter behaviour,
+ * aggregated from the tweetCache metadata and drawn as plain SVG.
+ */
+
+const STATS_DAYS_SHOWN = 14;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Parses a stored metadata value such as "$0.000123" or "1.23s".
+ * @param {string|number|null} value - The metadata value.
+ * @returns {number|null} The number, or null if the value is missing or 'N/A'.
+ */
+function parseMetadataNumber(value) {
+    if (typeof value === 'number') return value;
+    const parsed = parseFloat(String(value ?? '').replace(/[^0-9.]/g, ''));
+    return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Formats a date as a local YYYY-MM-DD key (same format as SpendTracker's day buckets).
+ * @param {Date} date
+ * @returns {string}
+ */
+function toStatsDayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Aggregates the cached ratings into the numbers shown on the Stats tab.
+ * Batched ratings store their share of the batch's tokens and price, so they are summed like any other rating.
+ * @param {Object<string, Object>} ratings - Every cached rating, keyed by tweet ID (see TweetCache.getAll).
+ * @returns {Object} The aggregated stats.
+ */
+function collectUsageStats(ratings) {
+    const days = new Map();
+    for (let i = STATS_DAYS_SHOWN - 1; i >= 0; i--) {
+        const date = new Date();
+        date.setDate(date.getDate() - i);
+        days.set(toStatsDayKey(date), { tokens: 0, ratings: 0 });
+    }
+
+    const stats = {
+        days,
+        // One bucket per score on the current scale
+        scoreCounts: new Array(scoreScale.max - scoreScale.min + 1).fill(0),
+        models: {},
+        rated: 0,
+        errors: 0,
+        hidden: 0,
+        scoreTotal: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        ratingCost: 0
+    };
+
+    for (const entry of Object.values(ratings)) {
+        // Whitelisted handles are never sent to the model
+        if (entry.streaming || entry.blacklisted || entry.score === undefined || entry.score === null) continue;
+        if (entry.error) {
+            stats.errors++;
+            continue;
+        }
+
+        // Ratings cached on another scale are converted to the current one
+        const score = scoreScale.convert(entry.score, entry.scale);
+        stats.rated++;
+        stats.scoreTotal += score;
+        stats.scoreCounts[score - scoreScale.min]++;
+        if (!scoringCriteria.passesFilter(score, entry.subScores, currentFilterThreshold)) stats.hidden++;
+
+        const meta = entry.metadata || {};
+        const promptTokens = meta.promptTokens || 0;
+        const completionTokens = meta.completionTokens || 0;
+        stats.promptTokens += promptTokens;
+        stats.completionTokens += completionTokens;
+        stats.ratingCost += parseMetadataNumber(meta.price) || 0;
+
+        const day = days.get(toStatsDayKey(new Date(entry.timestamp)));
+        if (day) {
+            day.tokens += promptTokens + completionTokens;
+            day.ratings++;
+        }
+
+        const latency = parseMetadataNumber(meta.latency);
+        if (meta.model && meta.model !== 'N/A' && latency !== null) {
+            const model = stats.models[meta.model] || (stats.models[meta.model] = {
+                providerName: meta.providerName || '',
+                latencyTotal: 0,
+                count: 0
+            });
+            model.latencyTotal += latency;
+            model.count++;
+        }
+    }
+
+    return stats;
+}
+
+/**
+ * Creates an SVG element with the given attributes.
+ * @param {string} tag - The SVG tag name.
+ * @param {Object} [attributes={}] - Attributes to set.
+ * @param {string} [text] - Optional text content.
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attributes = {}, text) {
+    const element = document.createElementNS(SVG_NS, tag);
+    for (const [name, value] of Object.entries(attributes)) {
+        element.setAttribute(name, value);
+    }
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+/**
+ * Draws a vertical bar chart.
+ * @param {{label: string, value: number, title: string, color?: string}[]} bars - One entry per bar.
+ * @param {number} [height=110] - Chart height in SVG units (width is fixed at 300 and scales to the container).
+ * @returns {SVGElement}
+ */
+function renderBarChart(bars, height = 110) {
+    const width = 300;
+    const labelHeight = 14;
+    const chartHeight = height - labelHeight;
+    const max = Math.max(...bars.map(bar => bar.value), 0);
+    const slot = width / Math.max(bars.length, 1);
+    // Skip labels when there are too many bars for them to fit
+    const labelEvery = Math.ceil(bars.length / 14);
+
+    const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'stats-chart' });
+    svg.appendChild(createSvgElement('line', { x1: 0, y1: chartHeight, x2: width, y2: chartHeight, class: 'stats-chart-axis' }));
+
+    bars.forEach((bar, i) => {
+        const barHeight = max > 0 ? (bar.value / max) * (chartHeight - 4) : 0;
+        const rect = createSvgElement('rect', {
+            x: i * slot + slot * 0.15,
+            y: chartHeight - barHeight,
+            width: slot * 0.7,
+            height: barHeight,
+            fill: bar.color || '#1d9bf0',
+            rx: 1.5
+        });
+        rect.appendChild(createSvgElement('title', {}, bar.title));
+        svg.appendChild(rect);
+
+        if (i % labelEvery === 0) {
+            svg.appendChild(createSvgElement('text', {
+                x: i * slot + slot / 2,
+                y: height - 3,
+                'text-anchor': 'middle',
+                class: 'stats-chart-label'
+            }, bar.label));
+        }
+    });
+
+    if (max === 0) {
+        svg.appendChild(createSvgElement('text', {
+            x: width / 2,
+            y: chartHeight / 2,
+            'text-anchor': 'middle',
+            class: 'stats-chart-label'
+        }, 'No data yet'));
+    }
+    return svg;
+}
+
+/**
+ * Draws a horizontal bar chart with a text label above each bar.
+ * @param {{label: string, value: number, valueLabel: string}[]} rows - One entry per row.
+ * @returns {SVGElement}
+ */
+function renderHorizontalBarChart(rows) {
+    const width = 300;
+    const rowHeight = 24;
+    const height = Math.max(rows.length, 1) * rowHeight;
+    const max = Math.max(...rows.map(row => row.value), 0);
+
+    const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'stats-chart' });
+    rows.forEach((row, i) => {
+        const y = i * rowHeight;
+        svg.appendChild(createSvgElement('text', { x: 0, y: y + 9, class: 'stats-chart-label' }, row.label));
+        svg.appendChild(createSvgElement('text', { x: width, y: y + 9, 'text-anchor': 'end', class: 'stats-chart-label' }, row.valueLabel));
+        svg.appendChild(createSvgElement('rect', {
+            x: 0,
+            y: y + 12,
+            width: max > 0 ? Math.max((row.value / max) * width, 2) : 0,
+            height: 8,
+            fill: '#1d9bf0',
+            rx: 2
+        }));
+    });
+
+    if (rows.length === 0) {
+        svg.appendChild(createSvgElement('text', {
+            x: width / 2,
+            y: rowHeight / 2 + 4,
+            'text-anchor': 'middle',
+            class: 'stats-chart-label'
+        }, 'No latency data yet'));
+    }
+    return svg;
+}
+
+/**
+ * Replaces the contents of a chart container.
+ * @param {string} id - The container element ID.
+ * @param {SVGElement} chart - The chart to show.
+ */
+function setStatsChart(id, chart) {
+    const container = document.getElementById(id);
+    if (!container) return;
+    container.innerHTML = '';
+    container.appendChild(chart);
+}
+
+/**
+ * Sets the text of a stats value element.
+ * @param {string} id - The element ID.
+ * @param {string} text - The text to show.
+ */
+function setStatsValue(id, text) {
+    const element = document.getElementById(id);
+    if (element) element.textContent = text;
+}
+
+/**
+ * Refreshes the Stats tab from the current cache and spend history.
+ */
+async function refreshStatsUI() {
+    if (!document.getElementById('stats-tab')) return;
+
+    const stats = collectUsageStats(await tweetCache.getAll());
+    const attempts = stats.rated + stats.errors;
+    const percent = (part, whole) => whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : '—';
+
+    setStatsValue('stats-rated-count', stats.rated.toString());
+    setStatsValue('stats-average-score', stats.rated > 0 ? (stats.scoreTotal / stats.rated).toFixed(2) : '—');
+    const hiddenBy = scoringCriteria.mode === 'overall' ? `below ${currentFilterThreshold}` : ScoringCriteria.MODES[scoringCriteria.mode].toLowerCase();
+    setStatsValue('stats-hidden-percent', `${percent(stats.hidden, stats.rated)} (${hiddenBy})`);
+    setStatsValue('stats-error-rate', `${percent(stats.errors, attempts)} (${stats.errors} of ${attempts})`);
+    setStatsValue('stats-total-tokens', `${Math.round(stats.promptTokens).toLocaleString()} prompt / ${Math.round(stats.completionTokens).toLocaleString()} completion`);
+    setStatsValue('stats-rating-cost', `$${stats.ratingCost.toFixed(4)}`);
+
+    const dayEntries = [...stats.days.entries()];
+    setStatsChart('stats-tokens-chart', renderBarChart(dayEntries.map(([day, data]) => ({
+        label: day.slice(5),
+        value: data.tokens,
+        title: `${day}: ${Math.round(data.tokens).toLocaleString()} tokens, ${data.ratings} ratings`
+    }))));
+    // Spend comes from SpendTracker so it includes image descriptions, follow-ups and estimated costs
+    setStatsChart('stats-cost-chart', renderBarChart(dayEntries.map(([day]) => {
+        const cost = spendTracker.history.days[day]?.total || 0;
+        return {
+            label: day.slice(5),
+            value: cost,
+            title: `${day}: $${cost.toFixed(4)}`,
+            color: '#00ba7c'
+        };
+    })));
+    setStatsChart('stats-score-chart', renderBarChart(stats.scoreCounts.map((count, index) => {
+        const score = scoreScale.min + index;
+        return {
+            label: scoreScale.format(score),
+            value: count,
+            title: `Score ${scoreScale.format(score)}: ${count} tweets (${percent(count, stats.rated)})`,
+            color: score < currentFilterThreshold ? '#f4212e' : '#1d9bf0'
+        };
+    })));
+    setStatsChart('stats-latency-chart', renderHorizontalBarChart(
+        Object.entries(stats.models)
+            .map(([model, data]) => {
+                const average = data.latencyTotal / data.count;
+                return {
+                    label: data.providerName && data.providerName !== 'N/A' ? `${model} (${data.providerName})` : model,
+                    value: average,
+                    valueLabel: `${average.toFixed(2)}s · ${data.count}`
+                };
+            })
+            .sort((a, b) => b.value - a.value)
+    ));
+}
@@ -155,12 +155,63 @@ function initializeEventListeners(uiContainer) {
                 case 'add-handle':
                     addHandleFromInput();
                     break;
+                case 'add-blocked-handle':
+                    addBlockedHandleFromInput();
+                    break;
+                case 'import-blocked-handles':
+                    importBlockedHandles();
+                    break;
                 case 'clear-instructions-history':
                     clearInstructionsHistory();
                     break;
                 case 'export-cache':
                     exportCacheToJson();
                     break;
+                case 'import-cache':
+                    document.getElementById('cache-import-file')?.click();
+                    break;
+                case 'sync-now':
+                    syncNow();
+                    break;
+                case 'test-team-cache':
+                    testTeamCacheConnection();
+                    break;
+                case 'save-selector-overrides':
+                    saveSelectorOverrides();
+                    break;
+                case 'check-selectors':
+                    checkSelectors();
+                    break;
+                case 'export-settings':
+                    exportSettingsToJson();
+                    break;
+                case 'import-settings':
+                    document.getElementById('settings-import-file')?.click();
+                    break;
+                case 'reset-spend':
+                    resetSpendHistory();
+                    break;
+                case 'refresh-stats':
+                    refreshStatsUI();
+                    break;
+                case 'clear-author-profiles':
+                    clearAuthorProfiles();
+                    break;
+                case 'clear-media-descriptions':
+                    clearMediaDescriptions();
+                    break;
+                case 'add-rule':
+                    addRule();
+                    break;
+                case 'reset-rule-hits':
+                    resetRuleHits();
+                    break;
+                case 'add-profile':
+                    addInstructionProfile();
+                    break;
+                case 'add-profile-rule':
+                    addProfileRule();
+                    break;
             }
         }
 
@@ -170,7 +221,11 @@ function initializeEventListeners(uiContainer) {
             const handleTextElement = handleItem?.querySelector('.handle-text');
             if (handleTextElement) {
                 const handle = handleTextElement.textContent.substring(1); // Remove '@'
-                removeHandleFromBlacklist(handle);
+                if (target.closest('#blocked-handle-list')) {
+                    removeBlockedHandle(handle);
+                } else {
+                    removeHandleFromBlacklist(handle);
+                }
             }
         }
 
@@ -220,6 +275,39 @@ function initializeEventListeners(uiContainer) {
             fetchAvailableModels(); // Refresh models on sort change
         }
 
+        if (target.id === 'cache-import-file') {
+            importCacheFromFile(target);
+        }
+
+        if (target.id === 'settings-import-file') {
+            importSettingsFromFile(target);
+        }
+
+        if (target.id === 'provider-prompt-price' || target.id === 'provider-completion-price') {
+            const kind = target.id === 'provider-prompt-price' ? 'prompt' : 'completion';
+            browserSet(`${getActiveProviderId()}-${kind}-price`, target.value.trim());
+            refreshSpendTrackingUI();
+        }
+
+        // Sync settings are applied once committed, so a half-typed URL isn't synced with
+        if (setting?.startsWith('sync')) {
+            syncManager.start();
+            refreshSyncStatusUI();
+        }
+
+        // Tweets the previous team server had no rating for may be rated on the new one
+        if (setting?.startsWith('teamCache')) {
+            teamCache.misses.clear();
+            teamCache.unavailableUntil = 0;
+        }
+
+        // Cache limits are applied once committed, so a half-typed limit doesn't evict ratings
+        if (setting in TweetCache.DEFAULT_LIMITS) {
+            tweetCache.loadLimits();
+            const evicted = tweetCache.enforceLimits();
+            if (evicted > 0) showStatus(`Removed ${evicted} least recently used ratings`);
+        }
+
         // Settings Checkbox toggle (need change event for checkboxes)
         if (setting === 'enableImageDescriptions') {
             handleSettingChange(target, setting);
@@ -279,6 +367,13 @@ function initializeEventListeners(uiContainer) {
         });
     }
 
+    const apiProviderSelect = uiContainer.querySelector('#api-provider');
+    if (apiProviderSelect) {
+        apiProviderSelect.addEventListener('change', function () {
+            handleApiProviderChange(this.value);
+        });
+    }
+
     const providerSortSelect = uiContainer.querySelector('#provider-sort');
     if (providerSortSelect) {
         providerSortSelect.addEventListener('change', function () {
@@ -292,18 +387,29 @@ function initializeEventListeners(uiContainer) {
 
 // --- Event Handlers ---
 
-/** Saves the API key from the input field. */
+/** Saves the API key (and base URL) for the active provider from the input fields. */
 function saveApiKey() {
-    const apiKeyInput = document.getElementById('openrouter-api-key');
+    const provider = getActiveProvider();
+    const providerId = provider.id;
+    const apiKeyInput = document.getElementById('api-key-input');
+    const baseUrlInput = document.getElementById('api-base-url');
+    const portInput = document.getElementById('local-model-port');
     const apiKey = apiKeyInput.value.trim();
-    let previousAPIKey = browserGet('openrouter-api-key', '').length > 0 ? true : false;
-    if (apiKey) {
-        if (!previousAPIKey) {
+    // Only the very first key sets up the defaults; adding a key for another provider keeps settings and ratings
+    const isFirstSetup = !Object.keys(LLM_PROVIDERS).some(id => getProviderApiKey(id).length > 0);
+    if (apiKey || !provider.requiresApiKey) {
+        if (isFirstSetup && provider.requiresApiKey) {
             resetSettings(true);
             //jank hack to get the UI defaults to load correctly
         }
-        browserSet('openrouter-api-key', apiKey);
-        showStatus('API key saved successfully!');
+        browserSet(getProviderApiKeyName(providerId), apiKey);
+        // An empty base URL falls back to the provider default
+        browserSet(`${providerId}-base-url`, baseUrlInput ? baseUrlInput.value.trim() : '');
+        if (providerId === 'local' && portInput) {
+            const port = parseInt(portInput.value, 10);
+            browserSet('localModelPort', port > 0 && port < 65536 ? port : DEFAULT_LOCAL_MODEL_PORT);
+        }
+        showStatus(apiKey ? 'API key saved successfully!' : 'API settings saved successfully!');
         fetchAvailableModels(); // Refresh model list
         //refresh the website
         location.reload();
@@ -312,36 +418,44 @@ function saveApiKey() {
     }
 }
 
+/**
+ * Switches the active LLM provider. Model slugs differ between providers,
+ * so the rating and image models are reset to the new provider's default.
+ * @param {string} providerId - Key into LLM_PROVIDERS.
+ */
+function handleApiProviderChange(providerId) {
+    const provider = LLM_PROVIDERS[providerId];
+    if (!provider) return;
+    browserSet('apiProvider', providerId);
+    selectedModel = provider.defaultModel;
+    selectedImageModel = provider.defaultModel;
+    browserSet('selectedModel', selectedModel);
+    browserSet('selectedImageModel', selectedImageModel);
+    availableModels = [];
+    listedModels = [];
+    refreshProviderSettingsUI();
+    refreshModelsUI();
+    showStatus(`Switched to ${provider.label}`);
+    fetchAvailableModels();
+}
+
 /**
  * Exports the current tweet cache to a JSON file.
  */
-function exportCacheToJson() {
+async function exportCacheToJson() {
     if (!tweetCache) {
         showStatus('Error: Tweet cache not found.', 'error');
         return;
     }
 
     try {
-        const cacheData = tweetCache.cache; // Access the raw cache object
+        const cacheData = await tweetCache.getAll(); // Includes stored ratings that aren't loaded
         if (!cacheData || Object.keys(cacheData).length === 0) {
             showStatus('Cache is empty. Nothing to export.', 'warning');
             return;
         }
 
-        const jsonString = JSON.stringify(cacheData, null, 2); // Pretty print JSON
-        const blob = new Blob([jsonString], { type: 'application/json;charset=utf-8;' });
-
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.setAttribute('href', url);
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        link.setAttribute('download', `tweet-filter-cache-${timestamp}.json`);
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-
+        downloadJson(cacheData, 'tweet-filter-cache');
         showStatus(`Cache exported successfully (${Object.keys(cacheData).length} items).`);
     } catch (error) {
         console.error('Error exporting cache:', error);
@@ -349,13 +463,109 @@ function exportCacheToJson() {
     }
 }
 
+/**
+ * Downloads data as a pretty-printed JSON file.
+ * @param {Object} data - The data to write.
+ * @param {string} fileNamePrefix - The file name, before the timestamp.
+ */
+function downloadJson(data, fileNamePrefix) {
+    const jsonString = JSON.stringify(data, null, 2); // Pretty print JSON
+    const blob = new Blob([jsonString], { type: 'application/json;charset=utf-8;' });
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    link.setAttribute('download', `${fileNamePrefix}-${timestamp}.json`);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Exports all persisted settings to a versioned JSON file (API keys only if "Include API Keys" is on).
+ */
+function exportSettingsToJson() {
+    try {
+        const includeApiKeys = !!document.getElementById('settings-backup-include-keys')?.checked;
+        const backup = settingsBackup.create(includeApiKeys);
+        const count = Object.keys(backup.settings).length;
+        if (count === 0) {
+            showStatus('No settings found to export.', 'warning');
+            return;
+        }
+        downloadJson(backup, 'tweet-filter-settings');
+        showStatus(`Settings exported (${count} settings${includeApiKeys ? ', including API keys' : ''}).`);
+    } catch (error) {
+        console.error('Error exporting settings:', error);
+        showStatus('Error exporting settings. Check console for details.', 'error');
+    }
+}
+
+/**
+ * Imports a settings file written by exportSettingsToJson, then reloads the page so every part of the script
+ * picks up the restored settings.
+ * @param {HTMLInputElement} fileInput - The file input the user picked the file with.
+ */
+async function importSettingsFromFile(fileInput) {
+    const file = fileInput.files?.[0];
+    fileInput.value = ''; // Allow picking the same file again
+    if (!file) return;
+
+    try {
+        const backup = JSON.parse(await file.text());
+        const error = SettingsBackup.validate(backup);
+        if (error) throw new Error(error);
+
+        if (!isMobileDevice() && !confirm(`Overwrite your settings with the ${Object.keys(backup.settings).length} settings in this file? The page will reload.`)) {
+            return;
+        }
+
+        const includeApiKeys = !!document.getElementById('settings-backup-include-keys')?.checked;
+        const result = settingsBackup.restore(backup, includeApiKeys);
+        console.log(`[Settings Import] Restored ${result.restored} settings, skipped ${result.skipped}`);
+        showStatus(`Settings imported (${result.restored} restored, ${result.skipped} skipped). Reloading...`);
+        setTimeout(() => location.reload(), 1000);
+    } catch (error) {
+        console.error('Error importing settings:', error);
+        showStatus(`Error importing settings: ${error.message}`, 'error');
+    }
+}
+
+/** Clears the recorded spend history after confirmation. */
+function resetSpendHistory() {
+    if (isMobileDevice() || confirm('Are you sure you want to reset your spend history? Budgets will start counting from $0.')) {
+        spendTracker.reset();
+        showStatus('Spend history reset.');
+    }
+}
+
+/** Deletes all author reputation profiles after confirmation. */
+function clearAuthorProfiles() {
+    if (isMobileDevice() || confirm('Are you sure you want to clear all author profiles? Auto-hide will start from scratch.')) {
+        authorReputation.clear();
+        releaseAutoHiddenTweets();
+        updateCacheStatsUI();
+        showStatus('Author profiles cleared.');
+    }
+}
+
+/** Clears the cached media descriptions after confirmation. */
+function clearMediaDescriptions() {
+    if (isMobileDevice() || confirm('Are you sure you want to clear all cached media descriptions? Images will be described again when seen.')) {
+        mediaDescriptionCache.clear();
+        updateCacheStatsUI();
+        showStatus('Media descriptions cleared.');
+    }
+}
+
 /** Clears tweet ratings and updates the relevant UI parts. */
 function clearTweetRatingsAndRefreshUI() {
     if (isMobileDevice() || confirm('Are you sure you want to clear all cached tweet ratings?')) {
         // Clear all ratings
         tweetCache.clear(true);
-        // Reset pending requests counter
-        pendingRequests = 0;
         // Clear thread relationships cache
         if (window.threadRelationships) {
             window.threadRelationships = {};
@@ -368,31 +578,11 @@ function clearTweetRatingsAndRefreshUI() {
 
         // Reset all tweet elements to unrated state and reprocess them
         if (observedTargetNode) {
-            observedTargetNode.querySelectorAll('article[data-testid="tweet"]').forEach(tweet => {
-                tweet.removeAttribute('data-sloppiness-score');
-                tweet.removeAttribute('data-rating-status');
-                tweet.removeAttribute('data-rating-description');
-                tweet.removeAttribute('data-cached-rating');
-                const indicator = tweet.querySelector('.score-indicator');
-                if (indicator) {
-                    indicator.remove();
-                }
-                // Remove from processed set and schedule reprocessing
-                const tweetId = getTweetID(tweet); // Get ID *before* potential errors
-                if (tweetId) { // Ensure we have an ID
-                    processedTweets.delete(tweetId);
-                    // Explicitly destroy the old ScoreIndicator instance from the registry
-                    const indicatorInstance = ScoreIndicatorRegistry.get(tweetId);
-                    if (indicatorInstance) {
-                        indicatorInstance.destroy();
-                    }
-                    scheduleTweetProcessing(tweet); // Now schedule processing
-                }
-            });
+            selectorRegistry.queryAll(observedTargetNode, 'tweetArticle').forEach(reprocessTweet);
         }
 
         // Reset thread mapping on any conversation containers
-        document.querySelectorAll('div[aria-label="Timeline: Conversation"], div[aria-label^="Timeline: Conversation"]').forEach(conversation => {
+        selectorRegistry.queryAll(document, 'conversationTimeline').forEach(conversation => {
             delete conversation.dataset.threadMapping;
             delete conversation.dataset.threadMappedAt;
             delete conversation.dataset.threadMappingInProgress;
@@ -403,6 +593,220 @@ function clearTweetRatingsAndRefreshUI() {
     }
 }
 
+/**
+ * Imports a cache file written by exportCacheToJson, merging or replacing according to the import mode.
+ * @param {HTMLInputElement} fileInput - The file input the user picked the file with.
+ */
+async function importCacheFromFile(fileInput) {
+    const file = fileInput.files?.[0];
+    fileInput.value = ''; // Allow picking the same file again
+    if (!file) return;
+
+    const mode = document.getElementById('cache-import-mode')?.value === 'replace' ? 'replace' : 'merge';
+    if (mode === 'replace' && !isMobileDevice() && !confirm('Replace all cached ratings with the ratings in this file?')) {
+        return;
+    }
+
+    try {
+        const ratings = JSON.parse(await file.text());
+        const result = await tweetCache.importRatings(ratings, mode);
+        if (result.errors.length > 0) {
+            console.warn(`[Cache Import] Rejected ${result.rejected} entries:`, result.errors);
+        }
+        showStatus(`Cache imported: ${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged, ${result.rejected} rejected.`,
+            result.rejected > 0 ? 'warning' : 'info');
+
+        useImportedRatings();
+        updateCacheStatsUI();
+    } catch (error) {
+        console.error('Error importing cache:', error);
+        showStatus(`Error importing cache: ${error.message}`, 'error');
+    }
+}
+
+/** Lets visible tweets without a rating use ratings that were just imported or synced. */
+function useImportedRatings() {
+    if (!observedTargetNode) return;
+    selectorRegistry.queryAll(observedTargetNode, 'tweetArticle').forEach(tweet => {
+        const indicator = ScoreIndicatorRegistry.get(getTweetID(tweet));
+        if (!indicator || indicator.status === 'error') {
+            scheduleTweetProcessing(tweet);
+        }
+    });
+}
+
+/** Syncs now (Settings > General > Sync) and reports the result. */
+async function syncNow() {
+    showStatus('Syncing...');
+    const result = await syncManager.sync();
+    refreshAfterSync(result);
+    showStatus(result.message, result.success ? 'info' : 'error');
+}
+
+/**
+ * Updates the UI with the changes a sync brought in.
+ * @param {Object} result - The sync result (see SyncManager.sync).
+ */
+function refreshAfterSync(result) {
+    if (result.listsChanged.length > 0) {
+        refreshHandleList(document.getElementById('handle-list'));
+        refreshHandleList(document.getElementById('blocked-handle-list'), blockedHandles);
+        applyFilteringToAll();
+    }
+    if (result.historyChanged > 0) refreshInstructionsHistory();
+    if (result.pulled > 0) useImportedRatings();
+    updateCacheStatsUI();
+    refreshSyncStatusUI();
+}
+
+/** Checks the team cache server (Settings > General > Team Cache) and reports the result. */
+async function testTeamCacheConnection() {
+    showStatus('Connecting to team cache...');
+    const result = await teamCache.testConnection();
+    showStatus(result.message, result.success ? 'info' : 'error');
+}
+
+/** Shows when the last sync happened, or why it failed. */
+function refreshSyncStatusUI() {
+    const statusElement = document.getElementById('sync-status');
+    if (!statusElement) return;
+    const { lastSyncAt, lastError } = syncManager.state;
+    if (lastError) {
+        statusElement.textContent = `Last sync failed: ${lastError}`;
+    } else {
+        statusElement.textContent = lastSyncAt ? `Last synced: ${new Date(lastSyncAt).toLocaleString()}` : 'Not synced yet';
+    }
+}
+
+/** Fills in the selector overrides and the last selector check. */
+function refreshSelectorsUI() {
+    const overridesInput = document.getElementById('selector-overrides');
+    if (overridesInput) overridesInput.value = browserGet('selectorOverrides', '');
+    renderSelectorHealth(selectorRegistry.lastReport);
+}
+
+/** Validates and saves the selector overrides, then checks them against the page. */
+function saveSelectorOverrides() {
+    const text = document.getElementById('selector-overrides')?.value || '';
+    const { errors } = SelectorRegistry.parseOverrides(text);
+    if (errors.length > 0) {
+        showStatus(errors[0], 'error');
+        return;
+    }
+    browserSet('selectorOverrides', text.trim());
+    selectorRegistry.loadOverrides();
+    renderSelectorHealth(selectorRegistry.checkHealth());
+    showStatus('Selector overrides saved.');
+}
+
+/** Checks the selectors against the tweets on the page and shows the result. */
+function checkSelectors() {
+    const report = selectorRegistry.checkHealth();
+    renderSelectorHealth(report);
+    const failing = report.results.filter(result => result.status === 'failing');
+    if (failing.length > 0) {
+        showStatus(`Not found: ${failing.map(result => result.label).join(', ')}`, 'error');
+    } else {
+        showStatus(`Selectors checked on ${report.tweetCount} tweet${report.tweetCount === 1 ? '' : 's'}.`);
+    }
+}
+
+/**
+ * Shows a selector check as one row per element.
+ * @param {Object|null} report - The report from SelectorRegistry.checkHealth, or null if none was made yet.
+ */
+function renderSelectorHealth(report) {
+    const container = document.getElementById('selector-health');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const addRow = (label, value, title = '') => {
+        const row = document.createElement('div');
+        row.className = 'stats-row';
+        row.title = title;
+        const labelElement = document.createElement('div');
+        labelElement.className = 'stats-label';
+        labelElement.textContent = label;
+        const valueElement = document.createElement('div');
+        valueElement.className = 'stats-value';
+        valueElement.textContent = value;
+        row.append(labelElement, valueElement);
+        container.appendChild(row);
+    };
+
+    if (!report) {
+        addRow('Not checked yet', '');
+        return;
+    }
+    const icons = { ok: '✅', override: '✏️', fallback: '⚠️', failing: '❌', 'not seen': '➖' };
+    report.results.forEach(result => {
+        const counts = result.total > 0 ? ` (${result.matched}/${result.total})` : '';
+        addRow(result.label, `${icons[result.status]} ${result.status}${counts}`, `${result.name}${result.selector ? `: ${result.selector}` : ''}`);
+    });
+}
+
+/**
+ * Resets a tweet element to the unrated state and schedules it to be rated again.
+ * @param {Element} tweet - The tweet article element.
+ */
+function reprocessTweet(tweet) {
+    tweet.removeAttribute('data-sloppiness-score');
+    tweet.removeAttribute('data-rating-status');
+    tweet.removeAttribute('data-rating-description');
+    tweet.removeAttribute('data-cached-rating');
+    const indicator = tweet.querySelector('.score-indicator');
+    if (indicator) {
+        indicator.remove();
+    }
+    // Remove from processed set and schedule reprocessing
+    const tweetId = getTweetID(tweet); // Get ID *before* potential errors
+    if (tweetId) { // Ensure we have an ID
+        processedTweets.delete(tweetId);
+        // Explicitly destroy the old ScoreIndicator instance from the registry
+        const indicatorInstance = ScoreIndicatorRegistry.get(tweetId);
+        if (indicatorInstance) {
+            indicatorInstance.destroy();
+        }
+        scheduleTweetProcessing(tweet); // Now schedule processing
+    }
+}
+
+/**
+ * Re-rates the visible tweets whose rating was made with other instructions or another model.
+ * Earlier ratings made with the current ones are reused instead of calling the API again.
+ */
+function reprocessStaleTweets() {
+    if (!observedTargetNode) return;
+    selectorRegistry.queryAll(observedTargetNode, 'tweetArticle').forEach(tweet => {
+        const cachedRating = tweetCache.get(getTweetID(tweet));
+        if (cachedRating && !tweetCache.isCurrent(cachedRating)) {
+            reprocessTweet(tweet);
+        }
+    });
+}
+
+/** Adds a handle from the blocked handle input field to the blocklist. */
+function addBlockedHandleFromInput() {
+    const handleInput = document.getElementById('blocked-handle-input');
+    const handle = handleInput.value.trim();
+    if (handle) {
+        addBlockedHandles([handle]);
+        handleInput.value = '';
+    }
+}
+
+/** Adds every handle pasted into the bulk import box to the blocklist. */
+function importBlockedHandles() {
+    const importInput = document.getElementById('blocked-handles-import');
+    const handles = importInput.value.split(/[\s,]+/).filter(h => h.trim() !== '');
+    if (handles.length === 0) {
+        showStatus('Paste some handles to import first.');
+        return;
+    }
+    addBlockedHandles(handles);
+    importInput.value = '';
+}
+
 /** Adds a handle from the input field to the blacklist. */
 function addHandleFromInput() {
     const handleInput = document.getElementById('handle-input');
@@ -429,6 +833,7 @@ function handleSettingChange(target, settingName) {
     if (window[settingName] !== undefined) {
         window[settingName] = value;
     }
+    const previousScoreScale = scoreScale.id;
     // Save to GM storage
     browserSet(settingName, value);
     // Special UI updates for specific settings
@@ -442,6 +847,56 @@ function handleSettingChange(target, settingName) {
     if (settingName === 'enableWebSearch') {
         showStatus('Web search for rating model ' + (value ? 'enabled' : 'disabled'));
     }
+    if (settingName === 'criteriaFilterMode' || settingName === 'criteriaWeights' || settingName === 'criteriaMinimums') {
+        applyFilteringToAll();
+    }
+    if (settingName === 'scoreScale') {
+        handleScoreScaleChange(previousScoreScale);
+    }
+    if (settingName === 'enableAuthorAutoHide' && !value) {
+        releaseAutoHiddenTweets();
+    }
+}
+
+/**
+ * Converts the score thresholds and forced rule scores to a new score scale, then re-filters.
+ * @param {string} previousScale - The scale in use before the change.
+ */
+function handleScoreScaleChange(previousScale) {
+    if (previousScale === scoreScale.id) return;
+    // The author auto-hide threshold is converted when read; one saved before its scale was recorded is on the previous scale
+    if (!browserGet('authorAutoHideThresholdScale', '')) {
+        browserSet('authorAutoHideThresholdScale', previousScale);
+    }
+    browserSet('filterThreshold', scoreScale.convert(parseInt(browserGet('filterThreshold', '5'), 10), previousScale));
+    instructionProfiles.convertThresholds(previousScale);
+    currentFilterThreshold = instructionProfiles.getThreshold();
+    filterRules.convertScores(previousScale);
+
+    refreshSettingsUI();
+    refreshRulesUI();
+    refreshProfilesUI();
+    applyFilteringToAll();
+    showStatus(`Score scale set to ${ScoreScale.SCALES[scoreScale.id].label}`);
+}
+
+/**
+ * Sets the range of the score controls (filter slider, author auto-hide threshold) to the current score scale.
+ */
+function applyScoreScaleToUI() {
+    const { min, max } = scoreScale;
+    ['tweet-filter-slider', 'tweet-filter-value'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.min = min;
+            input.max = max;
+        }
+    });
+    document.querySelectorAll('.parameter-row[data-param-name="authorAutoHideThreshold"] input').forEach(input => {
+        input.min = min;
+        input.max = max;
+        input.step = (max - min) / 20;
+    });
 }
 
 /**
@@ -476,7 +931,16 @@ function handleParameterChange(target, paramName) {
     }
 
     // Save to GM storage
-    browserSet(paramName, newValue);
+    if (paramName === 'authorAutoHideThreshold') {
+        authorReputation.setAutoHideThreshold(newValue);
+    } else {
+        browserSet(paramName, newValue);
+    }
+
+    // Authors may no longer qualify for auto-hide
+    if (paramName.startsWith('authorAutoHide')) {
+        releaseAutoHiddenTweets();
+    }
 }
 
 /**
@@ -491,36 +955,65 @@ function handleFilterSliderChange(slider) {
     }
 
     // Update the gradient position based on the slider value
-    const percentage = (currentFilterThreshold / 10) * 100;
+    const percentage = scoreScale.toFraction(currentFilterThreshold) * 100;
     slider.style.setProperty('--slider-percent', `${percentage}%`);
 
-    browserSet('filterThreshold', currentFilterThreshold);
+    saveFilterThreshold(currentFilterThreshold);
     applyFilteringToAll();
 }
 
+/**
+ * Sets the filter slider and value input to the active threshold.
+ */
+function refreshFilterSliderUI() {
+    const filterSlider = document.getElementById('tweet-filter-slider');
+    const filterValueInput = document.getElementById('tweet-filter-value');
+    const currentThreshold = instructionProfiles.getThreshold();
+
+    if (filterSlider && filterValueInput) {
+        filterSlider.value = currentThreshold;
+        filterValueInput.value = currentThreshold;
+        // Initialize the gradient position
+        const percentage = scoreScale.toFraction(currentThreshold) * 100;
+        filterSlider.style.setProperty('--slider-percent', `${percentage}%`);
+    }
+}
+
 /**
  * Handles changes to the numeric input for filter threshold.
  * @param {HTMLElement} input - The numeric input element.
  */
 function handleFilterValueInput(input) {
     let value = parseInt(input.value, 10);
-    // Clamp value between 0 and 10
-    value = Math.max(0, Math.min(10, value));
+    // Clamp value to the score scale
+    value = Math.max(scoreScale.min, Math.min(scoreScale.max, value));
     input.value = value.toString(); // Update input to clamped value
 
     const slider = document.getElementById('tweet-filter-slider');
     if (slider) {
         slider.value = value.toString();
         // Update the gradient position
-        const percentage = (value / 10) * 100;
+        const percentage = scoreScale.toFraction(value) * 100;
         slider.style.setProperty('--slider-percent', `${percentage}%`);
     }
 
     currentFilterThreshold = value;
-    browserSet('filterThreshold', currentFilterThreshold);
+    saveFilterThreshold(currentFilterThreshold);
     applyFilteringToAll();
 }
 
+/**
+ * Saves the filter threshold, to the active instruction profile if it has its own threshold.
+ * @param {number} threshold - The new threshold.
+ */
+function saveFilterThreshold(threshold) {
+    if (instructionProfiles.setActiveThreshold(threshold)) {
+        refreshProfilesUI();
+    } else {
+        browserSet('filterThreshold', threshold);
+    }
+}
+
 /**
  * Switches the active tab in the settings panel.
  * @param {string} tabName - The name of the tab to activate (from data-tab).
@@ -540,6 +1033,9 @@ function switchTab(tabName) {
 
     if (tabToShow) tabToShow.classList.add('active');
     if (buttonToActivate) buttonToActivate.classList.add('active');
+
+    if (tabName === 'rules') refreshRulesUI();
+    if (tabName === 'stats') refreshStatsUI();
 }
 
 /**
@@ -566,11 +1062,80 @@ function toggleAdvancedOptions(contentId) {
     }
 }
 
+/**
+ * Refreshes the provider selector, base URL and API key inputs for the active provider.
+ */
+function refreshProviderSettingsUI() {
+    const provider = getActiveProvider();
+    const providerSelect = document.getElementById('api-provider');
+    const baseUrlInput = document.getElementById('api-base-url');
+    const apiKeyInput = document.getElementById('api-key-input');
+    const apiKeyLabel = document.getElementById('api-key-label');
+    const apiKeyLink = document.getElementById('api-key-link');
+    const localPortRow = document.getElementById('local-model-port-row');
+
+    if (providerSelect) {
+        if (providerSelect.options.length === 0) {
+            Object.values(LLM_PROVIDERS).forEach(p => {
+                const option = document.createElement('option');
+                option.value = p.id;
+                option.textContent = p.label;
+                providerSelect.appendChild(option);
+            });
+        }
+        providerSelect.value = provider.id;
+    }
+    if (baseUrlInput) {
+        baseUrlInput.placeholder = `API base URL (default: ${provider.defaultBaseUrl})`;
+        baseUrlInput.value = browserGet(`${provider.id}-base-url`, '');
+    }
+    if (localPortRow) {
+        localPortRow.style.display = provider.id === 'local' ? 'flex' : 'none';
+        localPortRow.querySelector('#local-model-port').value = browserGet('localModelPort', DEFAULT_LOCAL_MODEL_PORT);
+    }
+    if (apiKeyInput) {
+        apiKeyInput.placeholder = provider.requiresApiKey
+            ? `Enter your ${provider.label} API key`
+            : 'API key (optional)';
+        apiKeyInput.value = getProviderApiKey(provider.id);
+    }
+    if (apiKeyLabel) {
+        apiKeyLabel.textContent = provider.requiresApiKey ? `${provider.label} API Key` : 'API Key (optional)';
+    }
+    if (apiKeyLink) {
+        apiKeyLink.href = provider.keyUrl;
+        apiKeyLink.style.display = provider.keyUrl ? '' : 'none';
+    }
+    refreshSpendTrackingUI();
+}
+
+/**
+ * Shows the price inputs for providers that don't report costs, and a note while their spend isn't tracked.
+ */
+function refreshSpendTrackingUI() {
+    const provider = getActiveProvider();
+    const needsPrices = !provider.reportsCost && provider.requiresApiKey;
+    const priceGrid = document.getElementById('provider-price-grid');
+    if (priceGrid) {
+        priceGrid.style.display = needsPrices ? '' : 'none';
+        priceGrid.querySelector('#provider-prompt-price').value = browserGet(`${provider.id}-prompt-price`, '');
+        priceGrid.querySelector('#provider-completion-price').value = browserGet(`${provider.id}-completion-price`, '');
+    }
+    const note = document.getElementById('spend-tracking-note');
+    if (note) {
+        const tracked = spendTracker.isTracked(provider);
+        note.style.display = tracked ? 'none' : '';
+        note.textContent = tracked ? '' : `⚠️ ${provider.label} doesn't report costs, so its spend isn't tracked and budgets don't apply. Enter its prices below to track it.`;
+    }
+}
 
 /**
  * Refreshes the entire settings UI to reflect current settings.
  */
 function refreshSettingsUI() {
+    refreshProviderSettingsUI();
+    applyScoreScaleToUI(); // Before filling in values, so they aren't clamped to the old range
+
     // Update general settings inputs/toggles
     document.querySelectorAll('[data-setting]').forEach(input => {
         const settingName = input.dataset.setting;
@@ -581,6 +1146,8 @@ function refreshSettingsUI() {
             handleSettingChange(input, settingName);
         } else {
             input.value = value;
+            // Selects without a saved value fall back to their first option
+            if (input.tagName === 'SELECT' && input.selectedIndex === -1) input.selectedIndex = 0;
         }
     });
 
@@ -589,27 +1156,23 @@ function refreshSettingsUI() {
         const paramName = row.dataset.paramName;
         const slider = row.querySelector('.parameter-slider');
         const valueInput = row.querySelector('.parameter-value');
-        const value = browserGet(paramName, window[paramName]);
+        const value = paramName === 'authorAutoHideThreshold'
+            ? Number(authorReputation.getAutoHideThreshold().toFixed(2))
+            : browserGet(paramName, window[paramName]);
 
         if (slider) slider.value = value;
         if (valueInput) valueInput.value = value;
     });
 
     // Update filter slider and value input
-    const filterSlider = document.getElementById('tweet-filter-slider');
-    const filterValueInput = document.getElementById('tweet-filter-value');
-    const currentThreshold = browserGet('filterThreshold', '5');
-
-    if (filterSlider && filterValueInput) {
-        filterSlider.value = currentThreshold;
-        filterValueInput.value = currentThreshold;
-        // Initialize the gradient position
-        const percentage = (parseInt(currentThreshold, 10) / 10) * 100;
-        filterSlider.style.setProperty('--slider-percent', `${percentage}%`);
-    }
+    refreshFilterSliderUI();
 
     // Refresh dynamically populated lists/dropdowns
     refreshHandleList(document.getElementById('handle-list'));
+    refreshHandleList(document.getElementById('blocked-handle-list'), blockedHandles);
+    refreshProfilesUI();
+    refreshSyncStatusUI();
+    refreshSelectorsUI();
     refreshModelsUI(); // Refreshes model dropdowns
 
     // Set initial state for advanced sections (collapsed by default unless CSS specifies otherwise)
@@ -627,18 +1190,20 @@ function refreshSettingsUI() {
 
     // Refresh instructions history
     refreshInstructionsHistory();
+    refreshRulesUI();
 }
 
 /**
  * Refreshes the handle list UI.
  * @param {HTMLElement} listElement - The list element to refresh.
+ * @param {string[]} [handles=blacklistedHandles] - The handles to show.
  */
-function refreshHandleList(listElement) {
+function refreshHandleList(listElement, handles = blacklistedHandles) {
     if (!listElement) return;
 
     listElement.innerHTML = ''; // Clear existing list
 
-    if (blacklistedHandles.length === 0) {
+    if (handles.length === 0) {
         const emptyMsg = document.createElement('div');
         emptyMsg.style.cssText = 'padding: 8px; opacity: 0.7; font-style: italic;';
         emptyMsg.textContent = 'No handles added yet';
@@ -646,7 +1211,7 @@ function refreshHandleList(listElement) {
         return;
     }
 
-    blacklistedHandles.forEach(handle => {
+    handles.forEach(handle => {
         const item = document.createElement('div');
         item.className = 'handle-item';
 
@@ -672,6 +1237,7 @@ function refreshHandleList(listElement) {
 function refreshModelsUI() {
     const modelSelectContainer = document.getElementById('model-select-container');
     const imageModelSelectContainer = document.getElementById('image-model-select-container');
+    const fallbackModelSelectContainer = document.getElementById('budget-fallback-model-container');
 
     // Filter and sort models
     listedModels = [...availableModels];
@@ -746,6 +1312,24 @@ function refreshModelsUI() {
             'Search vision models...'
         );
     }
+
+    // Update budget fallback model selector
+    if (fallbackModelSelectContainer) {
+        fallbackModelSelectContainer.innerHTML = '';
+        createCustomSelect(
+            fallbackModelSelectContainer,
+            'budget-fallback-model-selector',
+            [{ value: '', label: 'None (keep rating model)' }].concat(
+                listedModels.map(model => ({ value: model.endpoint?.model_variant_slug || model.id, label: formatModelLabel(model) }))
+            ),
+            browserGet('budgetFallbackModel', ''),
+            (newValue) => {
+                browserSet('budgetFallbackModel', newValue);
+                showStatus(newValue ? 'Budget fallback model updated' : 'Budget fallback model cleared');
+            },
+            'Search fallback models...'
+        );
+    }
 }
 
 /**
@@ -914,17 +1498,41 @@ function resetSettings(noconfirm = false) {
         tweetCache.clear();
 
         // Define defaults (should match config.js ideally)
+        const defaultModel = getActiveProvider().defaultModel;
         const defaults = {
-            selectedModel: 'openai/gpt-4.1-nano',
-            selectedImageModel: 'openai/gpt-4.1-nano',
+            selectedModel: defaultModel,
+            selectedImageModel: defaultModel,
             enableImageDescriptions: false,
+            enableVideoFrames: true,
+            enableImageOcr: false,
+            enableLinkMetadataFetch: false,
             enableStreaming: true,
             enableWebSearch: false,
+            enableStructuredOutput: false,
             modelTemperature: 0.5,
             modelTopP: 0.9,
             imageModelTemperature: 0.5,
             imageModelTopP: 0.9,
             maxTokens: 0,
+            maxConcurrentRequests: 3,
+            enableBatchRating: false,
+            batchSize: 5,
+            dailySoftBudget: 0,
+            dailyHardBudget: 0,
+            monthlySoftBudget: 0,
+            monthlyHardBudget: 0,
+            budgetFallbackModel: '',
+            ...TweetCache.DEFAULT_LIMITS,
+            enableAuthorAutoHide: false,
+            authorAutoHideThreshold: AuthorReputation.DEFAULT_AUTO_HIDE_THRESHOLD,
+            authorAutoHideThresholdScale: AuthorReputation.STORED_SCALE,
+            authorAutoHideMinTweets: 10,
+            hideBlockedQuotesAndReplies: false,
+            scoringCriteria: '',
+            criteriaFilterMode: 'overall',
+            criteriaWeights: '',
+            criteriaMinimums: '',
+            scoreScale: '0-10',
             filterThreshold: 5,
             userDefinedInstructions: 'Rate the tweet on a scale from 1 to 10 based on its clarity, insight, creativity, and overall quality.',
             modelSortOrder: 'throughput-high-to-low',
@@ -932,12 +1540,19 @@ function resetSettings(noconfirm = false) {
         };
 
         // Apply defaults
+        const previousScoreScale = scoreScale.id;
         for (const key in defaults) {
             if (window[key] !== undefined) {
                 window[key] = defaults[key];
             }
             browserSet(key, defaults[key]);
         }
+        if (previousScoreScale !== scoreScale.id) {
+            filterRules.convertScores(previousScoreScale);
+            instructionProfiles.convertThresholds(previousScoreScale);
+        }
+        currentFilterThreshold = instructionProfiles.getThreshold();
+        tweetCache.loadLimits();
 
         refreshSettingsUI();
         fetchAvailableModels();
@@ -958,8 +1573,16 @@ function addHandleToBlacklist(handle) {
         return;
     }
     blacklistedHandles.push(handle);
-    browserSet('blacklistedHandles', blacklistedHandles.join('\n'));
+    saveHandleList('blacklistedHandles');
     refreshHandleList(document.getElementById('handle-list'));
+
+    // An auto-rated handle can't also be blocked
+    const blockedIndex = blockedHandles.findIndex(h => h.toLowerCase() === handle.toLowerCase());
+    if (blockedIndex > -1) {
+        blockedHandles.splice(blockedIndex, 1);
+        saveHandleList('blockedHandles');
+        refreshHandleList(document.getElementById('blocked-handle-list'), blockedHandles);
+    }
     showStatus(`Added @${handle} to auto-rate list.`);
 }
 
@@ -971,13 +1594,71 @@ function removeHandleFromBlacklist(handle) {
     const index = blacklistedHandles.indexOf(handle);
     if (index > -1) {
         blacklistedHandles.splice(index, 1);
-        browserSet('blacklistedHandles', blacklistedHandles.join('\n'));
+        saveHandleList('blacklistedHandles');
         refreshHandleList(document.getElementById('handle-list'));
         showStatus(`Removed @${handle} from auto-rate list.`);
     } else console.warn(`Attempted to remove non-existent handle: ${handle}`);
 
 }
 
+/**
+ * Saves a handle list and marks it for the next sync.
+ * @param {string} name - The list's setting name ('blacklistedHandles' or 'blockedHandles').
+ */
+function saveHandleList(name) {
+    browserSet(name, (name === 'blockedHandles' ? blockedHandles : blacklistedHandles).join('\n'));
+    syncManager.markHandleListChanged(name);
+}
+
+// --- Blocklist Logic ---
+
+/**
+ * Adds handles to the blocklist, saves, and refreshes the UI.
+ * Blocked handles are removed from the auto-rate list, since the two lists contradict each other.
+ * @param {string[]} handles - The Twitter handles to add (with or without @).
+ */
+function addBlockedHandles(handles) {
+    const added = [];
+    handles.forEach(handle => {
+        handle = handle.trim().replace(/^@/, ''); // Clean handle
+        if (handle === '' || isUserBlocked(handle)) return;
+        blockedHandles.push(handle);
+        added.push(handle);
+
+        const whitelistIndex = blacklistedHandles.findIndex(h => h.toLowerCase() === handle.toLowerCase());
+        if (whitelistIndex > -1) {
+            blacklistedHandles.splice(whitelistIndex, 1);
+        }
+    });
+
+    if (added.length === 0) {
+        showStatus('Those handles are already blocked.');
+        return;
+    }
+    saveHandleList('blockedHandles');
+    saveHandleList('blacklistedHandles');
+    refreshHandleList(document.getElementById('handle-list'));
+    refreshHandleList(document.getElementById('blocked-handle-list'), blockedHandles);
+    updateCacheStatsUI();
+    applyFilteringToAll();
+    showStatus(added.length === 1 ? `Blocked @${added[0]}.` : `Blocked ${added.length} handles.`);
+}
+
+/**
+ * Removes a handle from the blocklist, saves, and refreshes the UI.
+ * @param {string} handle - The Twitter handle to remove (without @).
+ */
+function removeBlockedHandle(handle) {
+    const index = blockedHandles.indexOf(handle);
+    if (index > -1) {
+        blockedHandles.splice(index, 1);
+        saveHandleList('blockedHandles');
+        refreshHandleList(document.getElementById('blocked-handle-list'), blockedHandles);
+        updateCacheStatsUI();
+        showStatus(`Unblocked @${handle}. Tweets already hidden reappear after a reload.`);
+    } else console.warn(`Attempted to remove non-existent blocked handle: ${handle}`);
+}
+
 // --- Initialization ---
 
 /**